@@ -6,6 +6,12 @@ const CleanCSS = require('clean-css');
 const { minify } = require('terser');
 const fs = require('fs');
 const path = require('path');
+const { checkQuizzesForBuild, formatReport } = require('./lib/quiz-validator');
+const { buildBrowserValidator } = require('./lib/quiz-validator-browser');
+const { buildBrowserScoring } = require('./lib/quiz-scoring-browser');
+const { buildBrowserLearnerState } = require('./lib/learner-state-browser');
+const { addSectionIds, checkSectionLinks } = require('./lib/chapter-sections');
+const { exportQuizBanks } = require('./lib/quiz-export');
 
 module.exports = function(eleventyConfig) {
   // Pass through static assets (will be minified in production)
@@ -17,12 +23,30 @@ module.exports = function(eleventyConfig) {
   eleventyConfig.addPassthroughCopy("src/service-worker.js");
   eleventyConfig.addPassthroughCopy("src/favicon.ico");
 
+  // Quiz sources can sit next to chapter prose; npm run quiz:import builds src/_data/quizzes from them
+  eleventyConfig.ignores.add("src/**/*.quiz.md");
+
   // Copy quiz data files to /quizzes/ directory
   eleventyConfig.addPassthroughCopy({ "src/_data/quizzes": "quizzes" });
 
+  // Check quiz files against lib/quiz-schema.json before each build
+  // Builds never write to the quiz files: a question without an id is reported
+  // like any other problem, and npm run quiz:ids assigns one
+  eleventyConfig.on('eleventy.before', () => {
+    const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL;
+    // Throws in production; in development just warn so the site keeps serving
+    const report = checkQuizzesForBuild(isProduction);
+    if (report) {
+      console.warn(report);
+    } else {
+      console.log('[Build] Quiz data valid');
+    }
+  });
+
   // Watch CSS and JS for changes during development
   eleventyConfig.addWatchTarget("src/css/");
   eleventyConfig.addWatchTarget("src/js/");
+  eleventyConfig.addWatchTarget("lib/");
 
   // Add layout aliases for cleaner front matter
   eleventyConfig.addLayoutAlias('base', 'base.njk');
@@ -40,6 +64,58 @@ module.exports = function(eleventyConfig) {
     return "../".repeat(depth);
   });
 
+  // Add a filter for counting questions across all chapter quizzes
+  eleventyConfig.addFilter("totalQuestions", function(quizzes) {
+    return Object.values(quizzes || {}).reduce((sum, quiz) => sum + quiz.questions.length, 0);
+  });
+
+  // Add a filter for the number of questions drawn into a part or final exam
+  eleventyConfig.addFilter("examQuestionCount", function(exam, quizzes) {
+    return exam.chapters.reduce((sum, chapter) => {
+      const quiz = (quizzes || {})['chapter-' + String(chapter.number).padStart(2, '0')];
+      return sum + (quiz ? Math.min(exam.questionsPerChapter, quiz.questions.length) : 0);
+    }, 0);
+  });
+
+  // Heading ids for each chapter, recorded as the chapters render so quiz
+  // "section" links can be checked once the build is done
+  const chapterSections = new Map();
+
+  // Give chapter headings ids from their text (used by the chapter layout)
+  eleventyConfig.addFilter("sectionIds", function(html, chapterNumber) {
+    const { html: output, ids } = addSectionIds(html);
+    chapterSections.set(chapterNumber, ids);
+    return output;
+  });
+
+  // Quiz questions may only link to sections their chapter actually has
+  eleventyConfig.on('eleventy.after', () => {
+    const isProduction = process.env.NODE_ENV === 'production' || process.env.VERCEL;
+    const problems = checkSectionLinks(chapterSections);
+    if (problems.length === 0) return;
+
+    const report = `[Build] ${problems.length} broken quiz section link(s):\n${formatReport(problems)}`;
+    if (isProduction) {
+      throw new Error(report);
+    }
+    console.warn(report);
+  });
+
+  // GIFT and QTI 2.1 copies of every chapter quiz for teachers' LMSs (linked from src/quizzes.njk)
+  eleventyConfig.on('eleventy.after', ({ dir }) => {
+    const written = exportQuizBanks(path.join(dir.output, 'quizzes', 'exports'));
+    console.log(`[Build] Exported ${written.length / 2} quiz banks to GIFT and QTI`);
+  });
+
+  // Browser copy of the quiz validator for the custom quiz page (src/quiz-validator.njk)
+  eleventyConfig.addShortcode("quizValidator", buildBrowserValidator);
+
+  // Browser copy of the scoring rules the server re-grades with (src/quiz-scoring.njk)
+  eleventyConfig.addShortcode("quizScoring", buildBrowserScoring);
+
+  // Browser copy of the learner state merge rules the server syncs with (src/learner-state.njk)
+  eleventyConfig.addShortcode("learnerState", buildBrowserLearnerState);
+
   // Add a shortcode for vocabulary boxes
   eleventyConfig.addShortcode("vocab", function(term, pronunciation, definition) {
     return `<div class="vocabulary-box">
@@ -50,11 +50,13 @@ module.exports = async function handler(req, res) {
                     .select(`
                         id,
                         chapter_number,
+                        exam_id,
                         score,
                         total_questions,
                         percentage,
                         hints_used,
                         time_taken_seconds,
+                        timer_mode,
                         completed_at,
                         user:dg_users(anonymous_id)
                     `)
@@ -71,16 +73,18 @@ module.exports = async function handler(req, res) {
                 data = (attempts || []).map(a => ({
                     id: a.id,
                     user_id: a.user?.anonymous_id || 'unknown',
-                    chapter: a.chapter_number,
+                    chapter: a.chapter_number || '',
+                    exam: a.exam_id || '',
                     score: a.score,
                     total: a.total_questions,
                     percentage: a.percentage,
                     hints_used: a.hints_used,
-                    time_seconds: a.time_taken_seconds || '',
+                    time_seconds: a.time_taken_seconds ?? '',
+                    timer_mode: a.timer_mode || '',
                     completed_at: a.completed_at
                 }));
 
-                headers = ['id', 'user_id', 'chapter', 'score', 'total', 'percentage', 'hints_used', 'time_seconds', 'completed_at'];
+                headers = ['id', 'user_id', 'chapter', 'exam', 'score', 'total', 'percentage', 'hints_used', 'time_seconds', 'timer_mode', 'completed_at'];
                 filename = chapter ? `quiz-attempts-chapter-${chapter}` : 'quiz-attempts-all';
                 break;
             }
@@ -124,13 +128,20 @@ module.exports = async function handler(req, res) {
                     .from('dg_question_responses')
                     .select(`
                         id,
+                        chapter_number,
                         question_index,
+                        question_id,
+                        question_version,
                         question_type,
                         question_text,
                         user_answer,
                         correct_answer,
                         is_correct,
                         hints_used_for_question,
+                        time_seconds,
+                        confidence,
+                        rubric_points,
+                        rubric_total,
                         attempt:dg_quiz_attempts(chapter_number, completed_at)
                     `)
                     .order('id', { ascending: false })
@@ -146,12 +157,16 @@ module.exports = async function handler(req, res) {
 
                 let filteredResponses = responses || [];
                 if (chapter) {
-                    filteredResponses = filteredResponses.filter(r => r.attempt?.chapter_number === chapter);
+                    filteredResponses = filteredResponses.filter(r => (r.chapter_number || r.attempt?.chapter_number) === chapter);
                 }
 
                 data = filteredResponses.map(r => ({
                     id: r.id,
-                    chapter: r.attempt?.chapter_number || '',
+                    // Exam responses carry their own chapter
+                    chapter: r.chapter_number || r.attempt?.chapter_number || '',
+                    // Group by question_id; question_index is only the position when answered
+                    question_id: r.question_id || '',
+                    question_version: r.question_version || '',
                     question_index: r.question_index,
                     question_type: r.question_type,
                     question_text: (r.question_text || '').substring(0, 100),
@@ -159,10 +174,14 @@ module.exports = async function handler(req, res) {
                     correct_answer: typeof r.correct_answer === 'string' ? r.correct_answer : JSON.stringify(r.correct_answer),
                     is_correct: r.is_correct ? 'true' : 'false',
                     hints_used: r.hints_used_for_question,
+                    time_seconds: r.time_seconds ?? '',
+                    confidence: r.confidence ?? '',
+                    rubric_points: r.rubric_points ?? '',
+                    rubric_total: r.rubric_total ?? '',
                     completed_at: r.attempt?.completed_at || ''
                 }));
 
-                headers = ['id', 'chapter', 'question_index', 'question_type', 'question_text', 'user_answer', 'correct_answer', 'is_correct', 'hints_used', 'completed_at'];
+                headers = ['id', 'chapter', 'question_id', 'question_version', 'question_index', 'question_type', 'question_text', 'user_answer', 'correct_answer', 'is_correct', 'hints_used', 'time_seconds', 'confidence', 'rubric_points', 'rubric_total', 'completed_at'];
                 filename = chapter ? `question-responses-chapter-${chapter}` : 'question-responses-all';
                 break;
             }
@@ -1,6 +1,6 @@
 /**
  * GET /api/admin/questions
- * Returns question-level analytics and wrong answer patterns
+ * Returns question-level analytics, wrong answer patterns and confused matching pairs
  * Requires admin authentication
  *
  * Query params:
@@ -53,6 +53,14 @@ module.exports = async function handler(req, res) {
             console.error('Error fetching wrong answer patterns:', patternError);
         }
 
+        // Get the matching pairs readers mix up most
+        const { data: confusionData, error: confusionError } = await supabase
+            .rpc('dg_get_pair_confusions', { p_chapter: chapter, p_limit: limit });
+
+        if (confusionError) {
+            console.error('Error fetching pair confusions:', confusionError);
+        }
+
         // Get hardest questions (highest error rate)
         const hardestQuestions = (questionData || [])
             .filter(q => q.error_rate > 0)
@@ -69,6 +77,7 @@ module.exports = async function handler(req, res) {
             success: true,
             hardestQuestions,
             wrongAnswerPatterns: patternData || [],
+            pairConfusions: confusionData || [],
             hintEffectiveness,
             totalQuestionsAnalyzed: questionData?.length || 0
         });
@@ -5,6 +5,7 @@
  */
 
 const { getSupabaseAdminClient, validateAdminAuth, corsHeaders } = require('../lib/supabase');
+const { attemptPassed } = require('../lib/attempts');
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -41,7 +42,7 @@ module.exports = async function handler(req, res) {
         // Get additional time-series data for charts
         const { data: dailyData, error: dailyError } = await supabase
             .from('dg_quiz_attempts')
-            .select('completed_at, percentage')
+            .select('completed_at, percentage, passed')
             .gte('completed_at', new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString())
             .order('completed_at', { ascending: true });
 
@@ -55,7 +56,7 @@ module.exports = async function handler(req, res) {
                 }
                 dailyStats[date].attempts++;
                 dailyStats[date].totalScore += attempt.percentage;
-                if (attempt.percentage >= 70) {
+                if (attemptPassed(attempt)) {
                     dailyStats[date].passes++;
                 }
             });
@@ -5,6 +5,7 @@
  */
 
 const { getSupabaseAdminClient, validateAdminAuth, corsHeaders } = require('../lib/supabase');
+const { attemptPassed } = require('../lib/attempts');
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -47,7 +48,7 @@ module.exports = async function handler(req, res) {
             // Get all their quiz attempts
             const { data: attempts, error: attemptsError } = await supabase
                 .from('dg_quiz_attempts')
-                .select('id, chapter_number, score, total_questions, percentage, hints_used, time_taken_seconds, completed_at')
+                .select('id, chapter_number, exam_id, score, total_questions, percentage, passed, hints_used, time_taken_seconds, completed_at')
                 .eq('user_id', userId)
                 .order('completed_at', { ascending: false });
 
@@ -59,7 +60,8 @@ module.exports = async function handler(req, res) {
             const chapterAttempts = {};
 
             (attempts || []).forEach(a => {
-                if (a.percentage >= 70) chaptersPassed.add(a.chapter_number);
+                if (a.exam_id) return; // Exams don't count toward chapter completion
+                if (attemptPassed(a)) chaptersPassed.add(a.chapter_number);
                 if (a.percentage >= 90) chaptersMastered.add(a.chapter_number);
                 chapterAttempts[a.chapter_number] = (chapterAttempts[a.chapter_number] || 0) + 1;
             });
@@ -94,7 +96,7 @@ module.exports = async function handler(req, res) {
         // Get attempt counts and stats per user
         const { data: attempts, error: attemptsError } = await supabase
             .from('dg_quiz_attempts')
-            .select('user_id, chapter_number, percentage');
+            .select('user_id, chapter_number, exam_id, percentage, passed');
 
         if (attemptsError) throw attemptsError;
 
@@ -111,7 +113,8 @@ module.exports = async function handler(req, res) {
             }
             userStats[a.user_id].attempts++;
             userStats[a.user_id].totalScore += a.percentage;
-            if (a.percentage >= 70) userStats[a.user_id].chaptersPassed.add(a.chapter_number);
+            if (a.exam_id) return; // As in the detail view, exams don't count toward chapter completion
+            if (attemptPassed(a)) userStats[a.user_id].chaptersPassed.add(a.chapter_number);
             if (a.percentage >= 90) userStats[a.user_id].chaptersMastered.add(a.chapter_number);
         });
 
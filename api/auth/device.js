@@ -0,0 +1,89 @@
+/**
+ * POST /api/auth/device
+ * Issues a device token (api/lib/device-token.js) on a browser's first
+ * contact; the quiz endpoints require it from then on
+ *
+ * Body: { legacyId } (optional)
+ * A browser that synced before device tokens sends the anonymous ID it made
+ * up itself. The first request for a legacy ID gets a token for it, keeping
+ * that reader's server progress; later requests for the same ID, and
+ * browsers without one, get a new anonymous ID.
+ */
+
+const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { LEGACY_ANONYMOUS_ID, createAnonymousId, issueDeviceToken } = require('../lib/device-token');
+
+/**
+ * Mark a legacy user's ID as exchanged; false if it's unknown or already was
+ */
+async function claimLegacyId(supabase, legacyId) {
+    const { data: claimed } = await supabase
+        .from('dg_users')
+        .update({ device_token_issued_at: new Date().toISOString() })
+        .eq('anonymous_id', legacyId)
+        .is('device_token_issued_at', null)
+        .select('id');
+
+    return Boolean(claimed && claimed.length > 0);
+}
+
+module.exports = async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        Object.entries(corsHeaders).forEach(([key, value]) => {
+            res.setHeader(key, value);
+        });
+        return res.status(200).json({ ok: true });
+    }
+
+    // Only allow POST
+    if (req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const legacyId = req.body?.legacyId;
+        const supabase = getSupabaseAdminClient();
+
+        if (typeof legacyId === 'string' && LEGACY_ANONYMOUS_ID.test(legacyId) && await claimLegacyId(supabase, legacyId)) {
+            return res.status(200).json({
+                success: true,
+                anonymousId: legacyId,
+                token: issueDeviceToken(legacyId),
+                migrated: true
+            });
+        }
+
+        const anonymousId = createAnonymousId();
+        const { error: userError } = await supabase
+            .from('dg_users')
+            .insert({
+                anonymous_id: anonymousId,
+                device_token_issued_at: new Date().toISOString()
+            });
+
+        if (userError) {
+            console.error('Error creating user:', userError);
+            return res.status(500).json({ error: 'Failed to create user' });
+        }
+
+        return res.status(200).json({
+            success: true,
+            anonymousId: anonymousId,
+            token: issueDeviceToken(anonymousId),
+            migrated: false
+        });
+
+    } catch (error) {
+        console.error('Device token error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
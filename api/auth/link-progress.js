@@ -2,9 +2,99 @@
  * POST /api/auth/link-progress
  * Links anonymous quiz progress to an authenticated user account
  * Called after successful login to merge anonymous data
+ *
+ * Body: { accessToken }, the Supabase session's access token
+ * The anonymous side is the reader whose device token (api/lib/device-token.js)
+ * is sent; the account is whoever Supabase Auth says the access token belongs
+ * to. Accounts are matched on auth_user_id, never on email: dg_users.email is
+ * whatever the reader typed at the quiz email prompt. Every link and merge is
+ * recorded in dg_link_audit.
+ * When the account already has a record, the device's is folded into it and
+ * the response carries a device token for the account's record ({ anonymousId,
+ * token }, as from /api/auth/device), which the browser switches to.
+ * A browser without a device token, or whose record belongs to another
+ * account (a shared browser someone else signed in on), has nothing to link:
+ * it gets the account's token, and the account a record if it has none.
  */
 
-const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { getSupabaseAdminClient, getAuthUser, corsHeaders } = require('../lib/supabase');
+const { createAnonymousId, issueDeviceToken, readDeviceToken } = require('../lib/device-token');
+const { loadState, saveState } = require('../lib/learner-state-store');
+const { mergeLearnerState } = require('../../lib/learner-state');
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+/**
+ * Move everything stored under one dg_users record to another, then delete it
+ * Attempts keep every column and their question responses (keyed by attempt
+ * id) by being re-pointed, not copied; learner state merges as two devices'
+ * would. Every step can run again, so a merge that fails partway is finished
+ * by the next sign-in. Resolves with the number of attempts moved
+ */
+async function mergeUsers(supabase, fromId, toId) {
+    const { data: moved, error: moveError } = await supabase
+        .from('dg_quiz_attempts')
+        .update({ user_id: toId })
+        .eq('user_id', fromId)
+        .select('id');
+    if (moveError) throw moveError;
+
+    const [stored, incoming] = await Promise.all([loadState(supabase, toId), loadState(supabase, fromId)]);
+    await saveState(supabase, toId, stored, mergeLearnerState(stored, incoming));
+
+    // Nothing is left for the cascade to take
+    const { error: deleteError } = await supabase
+        .from('dg_users')
+        .delete()
+        .eq('id', fromId);
+    if (deleteError) throw deleteError;
+
+    return moved.length;
+}
+
+/**
+ * A new dg_users record for an account that has none
+ */
+async function createAccountRecord(supabase, authUser, email) {
+    const now = new Date().toISOString();
+    const record = {
+        anonymous_id: createAnonymousId(),
+        auth_user_id: authUser.id,
+        email: email,
+        device_token_issued_at: now,
+        last_seen_at: now
+    };
+    let { data, error } = await supabase
+        .from('dg_users')
+        .insert(record)
+        .select('id, anonymous_id')
+        .single();
+
+    if (error && error.code === UNIQUE_VIOLATION) {
+        // Another record was given this email at the quiz email prompt; as when
+        // linking, the account goes without it rather than take it over
+        delete record.email;
+        ({ data, error } = await supabase
+            .from('dg_users')
+            .insert(record)
+            .select('id, anonymous_id')
+            .single());
+    }
+
+    if (error) throw error;
+    return data;
+}
+
+async function writeAudit(supabase, entry) {
+    const { error } = await supabase
+        .from('dg_link_audit')
+        .insert(entry);
+
+    if (error) {
+        console.error('Error writing link audit row:', error, entry);
+    }
+}
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -26,105 +116,136 @@ module.exports = async function handler(req, res) {
     });
 
     try {
-        const { anonymousId, userId, email } = req.body;
-
-        if (!anonymousId || !userId) {
-            return res.status(400).json({ error: 'Missing anonymousId or userId' });
+        // Optional: a browser that hasn't been issued one yet sends none
+        const anonymousId = readDeviceToken(req);
+        if (!anonymousId && req.headers.authorization) {
+            return res.status(401).json({ error: 'Missing or invalid device token' });
         }
 
         const supabase = getSupabaseAdminClient();
 
-        // Find anonymous user record
-        const { data: anonUser } = await supabase
-            .from('dg_users')
-            .select('id')
-            .eq('anonymous_id', anonymousId)
-            .single();
+        // 403 rather than 401: the browser drops its device token on a 401
+        const authUser = await getAuthUser(supabase, req.body?.accessToken);
+        if (!authUser) {
+            return res.status(403).json({ error: 'Missing or invalid access token' });
+        }
+
+        const email = authUser.email ? authUser.email.trim().toLowerCase() : null;
+
+        const [{ data: deviceUser, error: anonError }, { data: existingAuthUser, error: authUserError }] = await Promise.all([
+            anonymousId
+                ? supabase.from('dg_users').select('id, auth_user_id').eq('anonymous_id', anonymousId).maybeSingle()
+                : { data: null, error: null },
+            supabase.from('dg_users').select('id, anonymous_id').eq('auth_user_id', authUser.id).maybeSingle()
+        ]);
+
+        if (anonError || authUserError) {
+            console.error('Error finding progress to link:', anonError || authUserError);
+            return res.status(500).json({ error: 'Failed to link progress' });
+        }
+
+        // Another account's record is never linked or merged
+        const anonUser = deviceUser && (!deviceUser.auth_user_id || deviceUser.auth_user_id === authUser.id) ? deviceUser : null;
 
         if (!anonUser) {
-            // No anonymous progress to link
+            // Nothing of this browser's to link; it moves onto the account's record
+            let account = existingAuthUser;
+            if (!account) {
+                try {
+                    account = await createAccountRecord(supabase, authUser, email);
+                } catch (createError) {
+                    console.error('Error creating account record:', createError);
+                    return res.status(500).json({ error: 'Failed to link progress' });
+                }
+            }
+
             return res.status(200).json({
                 success: true,
-                linked: false,
-                message: 'No anonymous progress found to link'
+                linked: true,
+                merged: false,
+                anonymousId: account.anonymous_id,
+                token: issueDeviceToken(account.anonymous_id),
+                message: 'Switched to the account\'s progress'
             });
         }
 
-        // Check if authenticated user already has a dg_users record
-        const { data: existingAuthUser } = await supabase
-            .from('dg_users')
-            .select('id')
-            .eq('email', email)
-            .single();
+        if (existingAuthUser && existingAuthUser.id === anonUser.id) {
+            // This browser's progress is the account's own record
+            return res.status(200).json({
+                success: true,
+                linked: true,
+                merged: false,
+                message: 'Progress already linked to this account'
+            });
+        }
 
         if (existingAuthUser) {
             // User already has progress - merge anonymous into existing
-            // Transfer quiz attempts from anonymous to authenticated user
-            const { data: anonAttempts } = await supabase
-                .from('dg_quiz_attempts')
-                .select('*')
-                .eq('user_id', anonUser.id);
-
-            if (anonAttempts && anonAttempts.length > 0) {
-                // Get existing attempts for the authenticated user
-                const { data: authAttempts } = await supabase
-                    .from('dg_quiz_attempts')
-                    .select('chapter_number, percentage')
-                    .eq('user_id', existingAuthUser.id);
-
-                const authBestScores = new Map();
-                if (authAttempts) {
-                    authAttempts.forEach(a => {
-                        const existing = authBestScores.get(a.chapter_number);
-                        if (!existing || a.percentage > existing) {
-                            authBestScores.set(a.chapter_number, a.percentage);
-                        }
-                    });
-                }
-
-                // Only transfer attempts that are better than existing
-                for (const attempt of anonAttempts) {
-                    const existingBest = authBestScores.get(attempt.chapter_number);
-                    if (!existingBest || attempt.percentage > existingBest) {
-                        // Insert as new attempt for authenticated user
-                        await supabase
-                            .from('dg_quiz_attempts')
-                            .insert({
-                                user_id: existingAuthUser.id,
-                                chapter_number: attempt.chapter_number,
-                                score: attempt.score,
-                                total_questions: attempt.total_questions,
-                                percentage: attempt.percentage,
-                                hints_used: attempt.hints_used,
-                                completed_at: attempt.completed_at
-                            });
-                    }
-                }
+            let attemptsMoved;
+            try {
+                attemptsMoved = await mergeUsers(supabase, anonUser.id, existingAuthUser.id);
+            } catch (mergeError) {
+                console.error('Error merging progress:', mergeError);
+                return res.status(500).json({ error: 'Failed to merge progress' });
             }
 
-            // Delete anonymous user record (cascades to attempts)
-            await supabase
-                .from('dg_users')
-                .delete()
-                .eq('id', anonUser.id);
+            await writeAudit(supabase, {
+                action: 'merged',
+                auth_user_id: authUser.id,
+                email: email,
+                anonymous_id: anonymousId,
+                from_user_id: anonUser.id,
+                to_user_id: existingAuthUser.id,
+                attempts_moved: attemptsMoved
+            });
 
             return res.status(200).json({
                 success: true,
                 linked: true,
                 merged: true,
+                // The account's record, for this browser to use from now on
+                anonymousId: existingAuthUser.anonymous_id,
+                token: issueDeviceToken(existingAuthUser.anonymous_id),
                 message: 'Merged anonymous progress into existing account'
             });
         }
 
-        // No existing authenticated record - update anonymous record with email
-        await supabase
+        // No existing authenticated record - this record becomes the account's
+        const link = {
+            auth_user_id: authUser.id,
+            email: email,
+            last_seen_at: new Date().toISOString()
+        };
+        let { error: linkError } = await supabase
             .from('dg_users')
-            .update({
-                email: email,
-                last_seen_at: new Date().toISOString()
-            })
+            .update(link)
             .eq('id', anonUser.id);
 
+        if (linkError && linkError.code === UNIQUE_VIOLATION) {
+            // Another record was given this email at the quiz email prompt; it isn't
+            // proof of anything, so link without it rather than take it over
+            delete link.email;
+            ({ error: linkError } = await supabase
+                .from('dg_users')
+                .update(link)
+                .eq('id', anonUser.id));
+        }
+
+        if (linkError) {
+            console.error('Error linking progress:', linkError);
+            return res.status(500).json({ error: 'Failed to link progress' });
+        }
+
+        await writeAudit(supabase, {
+            action: 'linked',
+            auth_user_id: authUser.id,
+            email: email,
+            anonymous_id: anonymousId,
+            from_user_id: anonUser.id,
+            to_user_id: anonUser.id,
+            attempts_moved: 0
+        });
+
         return res.status(200).json({
             success: true,
             linked: true,
@@ -0,0 +1,13 @@
+/**
+ * Rules for stored quiz attempts shared by the API handlers
+ */
+
+// Same rule as dg_attempt_passed in supabase-schema.sql: each attempt records
+// whether it met its quiz's pass mark; older ones, from before that, passed at 70%
+function attemptPassed(attempt) {
+    return attempt.passed ?? attempt.percentage >= 70;
+}
+
+module.exports = {
+    attemptPassed
+};
@@ -0,0 +1,63 @@
+/**
+ * Signed device tokens for The Debate Guide
+ * Each browser gets an anonymous ID from /api/auth/device along with a token,
+ * "<anonymousId>.<signature>", that it sends to the quiz endpoints as
+ * "Authorization: Bearer <token>". The anonymous ID alone is no longer a
+ * credential: only the server can sign one.
+ */
+
+const crypto = require('crypto');
+
+// Anonymous IDs the browser made up itself before device tokens; getDeviceToken
+// in src/js/quiz.js sends one as legacyId, and each can be exchanged for a token once
+const LEGACY_ANONYMOUS_ID = /^anon_[a-z0-9]{1,12}_[a-z0-9]{1,10}$/;
+
+// Anonymous IDs handed out by createAnonymousId
+const ANONYMOUS_ID = /^dev_[0-9a-f-]{36}$/;
+
+function getSecret() {
+    const secret = process.env.DEVICE_TOKEN_SECRET;
+
+    if (!secret) {
+        throw new Error('Missing DEVICE_TOKEN_SECRET environment variable');
+    }
+
+    return secret;
+}
+
+function sign(anonymousId) {
+    return crypto.createHmac('sha256', getSecret()).update(`device:${anonymousId}`).digest('base64url');
+}
+
+function createAnonymousId() {
+    return `dev_${crypto.randomUUID()}`;
+}
+
+function issueDeviceToken(anonymousId) {
+    return `${anonymousId}.${sign(anonymousId)}`;
+}
+
+/**
+ * The anonymous ID a request's device token was issued for, or null when
+ * the token is missing or its signature doesn't match
+ */
+function readDeviceToken(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+
+    const [anonymousId, signature] = header.slice('Bearer '.length).trim().split('.');
+    if (!signature || !(ANONYMOUS_ID.test(anonymousId) || LEGACY_ANONYMOUS_ID.test(anonymousId))) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(anonymousId));
+    const actual = Buffer.from(signature);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? anonymousId : null;
+}
+
+module.exports = {
+    LEGACY_ANONYMOUS_ID,
+    createAnonymousId,
+    issueDeviceToken,
+    readDeviceToken
+};
@@ -0,0 +1,92 @@
+/**
+ * Learner state as stored in Supabase: dg_achievements, dg_review_cards,
+ * dg_chapter_visits and dg_learner_state, one set of rows per dg_users record
+ * Used by api/quiz/state.js to sync a device and by api/auth/link-progress.js
+ * to fold a device's record into an account's
+ */
+
+const { emptyState, toLearnerState, toChapter } = require('../../lib/learner-state');
+
+/**
+ * The stored state, shaped like the browser's (see getLearnerState in src/js/quiz.js)
+ */
+async function loadState(supabase, userId) {
+    const [achievements, cards, visits, learner] = await Promise.all([
+        supabase.from('dg_achievements').select('achievement_id, unlocked_at').eq('user_id', userId),
+        supabase.from('dg_review_cards').select('card_key, card').eq('user_id', userId),
+        supabase.from('dg_chapter_visits').select('chapter_number').eq('user_id', userId),
+        supabase.from('dg_learner_state').select('streak, last_read').eq('user_id', userId).maybeSingle()
+    ]);
+
+    const failed = [achievements, cards, visits, learner].find(result => result.error);
+    if (failed) throw failed.error;
+
+    const state = emptyState();
+    achievements.data.forEach(row => {
+        state.achievements.unlocked.push(row.achievement_id);
+        state.achievements.stats[row.achievement_id] = row.unlocked_at ? { unlockedAt: row.unlocked_at } : {};
+    });
+    if (learner.data && learner.data.streak) {
+        Object.assign(state.achievements.stats, learner.data.streak);
+    }
+    cards.data.forEach(row => {
+        state.reviewCards[row.card_key] = row.card;
+    });
+    state.visitedChapters = visits.data.map(row => toChapter(row.chapter_number)).sort();
+    state.lastRead = learner.data ? learner.data.last_read : null;
+
+    // Normalized through the same rules a device's state goes through
+    return toLearnerState(state);
+}
+
+/**
+ * Write whatever the merge changed; rows are only ever added or replaced
+ */
+async function saveState(supabase, userId, stored, merged) {
+    const changedCards = Object.entries(merged.reviewCards)
+        .filter(([key, card]) => JSON.stringify(card) !== JSON.stringify(stored.reviewCards[key]));
+    const newAchievements = merged.achievements.unlocked
+        .filter(id => !stored.achievements.unlocked.includes(id) ||
+            merged.achievements.stats[id].unlockedAt !== stored.achievements.stats[id].unlockedAt);
+    const newVisits = merged.visitedChapters.filter(chapter => !stored.visitedChapters.includes(chapter));
+    const { lastStudyDate, currentStreak } = merged.achievements.stats;
+
+    const writes = [
+        supabase.from('dg_learner_state').upsert({
+            user_id: userId,
+            streak: lastStudyDate ? { lastStudyDate, currentStreak } : null,
+            last_read: merged.lastRead,
+            updated_at: new Date().toISOString()
+        })
+    ];
+    if (newAchievements.length > 0) {
+        writes.push(supabase.from('dg_achievements').upsert(newAchievements.map(id => ({
+            user_id: userId,
+            achievement_id: id,
+            unlocked_at: merged.achievements.stats[id].unlockedAt || null
+        }))));
+    }
+    if (changedCards.length > 0) {
+        writes.push(supabase.from('dg_review_cards').upsert(changedCards.map(([key, card]) => ({
+            user_id: userId,
+            card_key: key,
+            card: card,
+            last_reviewed_at: card.lastReviewedAt
+        }))));
+    }
+    if (newVisits.length > 0) {
+        writes.push(supabase.from('dg_chapter_visits').upsert(newVisits.map(chapter => ({
+            user_id: userId,
+            chapter_number: Number(chapter)
+        }))));
+    }
+
+    const results = await Promise.all(writes);
+    const failed = results.find(result => result.error);
+    if (failed) throw failed.error;
+}
+
+module.exports = {
+    loadState,
+    saveState
+};
@@ -64,16 +64,26 @@ function validateAdminAuth(req) {
     return false;
 }
 
+// The Supabase Auth user a session access token belongs to, or null for a
+// forged, expired or signed-out token
+async function getAuthUser(supabase, accessToken) {
+    if (typeof accessToken !== 'string' || !accessToken) return null;
+
+    const { data, error } = await supabase.auth.getUser(accessToken);
+    return error || !data || !data.user ? null : data.user;
+}
+
 // CORS headers for API responses
 const corsHeaders = {
     'Access-Control-Allow-Origin': '*',
     'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Admin-Password',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Access-Token, X-Admin-Password',
 };
 
 module.exports = {
     getSupabaseClient,
     getSupabaseAdminClient,
     validateAdminAuth,
+    getAuthUser,
     corsHeaders
 };
@@ -0,0 +1,108 @@
+/**
+ * GET /api/quiz/history
+ * Per-question answer history for adaptive practice
+ * Returns attempts and misses keyed "<chapter>:<questionId>", the same keys
+ * src/js/quiz.js uses for review cards
+ *
+ * Requires the device token from /api/auth/device (api/lib/device-token.js)
+ *
+ * Query params:
+ * - chapter: Limit to one chapter (optional)
+ */
+
+const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { readDeviceToken } = require('../lib/device-token');
+
+module.exports = async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        Object.entries(corsHeaders).forEach(([key, value]) => {
+            res.setHeader(key, value);
+        });
+        return res.status(200).json({ ok: true });
+    }
+
+    // Only allow GET
+    if (req.method !== 'GET') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const anonymousId = readDeviceToken(req);
+        if (!anonymousId) {
+            return res.status(401).json({ error: 'Missing or invalid device token' });
+        }
+
+        const chapter = req.query.chapter ? parseInt(req.query.chapter, 10) : null;
+
+        if (chapter !== null && (isNaN(chapter) || chapter < 1 || chapter > 20)) {
+            return res.status(400).json({ error: 'Invalid chapter number (must be 1-20)' });
+        }
+
+        const supabase = getSupabaseAdminClient();
+
+        // Find user by anonymous ID
+        const { data: user, error: userError } = await supabase
+            .from('dg_users')
+            .select('id')
+            .eq('anonymous_id', anonymousId)
+            .single();
+
+        if (userError || !user) {
+            return res.status(200).json({
+                success: true,
+                found: false,
+                questions: {}
+            });
+        }
+
+        // Responses recorded before question ids existed can't be matched to a question
+        const { data: responses, error: responsesError } = await supabase
+            .from('dg_question_responses')
+            .select(`
+                question_id,
+                question_type,
+                is_correct,
+                chapter_number,
+                attempt:dg_quiz_attempts!inner(user_id, chapter_number)
+            `)
+            .eq('attempt.user_id', user.id)
+            .not('question_id', 'is', null)
+            .limit(5000);
+
+        if (responsesError) {
+            console.error('Error fetching question history:', responsesError);
+            return res.status(500).json({ error: 'Failed to fetch history' });
+        }
+
+        const questions = {};
+        (responses || []).forEach(r => {
+            // Exam responses carry their own chapter
+            const chapterNumber = r.chapter_number || r.attempt?.chapter_number;
+            if (!chapterNumber || (chapter && chapterNumber !== chapter)) return;
+
+            const key = `${chapterNumber}:${r.question_id}`;
+            const record = questions[key] || (questions[key] = { attempts: 0, misses: 0, questionType: r.question_type });
+            record.attempts++;
+            if (!r.is_correct) record.misses++;
+        });
+
+        return res.status(200).json({
+            success: true,
+            found: true,
+            questions: questions
+        });
+
+    } catch (error) {
+        console.error('History fetch error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
@@ -1,10 +1,11 @@
 /**
  * GET /api/quiz/progress
  * Fetch user's progress from Supabase for cross-device sync
- * Returns best scores per chapter for the given anonymous ID
+ * Returns best scores per chapter for the reader whose device token is sent
  */
 
-const { getSupabaseClient, corsHeaders } = require('../lib/supabase');
+const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { readDeviceToken } = require('../lib/device-token');
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -26,13 +27,12 @@ module.exports = async function handler(req, res) {
     });
 
     try {
-        const anonymousId = req.query.anonymousId;
-
+        const anonymousId = readDeviceToken(req);
         if (!anonymousId) {
-            return res.status(400).json({ error: 'Missing anonymousId query parameter' });
+            return res.status(401).json({ error: 'Missing or invalid device token' });
         }
 
-        const supabase = getSupabaseClient();
+        const supabase = getSupabaseAdminClient();
 
         // Find user by anonymous ID
         const { data: user, error: userError } = await supabase
@@ -54,8 +54,9 @@ module.exports = async function handler(req, res) {
         // Get all quiz attempts for this user
         const { data: attempts, error: attemptsError } = await supabase
             .from('dg_quiz_attempts')
-            .select('chapter_number, score, total_questions, percentage, hints_used, completed_at')
+            .select('chapter_number, score, total_questions, percentage, hints_used, completed_at, verification_code')
             .eq('user_id', user.id)
+            .is('exam_id', null) // Exam attempts are tracked separately from chapter progress
             .order('completed_at', { ascending: false });
 
         if (attemptsError) {
@@ -82,7 +83,8 @@ module.exports = async function handler(req, res) {
                         percentage: attempt.percentage,
                         hintsUsed: attempt.hints_used || 0,
                         completedAt: attempt.completed_at,
-                        attempts: attemptCounts[chapterId]
+                        attempts: attemptCounts[chapterId],
+                        certificateCode: attempt.verification_code || null
                     };
                 } else {
                     // Update attempt count even if not best score
@@ -0,0 +1,105 @@
+/**
+ * GET  /api/quiz/state
+ * POST /api/quiz/state { state }
+ * Learner state beyond quiz scores, for cross-device sync: achievements and
+ * the study streak, spaced-repetition cards, chapters read and the last
+ * chapter open. POST merges the device's state into the stored one (rules in
+ * lib/learner-state.js), saves what changed and returns the merged state,
+ * which the device merges back in.
+ * Requires the device token from /api/auth/device (api/lib/device-token.js).
+ * Sent with the Supabase session's access token as well (in X-Access-Token,
+ * since Authorization carries the device token), the state is the
+ * signed-in account's (matched on auth_user_id, as in api/auth/link-progress.js),
+ * so every device the reader signs in on shares it. Without one, or with one
+ * that doesn't verify, it is the device's own.
+ */
+
+const { getSupabaseAdminClient, getAuthUser, corsHeaders } = require('../lib/supabase');
+const { readDeviceToken } = require('../lib/device-token');
+const { loadState, saveState } = require('../lib/learner-state-store');
+const { emptyState, mergeLearnerState, toLearnerState } = require('../../lib/learner-state');
+
+/**
+ * The dg_users record the state is kept under: the signed-in account's when
+ * it has one, otherwise the device's
+ */
+async function findUser(supabase, anonymousId, authUser) {
+    if (authUser) {
+        const { data, error } = await supabase
+            .from('dg_users')
+            .select('id')
+            .eq('auth_user_id', authUser.id)
+            .maybeSingle();
+        if (error) throw error;
+        if (data) return data.id;
+    }
+
+    const { data } = await supabase
+        .from('dg_users')
+        .select('id')
+        .eq('anonymous_id', anonymousId)
+        .single();
+    return data ? data.id : null;
+}
+
+module.exports = async function handler(req, res) {
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        return res.status(200).json({ ok: true });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    try {
+        const anonymousId = readDeviceToken(req);
+        if (!anonymousId) {
+            return res.status(401).json({ error: 'Missing or invalid device token' });
+        }
+
+        const supabase = getSupabaseAdminClient();
+        const authUser = await getAuthUser(supabase, req.headers['x-access-token']);
+        let userId = await findUser(supabase, anonymousId, authUser);
+
+        if (req.method === 'GET') {
+            if (!userId) {
+                return res.status(200).json({ success: true, found: false, state: emptyState() });
+            }
+            return res.status(200).json({ success: true, found: true, state: await loadState(supabase, userId) });
+        }
+
+        if (!userId) {
+            const { data: newUser, error: userError } = await supabase
+                .from('dg_users')
+                .insert({ anonymous_id: anonymousId, device_token_issued_at: new Date().toISOString() })
+                .select('id')
+                .single();
+
+            if (userError) {
+                console.error('Error creating user:', userError);
+                return res.status(500).json({ error: 'Failed to create user' });
+            }
+
+            userId = newUser.id;
+        }
+
+        const stored = await loadState(supabase, userId);
+        const merged = mergeLearnerState(stored, toLearnerState(req.body.state));
+        await saveState(supabase, userId, stored, merged);
+
+        return res.status(200).json({ success: true, found: true, state: merged });
+
+    } catch (error) {
+        console.error('Learner state sync error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
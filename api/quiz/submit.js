@@ -1,9 +1,74 @@
 /**
  * POST /api/quiz/submit
  * Save quiz attempt and individual question responses to Supabase
+ * Accepts chapter quizzes (chapterNumber) and cumulative exams (examId)
+ * Scores are re-graded from the raw answers and seed (lib/quiz-grading.js);
+ * an attempt whose reported score doesn't follow from its answers is rejected
+ * Retries from the offline outbox repeat the attempt's idempotencyKey; an
+ * attempt the same reader already stored under that key is reported, not
+ * inserted again
+ * Requires the device token from /api/auth/device (api/lib/device-token.js)
  */
 
-const { getSupabaseClient, corsHeaders } = require('../lib/supabase');
+const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { readDeviceToken } = require('../lib/device-token');
+const { gradeSubmission } = require('../../lib/quiz-grading');
+const { DEFAULT_SCORING } = require('../../lib/quiz-scoring');
+
+// Matches the exam ids generated by src/_data/exams.js
+const EXAM_IDS = ['part-1', 'part-2', 'part-3', 'part-4', 'part-5', 'final'];
+
+// Matches TIMER_MODES in src/js/quiz.js
+const TIMER_MODES = ['constructive', 'rebuttal', 'cross-ex'];
+
+// Certificate codes from generateCertificateCode in src/js/quiz.js
+const CERTIFICATE_CODE = /^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/;
+
+// Keys from createIdempotencyKey in src/js/quiz-outbox.js (a UUID, or 32 hex digits)
+const IDEMPOTENCY_KEY = /^[0-9a-f-]{32,36}$/i;
+
+// Postgres error code for a unique constraint violation
+const UNIQUE_VIOLATION = '23505';
+
+function toPercent(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 100 ? value : null;
+}
+
+// The scoring policy the attempt was scored under (the quiz's own "scoring" over
+// DEFAULT_SCORING), keeping only the fields lib/quiz-schema.json defines
+function toScoringPolicy(scoring) {
+    if (!scoring || typeof scoring !== 'object') return null;
+    const penalty = scoring.hintPenalty && typeof scoring.hintPenalty === 'object' ? scoring.hintPenalty : {};
+    const defaults = DEFAULT_SCORING.hintPenalty;
+    return {
+        hintPenalty: {
+            perHint: toPercent(penalty.perHint) ?? defaults.perHint,
+            max: toPercent(penalty.max) ?? defaults.max,
+            freeHints: Number.isInteger(penalty.freeHints) && penalty.freeHints >= 0 ? penalty.freeHints : defaults.freeHints
+        },
+        partialCredit: typeof scoring.partialCredit === 'boolean' ? scoring.partialCredit : DEFAULT_SCORING.partialCredit,
+        negativeMarking: typeof scoring.negativeMarking === 'number' && scoring.negativeMarking >= 0 && scoring.negativeMarking <= 1
+            ? scoring.negativeMarking
+            : DEFAULT_SCORING.negativeMarking
+    };
+}
+
+function toSeconds(value) {
+    return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+// Stated chance of being right, from CONFIDENCE_LEVELS in src/js/quiz.js
+function toConfidence(value) {
+    return typeof value === 'number' && value >= 0 && value <= 1 ? value : null;
+}
+
+// Self-scored rubric points for argument questions; null for every other type
+function toRubricScore(points, total) {
+    if (!Number.isInteger(points) || !Number.isInteger(total) || points < 0 || total < 1 || points > total) {
+        return { rubric_points: null, rubric_total: null };
+    }
+    return { rubric_points: points, rubric_total: total };
+}
 
 module.exports = async function handler(req, res) {
     // Handle CORS preflight
@@ -22,32 +87,58 @@ module.exports = async function handler(req, res) {
     });
 
     try {
+        const anonymousId = readDeviceToken(req);
+        if (!anonymousId) {
+            return res.status(401).json({ error: 'Missing or invalid device token' });
+        }
+
         const {
-            anonymousId,
             email,
             chapterNumber,
+            examId,
+            seed, // Seeds the exam draw and the answer-option shuffle; null for chapter attempts started before shuffles were seeded
             score,
             totalQuestions,
-            percentage,
-            hintsUsed,
+            percentage, // After the scoring policy; decides the pass
             timeTakenSeconds,
-            responses // Array of { questionIndex, questionType, questionText, userAnswer, correctAnswer, isCorrect, hintsUsedForQuestion }
+            timerMode,
+            verificationCode, // Passing chapter attempts only
+            idempotencyKey, // Same on every retry of one attempt
+            responses // Array of { questionIndex, chapterNumber, questionId, questionVersion, rawAnswer, isCorrect, hintsUsedForQuestion, timeSeconds, confidence, rubricPoints, ... }
         } = req.body;
 
         // Validate required fields
-        if (!anonymousId || !chapterNumber || score === undefined || !totalQuestions || percentage === undefined) {
+        if (!(chapterNumber || examId) || seed === undefined || score === undefined || !totalQuestions || percentage === undefined || !Array.isArray(responses)) {
             return res.status(400).json({
                 error: 'Missing required fields',
-                required: ['anonymousId', 'chapterNumber', 'score', 'totalQuestions', 'percentage']
+                required: ['chapterNumber or examId', 'seed', 'score', 'totalQuestions', 'percentage', 'responses']
             });
         }
 
-        // Validate chapter number
-        if (chapterNumber < 1 || chapterNumber > 20) {
+        if (examId) {
+            if (chapterNumber) {
+                return res.status(400).json({ error: 'Send either chapterNumber or examId, not both' });
+            }
+            if (!EXAM_IDS.includes(examId)) {
+                return res.status(400).json({ error: `Invalid exam id (must be one of ${EXAM_IDS.join(', ')})` });
+            }
+        } else if (chapterNumber < 1 || chapterNumber > 20) {
+            // Validate chapter number
             return res.status(400).json({ error: 'Invalid chapter number (must be 1-20)' });
         }
 
-        const supabase = getSupabaseClient();
+        if (idempotencyKey !== undefined && !(typeof idempotencyKey === 'string' && IDEMPOTENCY_KEY.test(idempotencyKey))) {
+            return res.status(400).json({ error: 'Invalid idempotency key' });
+        }
+
+        // Score the answers against the quiz files; the reported score only has to agree
+        const graded = gradeSubmission(req.body);
+        if (graded.error) {
+            return res.status(422).json({ error: graded.error });
+        }
+        const { result } = graded;
+
+        const supabase = getSupabaseAdminClient();
 
         // Get or create user
         let userId;
@@ -73,7 +164,7 @@ module.exports = async function handler(req, res) {
                 .eq('id', userId);
         } else {
             // Create new user with email if provided
-            const insertData = { anonymous_id: anonymousId };
+            const insertData = { anonymous_id: anonymousId, device_token_issued_at: new Date().toISOString() };
             if (email && typeof email === 'string' && email.includes('@')) {
                 insertData.email = email.trim().toLowerCase();
             }
@@ -91,37 +182,90 @@ module.exports = async function handler(req, res) {
             userId = newUser.id;
         }
 
+        // A retry of an attempt this reader already sent; keys are only unique
+        // per reader, so another reader's attempt is never matched
+        const findDuplicate = async () => {
+            if (!idempotencyKey) return null;
+            const { data } = await supabase
+                .from('dg_quiz_attempts')
+                .select('id')
+                .eq('user_id', userId)
+                .eq('idempotency_key', idempotencyKey)
+                .maybeSingle();
+            return data;
+        };
+
+        const duplicate = await findDuplicate();
+        if (duplicate) {
+            return res.status(200).json({
+                success: true,
+                duplicate: true,
+                attemptId: duplicate.id,
+                userId: userId
+            });
+        }
+
         // Insert quiz attempt
         const { data: attempt, error: attemptError } = await supabase
             .from('dg_quiz_attempts')
             .insert({
                 user_id: userId,
-                chapter_number: chapterNumber,
-                score: score,
-                total_questions: totalQuestions,
-                percentage: percentage,
-                hints_used: hintsUsed || 0,
-                time_taken_seconds: timeTakenSeconds || null
+                chapter_number: examId ? null : chapterNumber,
+                exam_id: examId || null,
+                exam_seed: examId ? seed : null,
+                chapter_scores: graded.chapterScores,
+                score: result.correct,
+                total_questions: result.total,
+                percentage: result.percentage,
+                raw_percentage: result.rawPercentage,
+                passed: result.passed,
+                scoring_policy: toScoringPolicy(result.scoring),
+                hints_used: result.hintsUsed,
+                time_taken_seconds: toSeconds(timeTakenSeconds),
+                timer_mode: TIMER_MODES.includes(timerMode) ? timerMode : null,
+                // Only a pass earns a certificate the verify endpoint will vouch for
+                verification_code: !examId && result.passed && CERTIFICATE_CODE.test(verificationCode) ? verificationCode : null,
+                idempotency_key: idempotencyKey || null
             })
             .select('id')
             .single();
 
         if (attemptError) {
+            // The same attempt sent twice at once (page and service worker): the other insert won
+            const raced = attemptError.code === UNIQUE_VIOLATION ? await findDuplicate() : null;
+            if (raced) {
+                return res.status(200).json({
+                    success: true,
+                    duplicate: true,
+                    attemptId: raced.id,
+                    userId: userId
+                });
+            }
+
             console.error('Error creating quiz attempt:', attemptError);
             return res.status(500).json({ error: 'Failed to save quiz attempt' });
         }
 
-        // Insert question responses if provided
-        if (responses && Array.isArray(responses) && responses.length > 0) {
-            const responseRecords = responses.map(r => ({
+        // Insert question responses, with answers, correctness and credit as graded here
+        if (graded.responses.length > 0) {
+            const responseRecords = graded.responses.map(r => ({
                 attempt_id: attempt.id,
                 question_index: r.questionIndex,
-                question_type: r.questionType || 'unknown',
-                question_text: r.questionText || null,
+                question_id: typeof r.questionId === 'string' ? r.questionId.slice(0, 64) : null,
+                question_version: typeof r.questionVersion === 'string' ? r.questionVersion.slice(0, 32) : null,
+                // Exam questions come from several chapters; chapter quizzes use the attempt's chapter
+                chapter_number: examId && Number.isInteger(r.chapterNumber) ? r.chapterNumber : null,
+                question_type: r.questionType,
+                question_text: r.questionText,
                 user_answer: r.userAnswer !== undefined ? JSON.stringify(r.userAnswer) : null,
                 correct_answer: r.correctAnswer !== undefined ? JSON.stringify(r.correctAnswer) : null,
-                is_correct: r.isCorrect === true,
-                hints_used_for_question: r.hintsUsedForQuestion || 0
+                is_correct: r.isCorrect,
+                hints_used_for_question: r.hintsUsedForQuestion,
+                time_seconds: toSeconds(r.timeSeconds),
+                confidence: toConfidence(r.confidence),
+                ...toRubricScore(r.rubricPoints, r.rubricTotal),
+                credit: r.credit,
+                item_results: r.itemResults
             }));
 
             const { error: responsesError } = await supabase
@@ -0,0 +1,166 @@
+/**
+ * /api/quiz/verify
+ * Certificate verification
+ *
+ * GET: confirm a certificate code against dg_quiz_attempts
+ * Query params:
+ * - code: Code printed on the certificate (required)
+ *
+ * POST: set the name printed on a reader's certificates
+ * Body: { code, name }; the code must belong to the reader whose device
+ * token (api/lib/device-token.js) is sent
+ */
+
+const { getSupabaseAdminClient, corsHeaders } = require('../lib/supabase');
+const { readDeviceToken } = require('../lib/device-token');
+const { attemptPassed } = require('../lib/attempts');
+
+const TOTAL_CHAPTERS = 20;
+const MAX_NAME_LENGTH = 80;
+
+// Certificate codes from generateCertificateCode in src/js/quiz.js
+const CERTIFICATE_CODE = /^[0-9A-HJKMNP-TV-Z]{4}-[0-9A-HJKMNP-TV-Z]{4}$/;
+
+/**
+ * Tidy a typed code: case, spaces and the letters Crockford base32 reads as digits
+ * Returns null when it can't be a certificate code
+ */
+function normalizeCode(value) {
+    if (typeof value !== 'string') return null;
+    const chars = value.toUpperCase().replace(/[^0-9A-Z]/g, '').replace(/O/g, '0').replace(/[IL]/g, '1');
+    const code = `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    return CERTIFICATE_CODE.test(code) ? code : null;
+}
+
+async function verifyCertificate(supabase, code, res) {
+    const { data: attempt, error: attemptError } = await supabase
+        .from('dg_quiz_attempts')
+        .select('user_id, chapter_number, score, total_questions, percentage, passed, completed_at, user:dg_users(display_name)')
+        .eq('verification_code', code)
+        .single();
+
+    // Against the pass mark of the quiz the attempt was for
+    if (attemptError || !attempt || !attemptPassed(attempt)) {
+        return res.status(200).json({ success: true, valid: false });
+    }
+
+    // Chapters passed by the time of this attempt, for The Complete Journey certificate
+    const { data: chapterAttempts, error: passesError } = await supabase
+        .from('dg_quiz_attempts')
+        .select('chapter_number, percentage, passed')
+        .eq('user_id', attempt.user_id)
+        .is('exam_id', null)
+        .lte('completed_at', attempt.completed_at);
+
+    if (passesError) {
+        console.error('Error counting passed chapters:', passesError);
+        return res.status(500).json({ error: 'Failed to verify certificate' });
+    }
+
+    const chaptersPassed = new Set((chapterAttempts || []).filter(attemptPassed).map(p => p.chapter_number)).size;
+
+    return res.status(200).json({
+        success: true,
+        valid: true,
+        certificate: {
+            code: code,
+            name: attempt.user?.display_name || null,
+            chapterNumber: attempt.chapter_number,
+            score: attempt.score,
+            totalQuestions: attempt.total_questions,
+            percentage: attempt.percentage,
+            completedAt: attempt.completed_at,
+            chaptersPassed: chaptersPassed,
+            journeyComplete: chaptersPassed === TOTAL_CHAPTERS
+        }
+    });
+}
+
+async function setCertificateName(supabase, code, req, res) {
+    const anonymousId = readDeviceToken(req);
+    if (!anonymousId) {
+        return res.status(401).json({ error: 'Missing or invalid device token' });
+    }
+
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    if (!name) {
+        return res.status(400).json({ error: 'Missing name' });
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return res.status(400).json({ error: `Name must be ${MAX_NAME_LENGTH} characters or fewer` });
+    }
+
+    const { data: user, error: userError } = await supabase
+        .from('dg_users')
+        .select('id')
+        .eq('anonymous_id', anonymousId)
+        .single();
+
+    if (userError || !user) {
+        return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    // Only the reader who earned the certificate can name it
+    const { data: attempt } = await supabase
+        .from('dg_quiz_attempts')
+        .select('id')
+        .eq('verification_code', code)
+        .eq('user_id', user.id)
+        .single();
+
+    if (!attempt) {
+        return res.status(404).json({ error: 'Certificate not found' });
+    }
+
+    const { error: updateError } = await supabase
+        .from('dg_users')
+        .update({ display_name: name })
+        .eq('id', user.id);
+
+    if (updateError) {
+        console.error('Error saving certificate name:', updateError);
+        return res.status(500).json({ error: 'Failed to save name' });
+    }
+
+    return res.status(200).json({ success: true });
+}
+
+module.exports = async function handler(req, res) {
+    // Handle CORS preflight
+    if (req.method === 'OPTIONS') {
+        Object.entries(corsHeaders).forEach(([key, value]) => {
+            res.setHeader(key, value);
+        });
+        return res.status(200).json({ ok: true });
+    }
+
+    if (req.method !== 'GET' && req.method !== 'POST') {
+        return res.status(405).json({ error: 'Method not allowed' });
+    }
+
+    // Set CORS headers
+    Object.entries(corsHeaders).forEach(([key, value]) => {
+        res.setHeader(key, value);
+    });
+
+    try {
+        const code = normalizeCode(req.method === 'GET' ? req.query.code : req.body?.code);
+
+        if (!code) {
+            return res.status(400).json({ error: 'Missing or malformed certificate code' });
+        }
+
+        const supabase = getSupabaseAdminClient();
+
+        return req.method === 'GET'
+            ? await verifyCertificate(supabase, code, res)
+            : await setCertificateName(supabase, code, req, res);
+
+    } catch (error) {
+        console.error('Certificate verification error:', error);
+        return res.status(500).json({
+            error: 'Internal server error',
+            message: error.message
+        });
+    }
+};
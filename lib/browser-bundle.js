@@ -0,0 +1,48 @@
+/**
+ * Bundle CommonJS modules into one browser script
+ * Each module becomes a function in a small require() table, so code in
+ * lib/ runs unchanged on the site. Used by lib/quiz-validator-browser.js,
+ * lib/quiz-scoring-browser.js and lib/learner-state-browser.js, which the
+ * build serves through shortcodes.
+ */
+
+function wrapModule(name, source) {
+    // Source map comments would point at files the site doesn't serve
+    const code = source.replace(/^\/\/# sourceMappingURL=.*$/gm, '');
+    return `${JSON.stringify(name)}: function(module, exports, require) {\n${code}\n}`;
+}
+
+/**
+ * Source of a bundled script
+ * modules maps each name the bundled code require()s to its source;
+ * body runs after them and can load() any of them
+ */
+function bundleModules({ banner, modules, body }) {
+    const wrapped = Object.entries(modules).map(([name, source]) => wrapModule(name, source));
+
+    return `/* ${banner} */
+(function() {
+    'use strict';
+
+    const modules = {
+${wrapped.join(',\n')}
+    };
+    const cache = {};
+
+    function load(name) {
+        if (!cache[name]) {
+            const module = { exports: {} };
+            cache[name] = module;
+            modules[name](module, module.exports, load);
+        }
+        return cache[name].exports;
+    }
+
+${body}
+})();
+`;
+}
+
+module.exports = {
+    bundleModules
+};
@@ -0,0 +1,94 @@
+/**
+ * Chapter section anchors for The Debate Guide
+ * Gives chapter headings stable ids built from their text, so quiz questions
+ * can point back at the passage they draw on ("section": "why-we-forgot"),
+ * and checks every such reference against the rendered chapters.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { QUIZ_DIR } = require('./quiz-validator');
+
+/**
+ * "ARISTOTLE'S SYNTHESIS" -> "aristotles-synthesis"
+ */
+function slugify(text) {
+    return String(text)
+        .replace(/<[^>]*>/g, '')
+        .replace(/&[a-z0-9#]+;/gi, ' ')
+        .toLowerCase()
+        .replace(/['’]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Add an id to every h2/h3 in a chapter's content that doesn't have one
+ * Repeated headings get -2, -3, ... so every id stays unique.
+ * Returns { html, ids } with every heading id in the content.
+ */
+function addSectionIds(html) {
+    const ids = [];
+
+    const output = html.replace(/<(h[23])(\s[^>]*)?>([\s\S]*?)<\/\1>/gi, (heading, tag, attrs = '', text) => {
+        const existing = /\sid="([^"]*)"/.exec(attrs);
+        if (existing) {
+            ids.push(existing[1]);
+            return heading;
+        }
+
+        const base = slugify(text) || 'section';
+        let id = base;
+        for (let n = 2; ids.includes(id); n++) {
+            id = `${base}-${n}`;
+        }
+        ids.push(id);
+        return `<${tag} id="${id}"${attrs}>${text}</${tag}>`;
+    });
+
+    return { html: output, ids };
+}
+
+/**
+ * Check every question's "section" against the ids of its rendered chapter
+ * sectionsByChapter maps chapter number -> heading ids; chapters missing from
+ * it weren't rendered in this build and are skipped.
+ * Returns an array of { file, question, field, message }
+ */
+function checkSectionLinks(sectionsByChapter, quizDir = QUIZ_DIR) {
+    const problems = [];
+    const files = fs.readdirSync(quizDir).filter(f => /^chapter-\d+\.json$/.test(f)).sort();
+
+    for (const file of files) {
+        const chapterNumber = parseInt(file.match(/\d+/)[0], 10);
+        const ids = sectionsByChapter.get(chapterNumber);
+        if (!ids) continue;
+
+        let quiz;
+        try {
+            quiz = JSON.parse(fs.readFileSync(path.join(quizDir, file), 'utf8'));
+        } catch {
+            // Invalid JSON is already reported by the quiz validator
+            continue;
+        }
+
+        (quiz.questions || []).forEach((question, index) => {
+            if (!question || typeof question.section !== 'string' || ids.includes(question.section)) return;
+            problems.push({
+                file,
+                question: index,
+                field: 'section',
+                message: `no "${question.section}" section in chapter ${chapterNumber} (it has: ${ids.join(', ')})`
+            });
+        });
+    }
+
+    return problems;
+}
+
+module.exports = {
+    slugify,
+    addSectionIds,
+    checkSectionLinks
+};
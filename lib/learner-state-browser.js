@@ -0,0 +1,28 @@
+/**
+ * Browser build of the learner state merge rules
+ * Bundles lib/learner-state.js, the code api/quiz/state.js merges with, so
+ * syncLearnerState in src/js/quiz.js merges a device's state exactly as the
+ * server does. Served as /js/learner-state.js (see src/learner-state.njk) and
+ * exposed as window.DebateGuideLearnerState.
+ */
+
+const fs = require('fs');
+
+const { bundleModules } = require('./browser-bundle');
+
+/**
+ * Source of /js/learner-state.js
+ */
+function buildBrowserLearnerState() {
+    return bundleModules({
+        banner: 'Generated from lib/learner-state.js by lib/learner-state-browser.js',
+        modules: {
+            './learner-state': fs.readFileSync(require.resolve('./learner-state'), 'utf8')
+        },
+        body: `    window.DebateGuideLearnerState = load('./learner-state');`
+    });
+}
+
+module.exports = {
+    buildBrowserLearnerState
+};
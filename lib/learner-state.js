@@ -0,0 +1,213 @@
+/**
+ * Learner state that follows a reader between devices: achievements (with
+ * the study streak), spaced-repetition cards, chapters read and the last
+ * chapter open
+ * Both ends of a sync merge with these rules: api/quiz/state.js on the
+ * server and syncLearnerState in src/js/quiz.js, which loads this file as
+ * /js/learner-state.js (built by lib/learner-state-browser.js). Every rule
+ * gives the same result whichever side is "a", and merging again changes
+ * nothing, so devices converge in any sync order:
+ *   achievements   union; each keeps its earliest unlock time
+ *   study streak   the later lastStudyDate wins; on the same day, the longer streak
+ *   review cards   per card, the later lastReviewedAt wins; then more reviews, then later nextReview
+ *   chapters read  union
+ *   last read      the later timestamp wins
+ */
+
+const MAX_ACHIEVEMENTS = 50;
+const MAX_REVIEW_CARDS = 5000;
+const MAX_TITLE_LENGTH = 200;
+
+const ACHIEVEMENT_ID = /^[a-z0-9-]{1,40}$/;
+// getCardKey in src/js/quiz.js: "<chapter>:<questionId>"
+const CARD_KEY = /^\d{1,2}:[\w-]{1,64}$/;
+const CHAPTER_URL = /^\/chapters\/[\w/-]{1,200}$/;
+
+function emptyState() {
+    return {
+        achievements: { unlocked: [], stats: {} },
+        reviewCards: {},
+        visitedChapters: [],
+        lastRead: null
+    };
+}
+
+function time(value) {
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? 0 : parsed;
+}
+
+function mergeAchievements(a, b) {
+    const unlockedAt = {};
+    [a, b].forEach(achievements => {
+        achievements.unlocked.forEach(id => {
+            const at = (achievements.stats[id] && achievements.stats[id].unlockedAt) || null;
+            if (!(id in unlockedAt) || (at && (!unlockedAt[id] || time(at) < time(unlockedAt[id])))) {
+                unlockedAt[id] = at;
+            }
+        });
+    });
+
+    const unlocked = Object.keys(unlockedAt)
+        .sort((x, y) => time(unlockedAt[x]) - time(unlockedAt[y]) || x.localeCompare(y));
+    const stats = {};
+    unlocked.forEach(id => {
+        stats[id] = unlockedAt[id] ? { unlockedAt: unlockedAt[id] } : {};
+    });
+
+    // Study streak from checkStreakAchievement in src/js/quiz.js
+    const [x, y] = [a.stats, b.stats];
+    const dayGap = time(x.lastStudyDate) - time(y.lastStudyDate);
+    const streak = dayGap > 0 || (dayGap === 0 && (x.currentStreak || 0) >= (y.currentStreak || 0)) ? x : y;
+    if (streak.lastStudyDate) {
+        stats.lastStudyDate = streak.lastStudyDate;
+        stats.currentStreak = streak.currentStreak || 0;
+    }
+
+    return { unlocked, stats };
+}
+
+// Last tie-break for two different values of equal age, so either side picks the same one
+function compareJson(x, y) {
+    const [jx, jy] = [JSON.stringify(x), JSON.stringify(y)];
+    return jx === jy ? 0 : (jx > jy ? 1 : -1);
+}
+
+function isNewerCard(card, other) {
+    return (time(card.lastReviewedAt) - time(other.lastReviewedAt)) ||
+        ((card.reviews || 0) - (other.reviews || 0)) ||
+        (time(card.nextReview) - time(other.nextReview)) ||
+        compareJson(card, other);
+}
+
+function mergeReviewCards(a, b) {
+    const merged = {};
+    [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().forEach(key => {
+        merged[key] = !a[key] || (b[key] && isNewerCard(b[key], a[key]) > 0) ? b[key] : a[key];
+    });
+    return merged;
+}
+
+function mergeVisitedChapters(a, b) {
+    return [...new Set([...a, ...b])].sort((x, y) => Number(x) - Number(y));
+}
+
+function mergeLastRead(a, b) {
+    if (!a || !b) return a || b || null;
+    return (b.timestamp - a.timestamp || compareJson(b, a)) > 0 ? b : a;
+}
+
+function mergeLearnerState(a, b) {
+    return {
+        achievements: mergeAchievements(a.achievements, b.achievements),
+        reviewCards: mergeReviewCards(a.reviewCards, b.reviewCards),
+        visitedChapters: mergeVisitedChapters(a.visitedChapters, b.visitedChapters),
+        lastRead: mergeLastRead(a.lastRead, b.lastRead)
+    };
+}
+
+// ==========================================
+// VALIDATION (state sent by a browser)
+// ==========================================
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function toDateString(value) {
+    return typeof value === 'string' && value.length <= 40 && time(value) > 0 ? value : null;
+}
+
+function toCount(value, max) {
+    return Number.isInteger(value) && value >= 0 && value <= max ? value : 0;
+}
+
+// Chapters as navigation.js stores them: two-digit strings, "01" to "20"
+function toChapter(value) {
+    const number = parseInt(value, 10);
+    return number >= 1 && number <= 20 ? String(number).padStart(2, '0') : null;
+}
+
+function toAchievements(raw) {
+    if (!isObject(raw) || !Array.isArray(raw.unlocked)) return emptyState().achievements;
+    const stats = isObject(raw.stats) ? raw.stats : {};
+
+    const unlocked = [...new Set(raw.unlocked.filter(id => typeof id === 'string' && ACHIEVEMENT_ID.test(id)))]
+        .slice(0, MAX_ACHIEVEMENTS);
+    const achievementStats = {};
+    unlocked.forEach(id => {
+        const unlockedAt = isObject(stats[id]) ? toDateString(stats[id].unlockedAt) : null;
+        achievementStats[id] = unlockedAt ? { unlockedAt } : {};
+    });
+
+    const lastStudyDate = toDateString(stats.lastStudyDate);
+    if (lastStudyDate) {
+        achievementStats.lastStudyDate = lastStudyDate;
+        achievementStats.currentStreak = toCount(stats.currentStreak, 100000);
+    }
+
+    return { unlocked, stats: achievementStats };
+}
+
+// The fields scheduleCard and updateSpacedRepetition in src/js/quiz.js keep
+function toReviewCard(key, card) {
+    if (!CARD_KEY.test(key) || !isObject(card)) return null;
+    const [chapterId, questionId] = key.split(':');
+    return {
+        chapterId,
+        questionId,
+        questionType: typeof card.questionType === 'string' ? card.questionType.slice(0, 32) : null,
+        easeFactor: typeof card.easeFactor === 'number' && card.easeFactor >= 1.3 && card.easeFactor <= 10 ? card.easeFactor : 2.5,
+        interval: toCount(card.interval, 36500) || 1,
+        repetitions: toCount(card.repetitions, 100000),
+        lapses: toCount(card.lapses, 100000),
+        reviews: toCount(card.reviews, 100000),
+        nextReview: toDateString(card.nextReview),
+        lastReviewedAt: toDateString(card.lastReviewedAt)
+    };
+}
+
+function toReviewCards(raw) {
+    const cards = {};
+    if (!isObject(raw)) return cards;
+    Object.entries(raw).slice(0, MAX_REVIEW_CARDS).forEach(([key, card]) => {
+        const clean = toReviewCard(key, card);
+        if (clean) cards[key] = clean;
+    });
+    return cards;
+}
+
+function toLastRead(raw) {
+    if (!isObject(raw)) return null;
+    const number = toChapter(raw.number);
+    if (!number || !Number.isFinite(raw.timestamp) || typeof raw.url !== 'string' || !CHAPTER_URL.test(raw.url)) return null;
+    return {
+        number,
+        title: typeof raw.title === 'string' ? raw.title.slice(0, MAX_TITLE_LENGTH) : `Chapter ${number}`,
+        url: raw.url,
+        timestamp: raw.timestamp
+    };
+}
+
+/**
+ * Learner state from an untrusted request body, with anything malformed
+ * dropped rather than rejected (old clients may send older shapes)
+ */
+function toLearnerState(raw) {
+    if (!isObject(raw)) return emptyState();
+    return {
+        achievements: toAchievements(raw.achievements),
+        reviewCards: toReviewCards(raw.reviewCards),
+        visitedChapters: Array.isArray(raw.visitedChapters)
+            ? mergeVisitedChapters(raw.visitedChapters.map(toChapter).filter(Boolean), [])
+            : [],
+        lastRead: toLastRead(raw.lastRead)
+    };
+}
+
+module.exports = {
+    emptyState,
+    mergeLearnerState,
+    toLearnerState,
+    toChapter
+};
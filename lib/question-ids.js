@@ -0,0 +1,112 @@
+/**
+ * Stable question ids for chapter quizzes
+ * Analytics, spaced repetition and exports key questions by id instead of
+ * array position, so reordering or inserting questions never reassigns
+ * anyone's history. A new id is derived from the question text, matching the
+ * fallback in src/js/quiz.js, and is never changed afterwards, even when the
+ * text is edited.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { QUIZ_DIR } = require('./quiz-validator');
+
+/**
+ * 32-bit FNV-1a in base 36; must stay in step with hashText in src/js/quiz.js
+ */
+function hashText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+}
+
+function defaultQuestionId(question) {
+    return 'q' + hashText(question.question.trim());
+}
+
+/**
+ * Give every question without an id one derived from its text
+ * Mutates the quiz; returns the ids it assigned in question order
+ */
+function assignQuestionIds(quiz) {
+    const taken = new Set(quiz.questions.map(q => q && q.id).filter(Boolean));
+    const assigned = [];
+
+    quiz.questions.forEach(question => {
+        if (!question || question.id || typeof question.question !== 'string') return;
+
+        // Two questions with identical text would otherwise share an id
+        const base = defaultQuestionId(question);
+        let id = base;
+        for (let n = 2; taken.has(id); n++) {
+            id = `${base}-${n}`;
+        }
+
+        question.id = id;
+        taken.add(id);
+        assigned.push(id);
+    });
+
+    return assigned;
+}
+
+/**
+ * Insert "id" lines into the file text above each question's "type" line,
+ * leaving the rest of the hand-written formatting alone
+ */
+function insertIdLines(source, ids) {
+    let next = 0;
+    return source.replace(/^([ \t]*)"type":/gm, (line, indent) => {
+        const id = ids[next++];
+        return id ? `${indent}"id": ${JSON.stringify(id)},\n${line}` : line;
+    });
+}
+
+/**
+ * Assign missing ids in every chapter quiz file on disk
+ * Returns [{ file, ids }] for the files that changed
+ */
+function assignAllQuestionIds(quizDir = QUIZ_DIR) {
+    const changed = [];
+    const files = fs.readdirSync(quizDir).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+        const filePath = path.join(quizDir, file);
+        const source = fs.readFileSync(filePath, 'utf8');
+
+        let quiz;
+        try {
+            quiz = JSON.parse(source);
+        } catch (e) {
+            // Reported by the validator
+            continue;
+        }
+        if (!Array.isArray(quiz.questions)) continue;
+
+        const hadId = quiz.questions.map(q => Boolean(q && q.id));
+        const ids = assignQuestionIds(quiz);
+        if (ids.length === 0) continue;
+
+        // One "type" line per question: splice ids in place, else rewrite the file
+        const typeLines = source.match(/^[ \t]*"type":/gm) || [];
+        const output = typeLines.length === quiz.questions.length
+            ? insertIdLines(source, quiz.questions.map((q, i) => hadId[i] || !q ? null : q.id || null))
+            : JSON.stringify(quiz, null, 2) + '\n';
+
+        fs.writeFileSync(filePath, output);
+        changed.push({ file, ids });
+    }
+
+    return changed;
+}
+
+module.exports = {
+    hashText,
+    defaultQuestionId,
+    assignQuestionIds,
+    assignAllQuestionIds
+};
@@ -0,0 +1,620 @@
+/**
+ * Quiz bank exports for The Debate Guide
+ * Converts the chapter quizzes into formats learning management systems
+ * import: Moodle GIFT text files and IMS QTI 2.1 content packages (zip).
+ * The QTI reader here and the GIFT reader in lib/quiz-import.js read these
+ * files back, so the tests can check that an export carries a quiz across
+ * intact.
+ *
+ * What survives the trip:
+ * - GIFT has no ordering question, so ordering becomes matching against
+ *   positions ("1", "2", ...). Wrong-option rationales become answer
+ *   feedback. Everything else (type, hints, section, pair feedback, the
+ *   quiz's settings) goes in "// key: value" comments, which Moodle ignores,
+ *   so the file imports back intact.
+ * - QTI keeps every type. Matching scores per pair unless the quiz turns
+ *   partial credit off; ordering is all-or-nothing. Rationales and hints are
+ *   dropped; the explanation is the item's feedback.
+ * - Arguments export as essays (GIFT) or extended text (QTI) for hand marking,
+ *   with the model answer and rubric as feedback for the marker.
+ * Used by .eleventy.js, which writes /quizzes/exports/ on every build.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const { QUIZ_DIR } = require('./quiz-validator');
+
+// ==========================================
+// ZIP (QTI packages are zip files)
+// ==========================================
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// 1980-01-01 00:00, so the same quiz always zips to the same bytes
+const DOS_TIME = 0;
+const DOS_DATE = (1 << 5) | 1;
+const UTF8_NAMES = 0x0800;
+
+/**
+ * Deflate files into a zip archive
+ * files is an array of { name, content } (string or Buffer); returns a Buffer
+ */
+function createZip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = Buffer.from(file.name, 'utf8');
+        const data = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+        const compressed = zlib.deflateRawSync(data);
+        const crc = crc32(data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(UTF8_NAMES, 6);
+        local.writeUInt16LE(8, 8);
+        local.writeUInt16LE(DOS_TIME, 10);
+        local.writeUInt16LE(DOS_DATE, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(compressed.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        locals.push(local, name, compressed);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt16LE(UTF8_NAMES, 8);
+        central.writeUInt16LE(8, 10);
+        central.writeUInt16LE(DOS_TIME, 12);
+        central.writeUInt16LE(DOS_DATE, 14);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(compressed.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(name.length, 28);
+        central.writeUInt32LE(offset, 42);
+        centrals.push(central, name);
+
+        offset += local.length + name.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(files.length, 8);
+    end.writeUInt16LE(files.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Read a zip archive written by createZip
+ * Returns a Map of file name -> Buffer
+ */
+function readZip(buffer) {
+    const files = new Map();
+    let offset = 0;
+
+    while (offset + 30 <= buffer.length && buffer.readUInt32LE(offset) === 0x04034b50) {
+        const method = buffer.readUInt16LE(offset + 8);
+        const size = buffer.readUInt32LE(offset + 18);
+        const nameLength = buffer.readUInt16LE(offset + 26);
+        const extraLength = buffer.readUInt16LE(offset + 28);
+        const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+        const start = offset + 30 + nameLength + extraLength;
+        const data = buffer.subarray(start, start + size);
+
+        files.set(name, method === 8 ? zlib.inflateRawSync(data) : Buffer.from(data));
+        offset = start + size;
+    }
+
+    return files;
+}
+
+// ==========================================
+// GIFT (Moodle)
+// ==========================================
+
+function giftEscape(text) {
+    return String(text)
+        .replace(/[~=#{}:\\]/g, '\\$&')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
+function unescapeHtml(text) {
+    return text
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+function giftFeedback(text) {
+    return text ? `#${giftEscape(text)}` : '';
+}
+
+// Comments hold one line each
+function giftComment(key, value) {
+    return `// ${key}: ${String(value).replace(/\s*\r?\n\s*/g, ' ')}`;
+}
+
+/**
+ * One question as a GIFT block: "// key: value" comments for what GIFT can't
+ * say (read back by lib/quiz-import.js, ignored by Moodle), then the ::id::
+ * title, the text and the {answers}
+ */
+function toGiftQuestion(question) {
+    const lines = [giftComment('type', question.type)];
+    if (question.section) lines.push(giftComment('section', question.section));
+    (question.hints || []).forEach(hint => lines.push(giftComment('hint', hint)));
+
+    const title = question.id ? `::${giftEscape(question.id)}::` : '';
+    const general = question.type === 'argument' ? question.modelAnswer : question.explanation;
+    const generalFeedback = general ? `\t####${giftEscape(general)}` : null;
+
+    // Scenarios go in as HTML so the situation and the question stay separate paragraphs
+    const text = question.type === 'scenario'
+        ? `[html]${giftEscape(`<p><em>${escapeHtml(question.scenario)}</em></p><p>${escapeHtml(question.question)}</p>`)}`
+        : giftEscape(question.question);
+
+    let answers = [];
+    switch (question.type) {
+        case 'multiple-choice':
+        case 'scenario':
+            answers = question.options.map((option, index) => {
+                const rationale = question.rationales ? question.rationales[index] : null;
+                return `\t${index === question.correct ? '=' : '~'}${giftEscape(option)}${giftFeedback(rationale)}`;
+            });
+            break;
+
+        case 'true-false':
+            answers = [`\t${question.correct ? 'TRUE' : 'FALSE'}`];
+            break;
+
+        case 'matching':
+            question.pairs.filter(pair => pair.feedback).forEach(pair => lines.push(giftComment('pair feedback', `${pair.left} => ${pair.feedback}`)));
+            answers = question.pairs.map(pair => `\t=${giftEscape(pair.left)} -> ${giftEscape(pair.right)}`);
+            break;
+
+        case 'ordering': {
+            const correctOrder = question.correctOrder || question.items.map((_, i) => i);
+            answers = correctOrder.map((itemIndex, position) => `\t=${giftEscape(question.items[itemIndex])} -> ${position + 1}`);
+            break;
+        }
+
+        case 'fill-blank':
+            answers = [question.answer, ...(question.acceptableAnswers || [])].map(answer => `\t=${giftEscape(answer)}`);
+            break;
+
+        // Essays take no answers; the marker's notes ride along in comments
+        case 'argument':
+            if (question.explanation) lines.push(giftComment('explanation', question.explanation));
+            (question.parts || []).forEach(part => lines.push(giftComment('part', part)));
+            question.rubric.forEach(item => lines.push(giftComment('rubric', item.points ? `${item.criterion} (${item.points})` : item.criterion)));
+            if (question.passPoints) lines.push(giftComment('pass points', question.passPoints));
+            break;
+    }
+
+    if (generalFeedback) answers.push(generalFeedback);
+    lines.push(`${title}${text} {`, ...answers, '}');
+    return lines.join('\n');
+}
+
+/**
+ * A whole quiz as a GIFT file, filed under its own question bank category
+ */
+function toGift(quiz, category) {
+    const header = [
+        `$CATEGORY: ${category || quiz.title}`,
+        giftComment('title', quiz.title),
+        giftComment('passing score', quiz.passingScore)
+    ];
+    if (quiz.requireRationales) header.push(giftComment('require rationales', 'yes'));
+
+    const scoring = quiz.scoring || {};
+    const hintPenalty = scoring.hintPenalty || {};
+    if (hintPenalty.perHint !== undefined) header.push(giftComment('hint penalty', hintPenalty.perHint));
+    if (hintPenalty.max !== undefined) header.push(giftComment('max hint penalty', hintPenalty.max));
+    if (hintPenalty.freeHints !== undefined) header.push(giftComment('free hints', hintPenalty.freeHints));
+    if (scoring.partialCredit !== undefined) header.push(giftComment('partial credit', scoring.partialCredit ? 'yes' : 'no'));
+    if (scoring.negativeMarking !== undefined) header.push(giftComment('negative marking', scoring.negativeMarking));
+
+    const blocks = [header.join('\n'), ...quiz.questions.map(toGiftQuestion)];
+    return blocks.join('\n\n') + '\n';
+}
+
+// ==========================================
+// QTI 2.1
+// ==========================================
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const QTI_SCHEMA = 'http://www.imsglobal.org/xsd/imsqti_v2p1 http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd';
+
+function escapeXml(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+}
+
+function qtiIdentifier(question, index) {
+    // XML identifiers can't start with a digit, and question ids can
+    return `item-${question.id || index + 1}`;
+}
+
+function scoreDeclarations() {
+    return [
+        '    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">',
+        '        <defaultValue><value>0</value></defaultValue>',
+        '    </outcomeDeclaration>',
+        '    <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>'
+    ];
+}
+
+/**
+ * Score the response ('match' is all-or-nothing, 'map' adds up its mapping,
+ * 'none' leaves it to the marker) and always show the explanation
+ */
+function responseProcessing(scoring) {
+    let score = [];
+    if (scoring === 'map') {
+        score = [
+            '        <setOutcomeValue identifier="SCORE">',
+            '            <mapResponse identifier="RESPONSE"/>',
+            '        </setOutcomeValue>'
+        ];
+    } else if (scoring === 'match') {
+        score = [
+            '        <responseCondition>',
+            '            <responseIf>',
+            '                <match><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></match>',
+            '                <setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue>',
+            '            </responseIf>',
+            '        </responseCondition>'
+        ];
+    }
+
+    return [
+        '    <responseProcessing>',
+        ...score,
+        '        <setOutcomeValue identifier="FEEDBACK"><baseValue baseType="identifier">EXPLANATION</baseValue></setOutcomeValue>',
+        '    </responseProcessing>'
+    ];
+}
+
+/**
+ * One question as a QTI 2.1 assessmentItem
+ * partialCredit comes from the quiz's scoring policy and only affects matching.
+ */
+function toQtiItem(question, index, partialCredit) {
+    const identifier = qtiIdentifier(question, index);
+    const prompt = `<prompt>${escapeXml(question.question)}</prompt>`;
+    const declarations = [];
+    const body = [];
+    let scoring = 'match';
+
+    if (question.scenario) {
+        body.push(`        <div class="scenario"><p>${escapeXml(question.scenario)}</p></div>`);
+    }
+
+    switch (question.type) {
+        case 'multiple-choice':
+        case 'scenario':
+        case 'true-false': {
+            const choices = question.type === 'true-false'
+                ? [{ id: 'TRUE', text: 'True' }, { id: 'FALSE', text: 'False' }]
+                : question.options.map((option, i) => ({ id: `choice-${i}`, text: option }));
+            const correct = question.type === 'true-false'
+                ? (question.correct ? 'TRUE' : 'FALSE')
+                : `choice-${question.correct}`;
+
+            declarations.push(
+                '    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">',
+                `        <correctResponse><value>${correct}</value></correctResponse>`,
+                '    </responseDeclaration>'
+            );
+            body.push(
+                `        <choiceInteraction responseIdentifier="RESPONSE" shuffle="${question.type !== 'true-false'}" maxChoices="1">`,
+                `            ${prompt}`,
+                ...choices.map(choice => `            <simpleChoice identifier="${choice.id}">${escapeXml(choice.text)}</simpleChoice>`),
+                '        </choiceInteraction>'
+            );
+            break;
+        }
+
+        case 'matching': {
+            const pairValue = Number((1 / question.pairs.length).toFixed(4));
+            const pairs = question.pairs.map((_, i) => `left-${i} right-${i}`);
+            scoring = partialCredit ? 'map' : 'match';
+
+            declarations.push(
+                '    <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">',
+                `        <correctResponse>${pairs.map(pair => `<value>${pair}</value>`).join('')}</correctResponse>`,
+                '        <mapping defaultValue="0" lowerBound="0" upperBound="1">',
+                ...pairs.map(pair => `            <mapEntry mapKey="${pair}" mappedValue="${pairValue}"/>`),
+                '        </mapping>',
+                '    </responseDeclaration>'
+            );
+            body.push(
+                `        <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.pairs.length}">`,
+                `            ${prompt}`,
+                '            <simpleMatchSet>',
+                ...question.pairs.map((pair, i) => `                <simpleAssociableChoice identifier="left-${i}" matchMax="1">${escapeXml(pair.left)}</simpleAssociableChoice>`),
+                '            </simpleMatchSet>',
+                '            <simpleMatchSet>',
+                ...question.pairs.map((pair, i) => `                <simpleAssociableChoice identifier="right-${i}" matchMax="1">${escapeXml(pair.right)}</simpleAssociableChoice>`),
+                '            </simpleMatchSet>',
+                '        </matchInteraction>'
+            );
+            break;
+        }
+
+        case 'ordering': {
+            const correctOrder = question.correctOrder || question.items.map((_, i) => i);
+            declarations.push(
+                '    <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">',
+                `        <correctResponse>${correctOrder.map(i => `<value>order-${i}</value>`).join('')}</correctResponse>`,
+                '    </responseDeclaration>'
+            );
+            body.push(
+                '        <orderInteraction responseIdentifier="RESPONSE" shuffle="true">',
+                `            ${prompt}`,
+                ...question.items.map((item, i) => `            <simpleChoice identifier="order-${i}">${escapeXml(item)}</simpleChoice>`),
+                '        </orderInteraction>'
+            );
+            break;
+        }
+
+        case 'fill-blank': {
+            const accepted = [question.answer, ...(question.acceptableAnswers || [])];
+            scoring = 'map';
+            declarations.push(
+                '    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">',
+                `        <correctResponse><value>${escapeXml(question.answer)}</value></correctResponse>`,
+                '        <mapping defaultValue="0">',
+                ...accepted.map(answer => `            <mapEntry mapKey="${escapeXml(answer)}" mappedValue="1" caseSensitive="false"/>`),
+                '        </mapping>',
+                '    </responseDeclaration>'
+            );
+            body.push(
+                `        <p>${escapeXml(question.question)}</p>`,
+                `        <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="${Math.max(...accepted.map(answer => answer.length)) + 5}"/></p>`
+            );
+            break;
+        }
+
+        case 'argument':
+            scoring = 'none';
+            declarations.push('    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>');
+            body.push(
+                '        <rubricBlock view="scorer">',
+                `            <p class="model-answer">${escapeXml(question.modelAnswer)}</p>`,
+                '            <ul>',
+                ...question.rubric.map(item => `                <li>${escapeXml(item.criterion)} (${item.points || 1} ${item.points > 1 ? 'points' : 'point'})</li>`),
+                '            </ul>',
+                '        </rubricBlock>',
+                '        <extendedTextInteraction responseIdentifier="RESPONSE">',
+                `            ${prompt}`,
+                '        </extendedTextInteraction>'
+            );
+            break;
+    }
+
+    const feedback = question.explanation
+        ? [`    <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`]
+        : [];
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentItem xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}"`,
+        `    identifier="${identifier}" title="Question ${index + 1}" adaptive="false" timeDependent="false">`,
+        ...declarations,
+        ...scoreDeclarations(),
+        '    <itemBody>',
+        ...body,
+        '    </itemBody>',
+        ...responseProcessing(scoring),
+        ...feedback,
+        '</assessmentItem>',
+        ''
+    ].join('\n');
+}
+
+/**
+ * A whole quiz as a QTI 2.1 content package: one item per question, an
+ * assessmentTest listing them in order, and the imsmanifest.xml tying them
+ * together. id names the test and package ("chapter-01"). Returns a zip Buffer.
+ */
+function toQtiPackage(quiz, id) {
+    const partialCredit = !(quiz.scoring && quiz.scoring.partialCredit === false);
+    const items = quiz.questions.map((question, index) => {
+        const identifier = qtiIdentifier(question, index);
+        return { identifier, href: `items/${identifier}.xml`, xml: toQtiItem(question, index, partialCredit) };
+    });
+
+    const test = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentTest xmlns="${QTI_NAMESPACE}" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="${QTI_SCHEMA}"`,
+        `    identifier="test-${id}" title="${escapeXml(quiz.title)}">`,
+        '    <testPart identifier="part-1" navigationMode="nonlinear" submissionMode="simultaneous">',
+        `        <assessmentSection identifier="section-1" title="${escapeXml(quiz.title)}" visible="true">`,
+        ...items.map(item => `            <assessmentItemRef identifier="${item.identifier}" href="${item.href}"/>`),
+        '        </assessmentSection>',
+        '    </testPart>',
+        '</assessmentTest>',
+        ''
+    ].join('\n');
+
+    const manifest = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="manifest-${id}">`,
+        '    <metadata>',
+        '        <schema>QTIv2.1 Package</schema>',
+        '        <schemaversion>1.0.0</schemaversion>',
+        '    </metadata>',
+        '    <organizations/>',
+        '    <resources>',
+        `        <resource identifier="test-${id}" type="imsqti_test_xmlv2p1" href="assessment.xml">`,
+        '            <file href="assessment.xml"/>',
+        ...items.map(item => `            <dependency identifierref="${item.identifier}"/>`),
+        '        </resource>',
+        ...items.map(item => [
+            `        <resource identifier="${item.identifier}" type="imsqti_item_xmlv2p1" href="${item.href}">`,
+            `            <file href="${item.href}"/>`,
+            '        </resource>'
+        ].join('\n')),
+        '    </resources>',
+        '</manifest>',
+        ''
+    ].join('\n');
+
+    return createZip([
+        { name: 'imsmanifest.xml', content: manifest },
+        { name: 'assessment.xml', content: test },
+        ...items.map(item => ({ name: item.href, content: item.xml }))
+    ]);
+}
+
+function xmlText(xml, pattern) {
+    const match = pattern.exec(xml);
+    return match ? unescapeHtml(match[1]) : null;
+}
+
+function xmlAll(xml, pattern, unescape = true) {
+    return [...xml.matchAll(pattern)].map(match => match.slice(1).map(value => (unescape ? unescapeHtml(value) : value)));
+}
+
+/**
+ * Read one assessmentItem written by toQtiItem back into a quiz question
+ */
+function parseQtiItem(xml) {
+    const question = { id: xml.match(/identifier="item-([^"]+)"/)[1] };
+    const scenario = xmlText(xml, /<div class="scenario"><p>([\s\S]*?)<\/p><\/div>/);
+    const prompt = xmlText(xml, /<prompt>([\s\S]*?)<\/prompt>/);
+    const correctResponse = /<correctResponse>([\s\S]*?)<\/correctResponse>/.exec(xml);
+    const correct = correctResponse ? xmlAll(correctResponse[1], /<value>([\s\S]*?)<\/value>/g).map(([value]) => value) : [];
+
+    if (xml.includes('<choiceInteraction')) {
+        const choices = xmlAll(xml, /<simpleChoice identifier="([^"]+)">([\s\S]*?)<\/simpleChoice>/g);
+        if (choices[0][0] === 'TRUE') {
+            question.type = 'true-false';
+            question.correct = correct[0] === 'TRUE';
+        } else {
+            question.type = scenario !== null ? 'scenario' : 'multiple-choice';
+            question.options = choices.map(([, text]) => text);
+            question.correct = choices.findIndex(([id]) => id === correct[0]);
+        }
+        question.question = prompt;
+    } else if (xml.includes('<matchInteraction')) {
+        const sets = xmlAll(xml, /<simpleMatchSet>([\s\S]*?)<\/simpleMatchSet>/g, false).map(([set]) =>
+            new Map(xmlAll(set, /<simpleAssociableChoice identifier="([^"]+)"[^>]*>([\s\S]*?)<\/simpleAssociableChoice>/g)));
+        question.type = 'matching';
+        question.question = prompt;
+        question.pairs = correct.map(pair => {
+            const [left, right] = pair.split(' ');
+            return { left: sets[0].get(left), right: sets[1].get(right) };
+        });
+    } else if (xml.includes('<orderInteraction')) {
+        const items = xmlAll(xml, /<simpleChoice identifier="order-(\d+)">([\s\S]*?)<\/simpleChoice>/g);
+        const correctOrder = correct.map(value => parseInt(value.replace('order-', ''), 10));
+        question.type = 'ordering';
+        question.question = prompt;
+        question.items = items.map(([, text]) => text);
+        if (correctOrder.some((itemIndex, position) => itemIndex !== position)) {
+            question.correctOrder = correctOrder;
+        }
+    } else if (xml.includes('<textEntryInteraction')) {
+        const accepted = xmlAll(xml, /<mapEntry mapKey="([^"]*)"/g).map(([key]) => key);
+        question.type = 'fill-blank';
+        question.question = xmlText(xml, /<itemBody>\s*<p>([\s\S]*?)<\/p>/);
+        question.answer = correct[0];
+        if (accepted.length > 1) question.acceptableAnswers = accepted.slice(1);
+    } else if (xml.includes('<extendedTextInteraction')) {
+        question.type = 'argument';
+        question.question = prompt;
+        question.modelAnswer = xmlText(xml, /<p class="model-answer">([\s\S]*?)<\/p>/);
+        question.rubric = xmlAll(xml, /<li>([\s\S]*?) \((\d+) points?\)<\/li>/g)
+            .map(([criterion, points]) => ({ criterion, points: parseInt(points, 10) }));
+    }
+
+    if (scenario !== null) question.scenario = scenario;
+    const explanation = xmlText(xml, /<modalFeedback[^>]*>([\s\S]*?)<\/modalFeedback>/);
+    if (explanation !== null) question.explanation = explanation;
+    return question;
+}
+
+/**
+ * Read a QTI package written by toQtiPackage back into { title, questions },
+ * following the manifest for the item order
+ */
+function parseQtiPackage(buffer) {
+    const files = readZip(buffer);
+    const manifest = files.get('imsmanifest.xml').toString('utf8');
+    const test = files.get('assessment.xml').toString('utf8');
+    const hrefs = xmlAll(manifest, /type="imsqti_item_xmlv2p1" href="([^"]+)"/g).map(([href]) => href);
+
+    return {
+        title: xmlText(test, /<assessmentTest[^>]*title="([^"]*)"/),
+        questions: hrefs.map(href => parseQtiItem(files.get(href).toString('utf8')))
+    };
+}
+
+// ==========================================
+// BUILD
+// ==========================================
+
+/**
+ * Write chapter-XX.gift.txt and chapter-XX.qti.zip for every chapter quiz
+ * into outputDir. Returns the file names written.
+ */
+function exportQuizBanks(outputDir, quizDir = QUIZ_DIR) {
+    const written = [];
+    fs.mkdirSync(outputDir, { recursive: true });
+
+    fs.readdirSync(quizDir).filter(f => /^chapter-\d+\.json$/.test(f)).sort().forEach(file => {
+        const id = path.basename(file, '.json');
+        const quiz = JSON.parse(fs.readFileSync(path.join(quizDir, file), 'utf8'));
+        const category = `The Debate Guide/Chapter ${id.replace('chapter-', '')}: ${quiz.title}`;
+
+        fs.writeFileSync(path.join(outputDir, `${id}.gift.txt`), toGift(quiz, category));
+        fs.writeFileSync(path.join(outputDir, `${id}.qti.zip`), toQtiPackage(quiz, id));
+        written.push(`${id}.gift.txt`, `${id}.qti.zip`);
+    });
+
+    return written;
+}
+
+module.exports = {
+    toGift,
+    toQtiPackage,
+    parseQtiPackage,
+    createZip,
+    readZip,
+    exportQuizBanks
+};
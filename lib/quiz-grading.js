@@ -0,0 +1,279 @@
+/**
+ * Server-side grading for /api/quiz/submit
+ * Rebuilds the questions an attempt showed from the quiz files and the
+ * attempt's seed, then grades the raw answers with lib/quiz-scoring.js, the
+ * rules src/js/quiz.js scores with, so a stored score never rests on what the
+ * browser reports. Argument questions stay self-scored: their rubric points
+ * are only checked against the rubric.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const exams = require('../src/_data/exams');
+const scoring = require('./quiz-scoring');
+
+const QUIZ_DIR = path.join(__dirname, '../src/_data/quizzes');
+
+// Longest typed answer accepted (an argument part is a paragraph at most)
+const MAX_TEXT_LENGTH = 5000;
+
+class GradingError extends Error {}
+
+function reject(message) {
+    throw new GradingError(message);
+}
+
+function loadChapterQuiz(chapterNumber) {
+    const file = path.join(QUIZ_DIR, `chapter-${String(chapterNumber).padStart(2, '0')}.json`);
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return reject(`No quiz for chapter ${chapterNumber}`);
+    }
+}
+
+/**
+ * The attempt's questions in the order quiz.js indexes them: a chapter quiz
+ * as written, or an exam drawn as drawExam draws it
+ */
+function buildAttemptQuiz(chapterNumber, examId, seed) {
+    if (!examId) {
+        const quiz = loadChapterQuiz(chapterNumber);
+        return {
+            ...quiz,
+            questions: quiz.questions.map((question, index) => ({ ...question, chapterQuestionIndex: index }))
+        };
+    }
+
+    const exam = exams.find(e => e.id === examId);
+    if (!exam) reject(`No exam "${examId}"`);
+
+    const sources = {};
+    exam.chapters.forEach(chapter => {
+        sources[chapter.number] = loadChapterQuiz(chapter.number);
+    });
+    return scoring.drawExam(exam, sources, seed);
+}
+
+function isIndex(value, length) {
+    return Number.isInteger(value) && value >= 0 && value < length;
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.length <= MAX_TEXT_LENGTH;
+}
+
+/**
+ * Check a raw answer has the shape quiz.js stores for the question's type:
+ * the chosen position for true/false and multiple choice (an option index
+ * when the attempt has no option seed), { left: right }
+ * pair indexes for matching, item indexes for ordering, text for
+ * fill-blank, one text per part for arguments. null means unanswered.
+ */
+function readAnswer(question, raw) {
+    if (raw === null || raw === undefined) return undefined;
+
+    switch (question.type) {
+        case 'true-false':
+            if (isIndex(raw, 2)) return raw;
+            break;
+        case 'multiple-choice':
+        case 'scenario':
+            if (isIndex(raw, question.options.length)) return raw;
+            break;
+        case 'matching': {
+            if (typeof raw !== 'object' || Array.isArray(raw)) break;
+            const entries = Object.entries(raw);
+            const valid = entries.every(([left, right]) =>
+                isIndex(Number(left), question.pairs.length) && String(Number(left)) === left && isIndex(right, question.pairs.length));
+            if (valid) return raw;
+            break;
+        }
+        case 'ordering':
+            if (Array.isArray(raw) && raw.length === question.items.length &&
+                [...raw].sort((a, b) => a - b).every((value, i) => value === i)) {
+                return raw;
+            }
+            break;
+        case 'fill-blank':
+            if (isText(raw)) return raw;
+            break;
+        case 'argument':
+            if (Array.isArray(raw) && raw.length === scoring.getArgumentParts(question).length && raw.every(isText)) {
+                return raw;
+            }
+            break;
+    }
+
+    return reject(`Answer to question "${question.id}" doesn't fit a ${question.type} question`);
+}
+
+/**
+ * The stored user_answer and correct_answer, as renderResults in src/js/quiz.js
+ * formats them: option text instead of indexes, true/false as booleans
+ */
+function formatAnswers(question, userAnswer) {
+    switch (question.type) {
+        case 'true-false':
+            return { userAnswer: userAnswer === undefined ? undefined : userAnswer === 0, correctAnswer: question.correct };
+        case 'multiple-choice':
+        case 'scenario':
+            return {
+                userAnswer: userAnswer === undefined ? undefined : question.options[userAnswer],
+                correctAnswer: question.options[question.correct]
+            };
+        case 'matching':
+            return { userAnswer, correctAnswer: 'all-matched' };
+        case 'ordering':
+            return { userAnswer, correctAnswer: scoring.getCorrectOrder(question) };
+        case 'fill-blank':
+            return { userAnswer, correctAnswer: question.answer };
+        case 'argument': {
+            const parts = scoring.getArgumentParts(question);
+            return {
+                userAnswer: userAnswer && Object.fromEntries(parts.map((label, i) => [label, userAnswer[i]])),
+                correctAnswer: question.modelAnswer
+            };
+        }
+        default:
+            return { userAnswer, correctAnswer: undefined };
+    }
+}
+
+/**
+ * Grade one question's response; throws GradingError when it can't be the
+ * answer quiz.js recorded. With a seed, multiple-choice answers are the
+ * positions its option shuffle showed; without one, option indexes.
+ */
+function gradeResponse(question, questionIndex, response, seed, policy) {
+    if (response.questionId !== question.id) {
+        reject(`Question ${questionIndex + 1} is no longer "${response.questionId}"; the quiz has changed since the attempt started`);
+    }
+
+    let userAnswer = readAnswer(question, response.rawAnswer);
+    const hints = response.hintsUsedForQuestion || 0;
+    if (!Number.isInteger(hints) || hints < 0 || hints > (question.hints || []).length) {
+        reject(`Question "${question.id}" has ${(question.hints || []).length} hints, not ${hints}`);
+    }
+
+    let rubricPoints = null;
+    if (question.type === 'argument') {
+        const rubricTotal = scoring.getRubricTotal(question);
+        rubricPoints = response.rubricPoints;
+        if (!Number.isInteger(rubricPoints) || rubricPoints < 0 || rubricPoints > rubricTotal) {
+            reject(`Rubric points for question "${question.id}" must be 0-${rubricTotal}`);
+        }
+    }
+
+    const isChoice = question.type === 'multiple-choice' || question.type === 'scenario';
+    if (isChoice && seed !== null && userAnswer !== undefined) {
+        userAnswer = scoring.getAnswerOrder(question.options.length, seed, questionIndex)[userAnswer];
+    }
+    const isCorrect = scoring.checkAnswer(question, userAnswer, rubricPoints);
+    const credit = scoring.getAnswerCredit(question, userAnswer, isCorrect);
+
+    return {
+        isCorrect,
+        points: scoring.getQuestionCredit(question, credit, userAnswer, policy),
+        hints,
+        record: {
+            questionIndex: question.chapterQuestionIndex,
+            chapterNumber: question.chapterNumber,
+            questionId: question.id,
+            questionType: question.type,
+            questionText: question.question,
+            ...formatAnswers(question, userAnswer),
+            isCorrect,
+            hintsUsedForQuestion: hints,
+            rubricPoints,
+            rubricTotal: question.type === 'argument' ? scoring.getRubricTotal(question) : null,
+            credit: Math.round(credit * 1000) / 1000,
+            itemResults: scoring.getItemResults(question, userAnswer)
+        }
+    };
+}
+
+/**
+ * Re-grade a submitted attempt
+ * submission is the /api/quiz/submit body: chapterNumber or examId, the
+ * attempt's seed, and one response per question with its rawAnswer.
+ * A chapter attempt's seed is null when it was started before option
+ * shuffles were seeded; its multiple-choice answers then arrive as option
+ * indexes. Exams always have their draw's seed, and say unseededOptions
+ * when their options weren't shuffled from it.
+ * Returns { error } when the payload can't be a real attempt or its reported
+ * score doesn't follow from its answers; otherwise { result, chapterScores,
+ * responses } with the score, the exam's per-chapter tally and the graded
+ * responses (in submission order, merged over what the browser sent).
+ */
+function gradeSubmission(submission) {
+    try {
+        const { chapterNumber, examId, seed, responses } = submission;
+
+        const validSeed = Number.isInteger(seed) && seed >= 0;
+        if (!validSeed && (examId || seed !== null)) reject('Missing or invalid seed');
+        if (!examId && !(Number.isInteger(chapterNumber) && chapterNumber >= 1 && chapterNumber <= 20)) {
+            reject('Invalid chapter number (must be 1-20)');
+        }
+
+        const quiz = buildAttemptQuiz(chapterNumber, examId, seed);
+        const policy = scoring.getScoringPolicy(quiz);
+        const optionSeed = validSeed && submission.unseededOptions !== true ? seed : null;
+
+        if (!Array.isArray(responses) || responses.length !== quiz.questions.length) {
+            reject(`Expected ${quiz.questions.length} responses, one per question`);
+        }
+
+        // Responses name their question by chapter (exams only) and index in that chapter's quiz
+        const positions = new Map(quiz.questions.map((question, index) =>
+            [`${question.chapterNumber || ''}:${question.chapterQuestionIndex}`, index]));
+        const graded = new Array(quiz.questions.length);
+
+        const records = responses.map(response => {
+            const key = response && typeof response === 'object'
+                ? `${examId ? response.chapterNumber : ''}:${response.questionIndex}`
+                : null;
+            const index = positions.get(key);
+            if (index === undefined || graded[index]) {
+                reject('Responses don\'t match the questions this attempt was given');
+            }
+
+            graded[index] = gradeResponse(quiz.questions[index], index, response, optionSeed, policy);
+            if (response.isCorrect !== graded[index].isCorrect) {
+                reject(`Question "${quiz.questions[index].id}" is reported ${response.isCorrect ? 'right' : 'wrong'} but the answer is ${graded[index].isCorrect ? 'right' : 'wrong'}`);
+            }
+            return { ...response, ...graded[index].record };
+        });
+
+        const result = scoring.scoreAttempt(
+            quiz,
+            graded.map(g => g.points),
+            graded.filter(g => g.isCorrect).length,
+            graded.reduce((sum, g) => sum + g.hints, 0)
+        );
+        const { correct, total, percentage } = result;
+
+        if (submission.score !== correct || submission.totalQuestions !== total ||
+            submission.percentage !== percentage || (typeof submission.passed === 'boolean' && submission.passed !== result.passed)) {
+            reject(`Reported score doesn't match the answers (they score ${correct}/${total}, ${percentage}%)`);
+        }
+
+        let chapterScores = null;
+        if (examId) {
+            chapterScores = {};
+            quiz.questions.forEach((question, index) => {
+                const tally = chapterScores[question.chapterNumber] || (chapterScores[question.chapterNumber] = { correct: 0, total: 0 });
+                tally.total++;
+                if (graded[index].isCorrect) tally.correct++;
+            });
+        }
+
+        return { result, chapterScores, responses: records };
+    } catch (error) {
+        if (error instanceof GradingError) return { error: error.message };
+        throw error;
+    }
+}
+
+module.exports = { gradeSubmission, buildAttemptQuiz };
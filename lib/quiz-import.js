@@ -0,0 +1,859 @@
+/**
+ * Quiz authoring formats for The Debate Guide
+ * Reads a chapter quiz written in Markdown or GIFT into the
+ * src/_data/quizzes JSON shape and reports every problem with the source
+ * line it comes from. Used by scripts/import-quiz.js.
+ *
+ * Markdown: the "# " heading is the quiz title and "Key: value" lines under it
+ * are its settings (Passing score, Require rationales, Hint penalty, Max hint
+ * penalty, Free hints, Partial credit, Negative marking). Each "## " heading
+ * starts a question and names its type; plain text under it is the question.
+ *
+ *   # Why Debate Matters
+ *   Passing score: 70
+ *
+ *   ## Multiple choice
+ *   ID: q17d47b0
+ *   Section: why-we-forgot
+ *
+ *   According to the chapter, what is the primary reason people argue poorly?
+ *
+ *   - [x] Lack of skill and training in productive disagreement
+ *   - [ ] Fundamental differences in intelligence
+ *     > The chapter never blames intelligence.
+ *
+ *   Explanation: The chapter opens with...
+ *   Hint: Consider how the chapter defines the failure.
+ *
+ * Options are "- [x]" / "- [ ]" with an optional "> " rationale under each.
+ * Matching pairs are "- left => right" ("> " is the pair's feedback), ordering
+ * items a numbered list in the correct order, and an argument's rubric
+ * "- criterion (2 points)". True/false and fill in the blank take "Answer:",
+ * fill in the blank also "Also accept:"; arguments take "Part:", "Model
+ * answer:" and "Pass points:"; scenarios "Scenario:". Hint, Also accept and
+ * Part repeat. A line straight after a "Key:" line or list item continues it.
+ *
+ * GIFT: Moodle's format, one question per block of lines. "::name::" is the
+ * question id when it is a valid one, and "####" general feedback is the
+ * explanation (an essay's is its model answer). Essays become arguments and
+ * short answers fill in the blank. What GIFT can't say goes in "// key: value"
+ * comments, which Moodle ignores: hint, section, scenario, part, rubric
+ * ("criterion (2)"), pass points, pair feedback ("left => feedback"),
+ * explanation (essays), and type (ordering for matching against positions
+ * 1, 2, ..., as lib/quiz-export.js writes it, or scenario). Quiz settings are
+ * "// title:", "// passing score:" and the other Markdown settings as
+ * comments.
+ */
+
+const { validateQuiz } = require('./quiz-validator');
+const { assignQuestionIds } = require('./question-ids');
+
+const QUESTION_TYPES = {
+    'multiple choice': 'multiple-choice',
+    'true false': 'true-false',
+    'true/false': 'true-false',
+    'true or false': 'true-false',
+    'scenario': 'scenario',
+    'matching': 'matching',
+    'ordering': 'ordering',
+    'fill in the blank': 'fill-blank',
+    'fill blank': 'fill-blank',
+    'argument': 'argument'
+};
+
+const TYPE_LABELS = {
+    'multiple-choice': 'multiple choice',
+    'true-false': 'true/false',
+    'scenario': 'scenario',
+    'matching': 'matching',
+    'ordering': 'ordering',
+    'fill-blank': 'fill in the blank',
+    'argument': 'argument'
+};
+
+const QUIZ_SETTINGS = {
+    'title': 'title',
+    'passing score': 'passingScore',
+    'require rationales': 'requireRationales',
+    'hint penalty': 'scoring',
+    'max hint penalty': 'scoring',
+    'free hints': 'scoring',
+    'partial credit': 'scoring',
+    'negative marking': 'scoring'
+};
+
+// "Key:" lines (Markdown) and "// key:" comments (GIFT) -> question fields
+const QUESTION_KEYS = {
+    'id': 'id',
+    'section': 'section',
+    'scenario': 'scenario',
+    'answer': 'answer',
+    'also accept': 'acceptableAnswers',
+    'explanation': 'explanation',
+    'hint': 'hints',
+    'part': 'parts',
+    'model answer': 'modelAnswer',
+    'pass points': 'passPoints'
+};
+
+const REPEATABLE = new Set(['acceptableAnswers', 'hints', 'parts']);
+
+// Field order of the hand-written quiz files, so imported files diff cleanly against them
+const QUIZ_FIELDS = ['title', 'passingScore', 'requireRationales', 'scoring', 'questions'];
+const QUESTION_FIELDS = [
+    'id', 'section', 'type', 'question', 'scenario',
+    'options', 'correct', 'rationales', 'pairs', 'items', 'correctOrder',
+    'answer', 'acceptableAnswers', 'parts', 'modelAnswer', 'rubric', 'passPoints',
+    'explanation', 'hints'
+];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function questionType(name) {
+    return QUESTION_TYPES[name.trim().toLowerCase().replace(/-/g, ' ')] || null;
+}
+
+function parseFlag(value) {
+    if (/^(yes|true|on)$/i.test(value)) return true;
+    if (/^(no|false|off)$/i.test(value)) return false;
+    return null;
+}
+
+function parseInteger(value) {
+    return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : null;
+}
+
+function pick(object, fields) {
+    const picked = {};
+    fields.forEach(field => {
+        if (object[field] !== undefined) picked[field] = object[field];
+    });
+    return picked;
+}
+
+/**
+ * Apply one quiz setting; returns an error message, or null when it applied
+ */
+function applyQuizSetting(quiz, key, value) {
+    const number = parseInteger(value.replace(/%$/, ''));
+    const scoring = () => {
+        quiz.scoring = quiz.scoring || {};
+        return quiz.scoring;
+    };
+    const hintPenalty = () => {
+        scoring().hintPenalty = quiz.scoring.hintPenalty || {};
+        return quiz.scoring.hintPenalty;
+    };
+
+    switch (key) {
+        case 'title':
+            quiz.title = value;
+            return null;
+
+        case 'passing score':
+            if (number === null) return `"${key}" must be a whole number, not "${value}"`;
+            quiz.passingScore = number;
+            return null;
+
+        case 'require rationales':
+        case 'partial credit': {
+            const flag = parseFlag(value);
+            if (flag === null) return `"${key}" must be yes or no, not "${value}"`;
+            if (key === 'require rationales') quiz.requireRationales = flag;
+            else scoring().partialCredit = flag;
+            return null;
+        }
+
+        case 'hint penalty':
+        case 'max hint penalty':
+        case 'free hints': {
+            if (number === null) return `"${key}" must be a whole number, not "${value}"`;
+            const field = { 'hint penalty': 'perHint', 'max hint penalty': 'max', 'free hints': 'freeHints' }[key];
+            hintPenalty()[field] = number;
+            return null;
+        }
+
+        case 'negative marking': {
+            const share = Number(value);
+            if (value === '' || Number.isNaN(share)) return `"negative marking" must be a number such as 0.25, not "${value}"`;
+            scoring().negativeMarking = share;
+            return null;
+        }
+    }
+    return null;
+}
+
+// ==========================================
+// QUESTIONS (shared by both formats)
+// ==========================================
+
+/**
+ * A question as read from the source, before it's checked against its type
+ * lines maps JSON field names to the source line they came from.
+ */
+function newDraft(type, line) {
+    return {
+        type,
+        line,
+        text: '',
+        options: [],
+        pairs: [],
+        items: [],
+        rubric: [],
+        hints: [],
+        acceptableAnswers: [],
+        parts: [],
+        lines: {}
+    };
+}
+
+function setDraftField(draft, field, value, line) {
+    if (!draft.lines[field]) draft.lines[field] = line;
+    if (REPEATABLE.has(field)) {
+        draft[field].push(value);
+    } else {
+        draft[field] = value;
+    }
+}
+
+function appendToDraftField(draft, field, text) {
+    if (REPEATABLE.has(field)) {
+        draft[field][draft[field].length - 1] += ` ${text}`;
+    } else {
+        draft[field] += ` ${text}`;
+    }
+}
+
+/**
+ * Turn a draft into a quiz question, reporting anything that doesn't belong to its type
+ */
+function buildQuestion(draft, errors) {
+    const question = {
+        id: draft.id,
+        section: draft.section,
+        type: draft.type || undefined,
+        question: draft.text || undefined,
+        explanation: draft.explanation,
+        hints: draft.hints.length ? draft.hints : undefined
+    };
+    const misplaced = (present, line, what, belongsTo) => {
+        if (present) errors.push({ line, message: `${what} only belong to ${belongsTo} questions` });
+    };
+    const is = (...types) => types.includes(draft.type);
+
+    if (!draft.type) return question;
+
+    switch (draft.type) {
+        case 'multiple-choice':
+        case 'scenario': {
+            if (draft.options.length) {
+                const marked = draft.options.filter(option => option.correct).length;
+                if (marked !== 1) {
+                    errors.push({ line: draft.lines.options, message: `mark exactly one option correct (${marked} are marked)` });
+                }
+                question.options = draft.options.map(option => option.text);
+                question.correct = draft.options.findIndex(option => option.correct);
+                if (draft.options.some(option => option.note)) {
+                    question.rationales = draft.options.map(option => option.note || null);
+                }
+            }
+            question.scenario = draft.scenario;
+            break;
+        }
+
+        case 'true-false':
+            if (draft.answer !== undefined) {
+                const correct = parseFlag(draft.answer);
+                if (correct === null) {
+                    errors.push({ line: draft.lines.answer, message: `"Answer" must be true or false, not "${draft.answer}"` });
+                } else {
+                    question.correct = correct;
+                }
+            }
+            break;
+
+        case 'matching':
+            if (draft.pairs.length) {
+                question.pairs = draft.pairs.map(pair => (pair.note
+                    ? { left: pair.left, right: pair.right, feedback: pair.note }
+                    : { left: pair.left, right: pair.right }));
+            }
+            break;
+
+        case 'ordering':
+            if (draft.items.length) question.items = draft.items.map(item => item.text);
+            break;
+
+        case 'fill-blank':
+            question.answer = draft.answer;
+            if (draft.acceptableAnswers.length) question.acceptableAnswers = draft.acceptableAnswers;
+            break;
+
+        case 'argument':
+            if (draft.parts.length) question.parts = draft.parts;
+            question.modelAnswer = draft.modelAnswer;
+            if (draft.rubric.length) {
+                question.rubric = draft.rubric.map(item => (item.points
+                    ? { criterion: item.criterion, points: item.points }
+                    : { criterion: item.criterion }));
+            }
+            if (draft.passPoints !== undefined) {
+                question.passPoints = parseInteger(draft.passPoints);
+                if (question.passPoints === null) {
+                    errors.push({ line: draft.lines.passPoints, message: `"Pass points" must be a whole number, not "${draft.passPoints}"` });
+                }
+            }
+            break;
+    }
+
+    misplaced(draft.options.length && !is('multiple-choice', 'scenario'), draft.lines.options, 'options', 'multiple choice and scenario');
+    misplaced(draft.scenario !== undefined && !is('scenario'), draft.lines.scenario, '"Scenario" lines', 'scenario');
+    misplaced(draft.pairs.length && !is('matching'), draft.lines.pairs, 'pairs', 'matching');
+    misplaced(draft.items.length && !is('ordering'), draft.lines.items, 'numbered items', 'ordering');
+    misplaced(draft.answer !== undefined && !is('true-false', 'fill-blank'), draft.lines.answer, '"Answer" lines', 'true/false and fill in the blank');
+    misplaced(draft.acceptableAnswers.length && !is('fill-blank'), draft.lines.acceptableAnswers, '"Also accept" lines', 'fill in the blank');
+    misplaced(draft.rubric.length && !is('argument'), draft.lines.rubric, 'rubric criteria', 'argument');
+    misplaced(draft.parts.length && !is('argument'), draft.lines.parts, '"Part" lines', 'argument');
+    misplaced(draft.modelAnswer !== undefined && !is('argument'), draft.lines.modelAnswer, '"Model answer" lines', 'argument');
+
+    return pick(question, QUESTION_FIELDS);
+}
+
+// ==========================================
+// MARKDOWN
+// ==========================================
+
+/**
+ * Add one "- " or "1. " list line to a draft
+ * Returns the entry a following "> " note or continuation line belongs to.
+ */
+function addListItem(draft, number, body, line) {
+    let entry;
+    const option = /^\[([ xX])\]\s+(.*)$/.exec(body);
+    const pair = /^(.*?)\s+=>\s+(.*)$/.exec(body);
+
+    if (number) {
+        entry = { text: body, line, continues: 'text' };
+        draft.items.push(entry);
+        setDraftLine(draft, 'items', line);
+    } else if (option) {
+        entry = { text: option[2], correct: option[1] !== ' ', line, continues: 'text' };
+        draft.options.push(entry);
+        setDraftLine(draft, 'options', line);
+    } else if (pair) {
+        entry = { left: pair[1], right: pair[2], line, continues: 'right' };
+        draft.pairs.push(entry);
+        setDraftLine(draft, 'pairs', line);
+    } else {
+        const criterion = /^(.*?)(?:\s+\((\d+)\s+points?\))?$/.exec(body);
+        entry = { criterion: criterion[1], points: criterion[2] ? parseInt(criterion[2], 10) : null, line, continues: 'criterion' };
+        draft.rubric.push(entry);
+        setDraftLine(draft, 'rubric', line);
+    }
+
+    return entry;
+}
+
+function setDraftLine(draft, field, line) {
+    if (!draft.lines[field]) draft.lines[field] = line;
+}
+
+function parseMarkdown(text) {
+    const quiz = {};
+    const quizLines = {};
+    const drafts = [];
+    const errors = [];
+    let draft = null;
+    let entry = null;
+    let continuing = null;
+
+    text.split(/\r?\n/).forEach((raw, index) => {
+        const line = index + 1;
+        const trimmed = raw.trim();
+        let match;
+
+        if (!trimmed) {
+            continuing = null;
+            return;
+        }
+
+        if ((match = /^##\s+(.*)$/.exec(trimmed))) {
+            const type = questionType(match[1]);
+            if (!type) {
+                errors.push({ line, message: `unknown question type "${match[1]}" (use one of: ${Object.values(TYPE_LABELS).join(', ')})` });
+            }
+            draft = newDraft(type, line);
+            drafts.push(draft);
+            entry = null;
+            continuing = null;
+            return;
+        }
+
+        if ((match = /^#\s+(.*)$/.exec(trimmed))) {
+            if (draft) {
+                errors.push({ line, message: 'the "# " title goes above the first question' });
+            } else {
+                quiz.title = match[1].trim();
+                quizLines.title = line;
+            }
+            continuing = null;
+            return;
+        }
+
+        if ((match = /^>\s?(.*)$/.exec(trimmed))) {
+            if (!entry) {
+                errors.push({ line, message: 'a "> " note must sit under an option, pair or item' });
+                return;
+            }
+            const noted = entry;
+            noted.note = noted.note ? `${noted.note} ${match[1]}` : match[1];
+            continuing = more => {
+                noted.note += ` ${more}`;
+            };
+            return;
+        }
+
+        if ((match = /^(?:[-*]|(\d+)[.)])\s+(.*)$/.exec(trimmed))) {
+            if (!draft) {
+                errors.push({ line, message: 'list items go under a "## " question heading' });
+                return;
+            }
+            const item = addListItem(draft, match[1], match[2], line);
+            entry = item;
+            continuing = more => {
+                item[item.continues] += ` ${more}`;
+            };
+            return;
+        }
+
+        const keyMatch = /^([A-Za-z][A-Za-z ]*?)\s*:\s*(.*)$/.exec(trimmed);
+        const key = keyMatch ? keyMatch[1].toLowerCase() : null;
+
+        if (keyMatch && !draft && QUIZ_SETTINGS[key]) {
+            const error = applyQuizSetting(quiz, key, keyMatch[2].trim());
+            if (error) errors.push({ line, message: error });
+            if (!quizLines[QUIZ_SETTINGS[key]]) quizLines[QUIZ_SETTINGS[key]] = line;
+            continuing = null;
+            return;
+        }
+
+        if (keyMatch && draft && QUESTION_KEYS[key]) {
+            const field = QUESTION_KEYS[key];
+            const current = draft;
+            setDraftField(current, field, keyMatch[2].trim(), line);
+            entry = null;
+            continuing = more => appendToDraftField(current, field, more);
+            return;
+        }
+
+        if (continuing) {
+            continuing(trimmed);
+            return;
+        }
+
+        if (!draft) {
+            errors.push({ line, message: `unexpected text before the first "## " question: "${trimmed.slice(0, 40)}"` });
+            return;
+        }
+
+        const current = draft;
+        current.text = current.text ? `${current.text} ${trimmed}` : trimmed;
+        entry = null;
+        continuing = more => {
+            current.text += ` ${more}`;
+        };
+    });
+
+    return { quiz, quizLines, drafts, errors };
+}
+
+// ==========================================
+// GIFT
+// ==========================================
+
+function giftUnescape(text) {
+    return text.replace(/\\(.)/g, (_, char) => (char === 'n' ? '\n' : char)).trim();
+}
+
+function stripHtml(html) {
+    return html
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;|&apos;/g, "'")
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function findUnescaped(text, char, from = 0) {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text[i] === char) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a GIFT answer block into answers ({ mark, text, feedback, offset }),
+ * a bare answer (TRUE/FALSE) and the general feedback
+ */
+function splitGiftAnswers(block) {
+    const answers = [];
+    let bare = '';
+    let general = null;
+    let generalOffset = null;
+    let current = null;
+    let field = 'text';
+
+    for (let i = 0; i < block.length; i++) {
+        const char = block[i];
+        if (char === '\\') {
+            const escaped = block.slice(i, i + 2);
+            if (general !== null) general += escaped;
+            else if (current) current[field] += escaped;
+            else bare += escaped;
+            i++;
+            continue;
+        }
+
+        if (general !== null) {
+            general += char;
+        } else if (char === '#' && block.startsWith('####', i)) {
+            general = '';
+            generalOffset = i;
+            i += 3;
+        } else if (char === '=' || char === '~') {
+            current = { mark: char, text: '', feedback: '', offset: i };
+            field = 'text';
+            answers.push(current);
+        } else if (char === '#' && current) {
+            field = 'feedback';
+        } else if (current) {
+            current[field] += char;
+        } else {
+            bare += char;
+        }
+    }
+
+    return {
+        answers: answers.map(answer => ({
+            mark: answer.mark,
+            text: giftUnescape(answer.text),
+            feedback: answer.feedback ? giftUnescape(answer.feedback) : null,
+            offset: answer.offset
+        })),
+        bare: bare.trim(),
+        general: general !== null ? giftUnescape(general) : null,
+        generalOffset
+    };
+}
+
+function splitPair(text) {
+    const arrow = text.lastIndexOf(' -> ');
+    return arrow === -1 ? null : [text.slice(0, arrow).trim(), text.slice(arrow + 4).trim()];
+}
+
+/**
+ * Split GIFT source into blocks of { line, text } separated by blank lines
+ */
+function giftBlocks(text) {
+    const blocks = [];
+    let block = [];
+    text.split(/\r?\n/).forEach((raw, index) => {
+        if (raw.trim()) {
+            block.push({ line: index + 1, text: raw });
+        } else if (block.length) {
+            blocks.push(block);
+            block = [];
+        }
+    });
+    if (block.length) blocks.push(block);
+    return blocks;
+}
+
+/**
+ * Read one GIFT question's body (title, text and answer block) into its draft
+ */
+function parseGiftQuestion(body, draft, declaredType, errors) {
+    const source = body.map(part => part.text).join('\n');
+    const lineAt = offset => body[0].line + (source.slice(0, offset).match(/\n/g) || []).length;
+    const fail = (offset, message) => errors.push({ line: lineAt(offset), message });
+
+    let start = 0;
+    const title = /^\s*::((?:\\.|[^:\\])*)::/.exec(source);
+    if (title) {
+        const name = giftUnescape(title[1]);
+        if (ID_PATTERN.test(name)) setDraftField(draft, 'id', name, body[0].line);
+        start = title[0].length;
+    }
+
+    const open = findUnescaped(source, '{', start);
+    if (open === -1) {
+        fail(start, 'missing the { } answer block');
+        return;
+    }
+    const close = findUnescaped(source, '}', open + 1);
+    if (close === -1) {
+        fail(open, 'the { answer block is never closed');
+        return;
+    }
+
+    const block = source.slice(open + 1, close);
+    const { answers, bare, general, generalOffset } = splitGiftAnswers(block);
+    const after = source.slice(close + 1).trim();
+    let before = source.slice(start, open).trim();
+
+    if (/^#/.test(block.trim()) && !block.trim().startsWith('####')) {
+        fail(open, 'numerical questions aren\'t supported');
+        return;
+    }
+    const weighted = answers.find(answer => /^%-?\d+(\.\d+)?%/.test(answer.text));
+    if (weighted) {
+        fail(open + 1 + weighted.offset, 'answer weights (%50%) aren\'t supported; mark the right answer = and the others ~');
+        return;
+    }
+
+    // Work out the type from the answers, then check it against any "// type:" comment
+    const pairs = answers.map(answer => splitPair(answer.text));
+    let type;
+    if (answers.length === 0) {
+        type = bare ? 'true-false' : 'argument';
+    } else if (answers.every((answer, i) => answer.mark === '=' && pairs[i])) {
+        type = declaredType === 'ordering' ? 'ordering' : 'matching';
+    } else if (answers.some(answer => answer.mark === '~')) {
+        type = declaredType === 'scenario' || draft.scenario !== undefined ? 'scenario' : 'multiple-choice';
+    } else {
+        type = 'fill-blank';
+    }
+
+    if (declaredType && declaredType !== type) {
+        errors.push({ line: draft.lines.type, message: `"// type: ${declaredType}" doesn't match the answers, which make this a ${TYPE_LABELS[type]} question` });
+        return;
+    }
+    draft.type = type;
+    draft.lines.question = body[0].line;
+
+    // Text formats: [html] is stripped to text; a scenario's first paragraph is its situation
+    const format = /^\[(html|moodle|plain|markdown)\]/i.exec(before);
+    if (format) before = before.slice(format[0].length);
+    if (format && format[1].toLowerCase() === 'html') {
+        const html = giftUnescape(before);
+        const paragraphs = [...html.matchAll(/<p>([\s\S]*?)<\/p>/g)].map(match => stripHtml(match[1]));
+        if (type === 'scenario' && draft.scenario === undefined && paragraphs.length > 1) {
+            setDraftField(draft, 'scenario', paragraphs[0], body[0].line);
+            draft.text = paragraphs.slice(1).join(' ');
+        } else {
+            draft.text = stripHtml(html);
+        }
+    } else {
+        draft.text = giftUnescape(before);
+    }
+
+    // "The {=answer} goes here" puts the blank mid-sentence
+    if (after) {
+        if (type !== 'fill-blank') {
+            fail(close + 1, 'text after the answers only works for fill in the blank questions');
+            return;
+        }
+        draft.text = `${draft.text} _____ ${giftUnescape(after)}`.trim();
+    }
+
+    switch (type) {
+        case 'multiple-choice':
+        case 'scenario':
+            answers.forEach(answer => {
+                draft.options.push({ text: answer.text, correct: answer.mark === '=', note: answer.feedback, line: lineAt(open + 1 + answer.offset) });
+            });
+            setDraftLine(draft, 'options', lineAt(open + 1 + answers[0].offset));
+            break;
+
+        case 'true-false': {
+            const value = bare.split('#')[0].trim();
+            if (!/^(T|TRUE|F|FALSE)$/i.test(value)) {
+                fail(open, `"${value}" isn't an answer; use =right ~wrong, TRUE/FALSE, or =a -> b pairs`);
+                return;
+            }
+            setDraftField(draft, 'answer', /^T/i.test(value) ? 'true' : 'false', lineAt(open));
+            break;
+        }
+
+        case 'matching':
+            answers.forEach((answer, i) => {
+                draft.pairs.push({ left: pairs[i][0], right: pairs[i][1], line: lineAt(open + 1 + answer.offset) });
+            });
+            setDraftLine(draft, 'pairs', lineAt(open + 1 + answers[0].offset));
+            break;
+
+        // Positions are 1, 2, ...; items go in the correct order
+        case 'ordering': {
+            const bad = answers.find((_, i) => parseInteger(pairs[i][1]) === null);
+            if (bad) {
+                fail(open + 1 + bad.offset, 'ordering items must match a position: =item -> 1');
+                return;
+            }
+            answers
+                .map((answer, i) => ({ text: pairs[i][0], position: parseInt(pairs[i][1], 10), line: lineAt(open + 1 + answer.offset) }))
+                .sort((a, b) => a.position - b.position)
+                .forEach(item => draft.items.push(item));
+            setDraftLine(draft, 'items', lineAt(open + 1 + answers[0].offset));
+            break;
+        }
+
+        case 'fill-blank':
+            setDraftField(draft, 'answer', answers[0].text, lineAt(open + 1 + answers[0].offset));
+            answers.slice(1).forEach(answer => setDraftField(draft, 'acceptableAnswers', answer.text, lineAt(open + 1 + answer.offset)));
+            break;
+    }
+
+    if (general !== null) {
+        const field = type === 'argument' ? 'modelAnswer' : 'explanation';
+        if (draft[field] === undefined) setDraftField(draft, field, general, lineAt(open + 1 + generalOffset));
+    }
+}
+
+function parseGift(text) {
+    const quiz = {};
+    const quizLines = {};
+    const drafts = [];
+    const errors = [];
+    let category = null;
+
+    giftBlocks(text).forEach(block => {
+        const body = [];
+        const comments = [];
+
+        block.forEach(({ line, text: lineText }) => {
+            const trimmed = lineText.trim();
+            const categoryLine = /^\$CATEGORY:\s*(.*)$/i.exec(trimmed);
+            if (categoryLine) {
+                category = categoryLine[1].trim();
+            } else if (trimmed.startsWith('//')) {
+                const directive = /^\/\/\s*([A-Za-z][A-Za-z ]*?)\s*:\s*(.*)$/.exec(trimmed);
+                // Anything else is an ordinary comment
+                if (directive) comments.push({ key: directive[1].toLowerCase(), value: directive[2].trim(), line });
+            } else {
+                body.push({ line, text: lineText });
+            }
+        });
+
+        const draft = newDraft(null, body.length ? body[0].line : block[0].line);
+        draft.pairFeedback = [];
+        let declaredType = null;
+
+        comments.forEach(({ key, value, line }) => {
+            if (QUIZ_SETTINGS[key]) {
+                const error = applyQuizSetting(quiz, key, value);
+                if (error) errors.push({ line, message: error });
+                if (!quizLines[QUIZ_SETTINGS[key]]) quizLines[QUIZ_SETTINGS[key]] = line;
+            } else if (!body.length && (QUESTION_KEYS[key] || ['type', 'rubric', 'pair feedback'].includes(key))) {
+                errors.push({ line, message: `"// ${key}:" has no question under it` });
+            } else if (key === 'type') {
+                declaredType = questionType(value);
+                draft.lines.type = line;
+                if (!declaredType) errors.push({ line, message: `unknown question type "${value}"` });
+            } else if (key === 'pair feedback') {
+                const feedback = /^(.*?)\s+=>\s+(.*)$/.exec(value);
+                if (feedback) draft.pairFeedback.push({ left: feedback[1], feedback: feedback[2], line });
+                else errors.push({ line, message: '"// pair feedback:" takes left => feedback' });
+            } else if (key === 'rubric') {
+                const criterion = /^(.*?)(?:\s*\((\d+)\))?$/.exec(value);
+                draft.rubric.push({ criterion: criterion[1], points: criterion[2] ? parseInt(criterion[2], 10) : null, line });
+                setDraftLine(draft, 'rubric', line);
+            } else if (QUESTION_KEYS[key] && key !== 'answer' && key !== 'also accept' && key !== 'id') {
+                setDraftField(draft, QUESTION_KEYS[key], value, line);
+            }
+        });
+
+        if (!body.length) return;
+        parseGiftQuestion(body, draft, declaredType, errors);
+        draft.pairFeedback.forEach(({ left, feedback, line }) => {
+            const pair = draft.pairs.find(candidate => candidate.left === left);
+            if (pair) pair.note = feedback;
+            else errors.push({ line, message: `"// pair feedback:" names "${left}", which isn't on the left of any pair` });
+        });
+        drafts.push(draft);
+    });
+
+    // Exports file each quiz as ".../Chapter 01: Title"; a bare category names the quiz
+    if (quiz.title === undefined && category) {
+        quiz.title = category.split('/').pop().trim();
+    }
+
+    return { quiz, quizLines, drafts, errors };
+}
+
+// ==========================================
+// IMPORT
+// ==========================================
+
+/**
+ * Read a quiz source and check it the way the build does
+ * format is 'markdown' or 'gift'. existing is the current JSON for the
+ * chapter, if any: a question without an id keeps the id of an existing
+ * question with the same text, so moving a quiz to a source file keeps its
+ * history. Other missing ids are derived from the text, as npm run quiz:ids
+ * does. Returns { quiz, errors: [{ line, message }], assigned: [{ line, id }] };
+ * the quiz is only fit to write when errors is empty.
+ */
+function importQuiz(text, format, existing = null) {
+    const parsed = format === 'gift' ? parseGift(text) : parseMarkdown(text);
+    const { quizLines, drafts, errors } = parsed;
+    const questions = drafts.map(draft => buildQuestion(draft, errors));
+    const quiz = pick({ ...parsed.quiz, questions }, QUIZ_FIELDS);
+    const sorted = () => errors.sort((a, b) => a.line - b.line);
+
+    // Line-level problems come first; the schema would only repeat them
+    if (errors.length) return { quiz, errors: sorted(), assigned: [] };
+
+    const hadId = questions.map(question => Boolean(question.id));
+    if (existing && Array.isArray(existing.questions)) {
+        const taken = new Set(questions.map(question => question.id).filter(Boolean));
+        questions.forEach(question => {
+            if (question.id) return;
+            const match = existing.questions.find(old => old && old.id && old.question === question.question && !taken.has(old.id));
+            if (match) {
+                question.id = match.id;
+                taken.add(match.id);
+            }
+        });
+    }
+    assignQuestionIds(quiz);
+
+    // assignQuestionIds adds ids at the end of each question; put them back first
+    quiz.questions = questions.map(question => pick(question, QUESTION_FIELDS));
+
+    const assigned = quiz.questions
+        .map((question, index) => (hadId[index] || !question.id ? null : { line: drafts[index].line, id: question.id }))
+        .filter(Boolean);
+
+    validateQuiz(quiz).forEach(problem => {
+        const field = problem.field.split('/')[0];
+        const line = problem.question === null
+            ? quizLines[field] || 1
+            : drafts[problem.question].lines[field] || drafts[problem.question].line;
+        errors.push({ line, message: `${problem.field ? problem.field + ': ' : ''}${problem.message}` });
+    });
+
+    return { quiz, errors: sorted(), assigned };
+}
+
+/**
+ * Quiz JSON laid out like the hand-written files: two-space indent, with each
+ * matching pair on one line
+ */
+function formatQuiz(quiz) {
+    return JSON.stringify(quiz, null, 2)
+        .replace(/\{\n\s+("left": .*(?:\n\s+"(?:right|feedback)": .*)+)\n\s+\}/g,
+            (_, fields) => `{${fields.split('\n').map(field => field.trim()).join(' ')}}`) + '\n';
+}
+
+module.exports = {
+    importQuiz,
+    formatQuiz
+};
@@ -0,0 +1,200 @@
+/**
+ * Quiz validation rules shared by the build and the browser
+ * Turns a compiled lib/quiz-schema.json validator's errors into
+ * { question, field, message } problems and adds the cross-field rules JSON
+ * Schema can't express (answer indexes in range, ordering permutations,
+ * duplicate matching pairs, unique question ids, rationales for quizzes that
+ * require them). No Node APIs here:
+ * lib/quiz-validator-browser.js bundles this file for the custom quiz page.
+ */
+
+/**
+ * Describe an Ajv error in author-friendly terms
+ */
+function describeSchemaError(err) {
+    switch (err.keyword) {
+        case 'required':
+            if (err.params.missingProperty === 'id') {
+                return 'missing "id" (run npm run quiz:ids to assign one)';
+            }
+            return `missing "${err.params.missingProperty}"`;
+        case 'additionalProperties':
+            return `unknown field "${err.params.additionalProperty}"`;
+        case 'uniqueItems':
+            return `duplicate entries (items ${err.params.j} and ${err.params.i} are identical)`;
+        case 'enum':
+            return `must be one of: ${err.params.allowedValues.join(', ')}`;
+        case 'pattern':
+            return 'must use only lowercase letters, digits and hyphens';
+        default:
+            return err.message;
+    }
+}
+
+/**
+ * Split "/questions/3/options/1" into question index 3 and field path "options/1"
+ */
+function splitInstancePath(instancePath) {
+    const match = /^\/questions\/(\d+)(?:\/(.*))?$/.exec(instancePath);
+    if (!match) {
+        return { question: null, field: instancePath.replace(/^\//, '') };
+    }
+    return { question: parseInt(match[1], 10), field: match[2] || '' };
+}
+
+function checkSchema(quiz, validate) {
+    if (validate(quiz)) return [];
+
+    return validate.errors
+        // if/then failures repeat the underlying error, so skip them
+        .filter(err => err.keyword !== 'if')
+        .map(err => ({
+            ...splitInstancePath(err.instancePath),
+            message: describeSchemaError(err)
+        }));
+}
+
+function findDuplicates(values) {
+    const seen = new Set();
+    const duplicates = new Set();
+    values.forEach(value => {
+        const key = String(value).trim().toLowerCase();
+        if (seen.has(key)) duplicates.add(value);
+        seen.add(key);
+    });
+    return [...duplicates];
+}
+
+/**
+ * Rules that depend on more than one field of a question
+ * requireRationales comes from the quiz: every wrong option then needs a
+ * rationale and every matching pair needs feedback
+ */
+function checkQuestion(question, requireRationales) {
+    const errors = [];
+
+    switch (question.type) {
+        case 'multiple-choice':
+        case 'scenario':
+            if (Array.isArray(question.options) && Number.isInteger(question.correct) &&
+                question.correct >= question.options.length) {
+                errors.push({
+                    field: 'correct',
+                    message: `index ${question.correct} is out of range (${question.options.length} options, so 0-${question.options.length - 1})`
+                });
+            }
+            if (Array.isArray(question.options) && Array.isArray(question.rationales) &&
+                question.rationales.length !== question.options.length) {
+                errors.push({
+                    field: 'rationales',
+                    message: `has ${question.rationales.length} entries for ${question.options.length} options`
+                });
+            }
+            if (requireRationales && Array.isArray(question.options)) {
+                if (!Array.isArray(question.rationales)) {
+                    errors.push({ field: '', message: 'missing "rationales" (this quiz sets requireRationales)' });
+                } else {
+                    question.options.forEach((option, index) => {
+                        if (index !== question.correct && !question.rationales[index]) {
+                            errors.push({ field: `rationales/${index}`, message: `needs a rationale for "${option}"` });
+                        }
+                    });
+                }
+            }
+            break;
+
+        case 'matching':
+            if (Array.isArray(question.pairs)) {
+                const pairs = question.pairs.filter(pair => pair && typeof pair === 'object');
+                if (requireRationales) {
+                    pairs.filter(pair => !pair.feedback).forEach(pair => {
+                        errors.push({ field: 'pairs', message: `"${pair.left}" needs feedback (this quiz sets requireRationales)` });
+                    });
+                }
+                findDuplicates(pairs.map(pair => pair.left).filter(Boolean)).forEach(left => {
+                    errors.push({ field: 'pairs', message: `"${left}" appears more than once on the left` });
+                });
+                findDuplicates(pairs.map(pair => pair.right).filter(Boolean)).forEach(right => {
+                    errors.push({ field: 'pairs', message: `"${right}" appears more than once on the right` });
+                });
+            }
+            break;
+
+        case 'ordering':
+            if (Array.isArray(question.items) && Array.isArray(question.correctOrder)) {
+                const expected = question.items.map((_, i) => i).join(',');
+                const actual = [...question.correctOrder].sort((a, b) => a - b).join(',');
+                if (expected !== actual) {
+                    errors.push({
+                        field: 'correctOrder',
+                        message: `must list each item index 0-${question.items.length - 1} exactly once`
+                    });
+                }
+            }
+            break;
+
+        case 'fill-blank':
+            if (Array.isArray(question.acceptableAnswers)) {
+                findDuplicates([question.answer, ...question.acceptableAnswers].filter(Boolean)).forEach(answer => {
+                    errors.push({ field: 'acceptableAnswers', message: `"${answer}" is listed more than once` });
+                });
+            }
+            break;
+
+        case 'argument':
+            if (Array.isArray(question.rubric)) {
+                const criteria = question.rubric.filter(item => item && typeof item === 'object');
+                findDuplicates(criteria.map(item => item.criterion).filter(Boolean)).forEach(criterion => {
+                    errors.push({ field: 'rubric', message: `"${criterion}" is listed more than once` });
+                });
+
+                const totalPoints = criteria.reduce((sum, item) => sum + (Number.isInteger(item.points) ? item.points : 1), 0);
+                if (Number.isInteger(question.passPoints) && question.passPoints > totalPoints) {
+                    errors.push({
+                        field: 'passPoints',
+                        message: `${question.passPoints} is more than the rubric's ${totalPoints} points`
+                    });
+                }
+            }
+            break;
+    }
+
+    return errors;
+}
+
+/**
+ * Validate one parsed quiz object with a compiled schema validator
+ * Returns an array of { question, field, message } (empty when valid);
+ * question is the index in quiz.questions, or null for quiz-level problems
+ */
+function validateQuiz(quiz, validate) {
+    const errors = checkSchema(quiz, validate);
+
+    if (quiz && Array.isArray(quiz.questions)) {
+        quiz.questions.forEach((question, index) => {
+            if (!question || typeof question !== 'object') return;
+            checkQuestion(question, quiz.requireRationales === true).forEach(err => errors.push({ question: index, ...err }));
+        });
+
+        // Ids key analytics and review cards, so two questions can't share one
+        const firstUse = new Map();
+        quiz.questions.forEach((question, index) => {
+            if (!question || typeof question.id !== 'string') return;
+            if (firstUse.has(question.id)) {
+                errors.push({
+                    question: index,
+                    field: 'id',
+                    message: `"${question.id}" is already used by Q${firstUse.get(question.id) + 1}`
+                });
+            } else {
+                firstUse.set(question.id, index);
+            }
+        });
+    }
+
+    return errors;
+}
+
+module.exports = {
+    validateQuiz
+};
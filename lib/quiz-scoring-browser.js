@@ -0,0 +1,28 @@
+/**
+ * Browser build of the quiz scoring rules
+ * Bundles lib/quiz-scoring.js, the code lib/quiz-grading.js re-grades
+ * submissions with, so src/js/quiz.js scores attempts exactly as the server
+ * does. Served as /js/quiz-scoring.js (see src/quiz-scoring.njk) and exposed
+ * as window.DebateGuideQuizScoring.
+ */
+
+const fs = require('fs');
+
+const { bundleModules } = require('./browser-bundle');
+
+/**
+ * Source of /js/quiz-scoring.js
+ */
+function buildBrowserScoring() {
+    return bundleModules({
+        banner: 'Generated from lib/quiz-scoring.js by lib/quiz-scoring-browser.js',
+        modules: {
+            './quiz-scoring': fs.readFileSync(require.resolve('./quiz-scoring'), 'utf8')
+        },
+        body: `    window.DebateGuideQuizScoring = load('./quiz-scoring');`
+    });
+}
+
+module.exports = {
+    buildBrowserScoring
+};
@@ -0,0 +1,310 @@
+/**
+ * Quiz scoring rules shared by the browser and the server
+ * src/js/quiz.js scores attempts with these (through /js/quiz-scoring.js,
+ * built by lib/quiz-scoring-browser.js) and lib/quiz-grading.js re-grades
+ * submitted attempts with the same code, so the two can't drift apart.
+ * Everything here is pure: no DOM, storage or file access.
+ *
+ * Answers are in the quiz file's terms: a multiple-choice answer is the
+ * option's index in question.options, not its position on screen.
+ */
+
+// Scoring for quizzes without their own "scoring" policy (see lib/quiz-schema.json):
+// 5% off per hint up to 25%, part marks for matching and ordering, no marks off for wrong answers
+const DEFAULT_SCORING = {
+    hintPenalty: { perHint: 5, max: 25, freeHints: 0 },
+    partialCredit: true,
+    negativeMarking: 0
+};
+
+// Share of rubric points an argument needs to count as correct, unless the
+// question sets passPoints; matches the 70% most quizzes need to pass
+const RUBRIC_PASS_SHARE = 0.7;
+
+// Option shuffles are seeded from the attempt's seed plus this, so they don't
+// repeat the exam draw's shuffles
+const ANSWER_SEED_OFFSET = 100000;
+
+function indices(length) {
+    return Array.from({ length }, (_, i) => i);
+}
+
+/**
+ * Generate seeded random for reproducible results
+ */
+function seededRandom(seed) {
+    const x = Math.sin(seed++) * 10000;
+    return x - Math.floor(x);
+}
+
+/**
+ * Fisher-Yates shuffle driven by seededRandom, so a seed always gives the same order
+ */
+function seededShuffle(array, seed) {
+    const shuffled = [...array];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(seededRandom(seed + i) * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+}
+
+/**
+ * Option order for the question at index, reproducible from the seed
+ */
+function getAnswerOrder(optionCount, seed, index) {
+    return seededShuffle(indices(optionCount), seed + ANSWER_SEED_OFFSET + index * 100);
+}
+
+/**
+ * Draw an exam from its chapters' quizzes
+ * The seed decides which questions each chapter contributes and their order,
+ * so the same seed always reproduces the same exam. sources maps chapter
+ * number to quiz; chapters without one are left out.
+ */
+function drawExam(exam, sources, seed) {
+    const questions = [];
+
+    exam.chapters.forEach(chapter => {
+        const source = sources[chapter.number];
+        if (!source) return;
+
+        seededShuffle(indices(source.questions.length), seed + chapter.number * 1000)
+            .slice(0, exam.questionsPerChapter)
+            .forEach(questionIndex => {
+                questions.push({
+                    ...source.questions[questionIndex],
+                    chapterNumber: chapter.number,
+                    chapterQuestionIndex: questionIndex
+                });
+            });
+    });
+
+    return {
+        title: exam.title,
+        passingScore: exam.passingScore,
+        questions: seededShuffle(questions, seed)
+    };
+}
+
+/**
+ * Normalize a typed answer for comparison
+ * Ignores case, accents and Greek breathing marks, so "Ēthos", "ethos"
+ * and "ἦθος" all compare against their unaccented forms
+ */
+function normalizeAnswer(str) {
+    return String(str)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/ς/g, 'σ')
+        .replace(/[.,;:!?"'“”‘’]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Accepted answers for a fill-blank question (canonical answer first)
+ */
+function getAcceptedAnswers(question) {
+    const answers = [question.answer, ...(question.acceptableAnswers || [])];
+    return answers.filter(ans => typeof ans === 'string' && ans.trim());
+}
+
+/**
+ * Correct item sequence for an ordering question
+ * Items are authored in the correct order unless correctOrder is given
+ */
+function getCorrectOrder(question) {
+    return question.correctOrder || indices(question.items.length);
+}
+
+/**
+ * Labels for the boxes an argument question is written in
+ */
+function getArgumentParts(question) {
+    return question.parts || ['Your argument'];
+}
+
+function getRubricTotal(question) {
+    return question.rubric.reduce((sum, item) => sum + (item.points || 1), 0);
+}
+
+function getRubricPassPoints(question) {
+    return question.passPoints || Math.ceil(getRubricTotal(question) * RUBRIC_PASS_SHARE);
+}
+
+function isUnanswered(answer) {
+    return answer === undefined || answer === null;
+}
+
+/**
+ * Whether an answer is right; arguments count as right once the reader's
+ * own rubric points reach the pass mark
+ */
+function checkAnswer(question, answer, rubricPoints) {
+    if (isUnanswered(answer)) return false;
+
+    switch (question.type) {
+        case 'true-false':
+            return answer === (question.correct ? 0 : 1);
+        case 'multiple-choice':
+        case 'scenario':
+            return answer === question.correct;
+        case 'matching':
+            return question.pairs.every((pair, index) => answer[index] === index);
+        case 'ordering': {
+            const correctOrder = getCorrectOrder(question);
+            return answer.every((itemIndex, position) => itemIndex === correctOrder[position]);
+        }
+        case 'fill-blank': {
+            const normalized = normalizeAnswer(answer);
+            return getAcceptedAnswers(question).some(ans => normalizeAnswer(ans) === normalized);
+        }
+        case 'argument':
+            return rubricPoints >= getRubricPassPoints(question);
+        default:
+            return false;
+    }
+}
+
+/**
+ * Kendall tau agreement between an answer order and the correct one: the
+ * share of item pairs the answer puts the right way round, so one swap of
+ * neighbours costs little and a reversed list scores 0
+ */
+function getOrderingAgreement(question, answer) {
+    const correctOrder = getCorrectOrder(question);
+    const rank = answer.map(itemIndex => correctOrder.indexOf(itemIndex));
+    let concordant = 0;
+    let pairs = 0;
+    for (let i = 0; i < rank.length; i++) {
+        for (let j = i + 1; j < rank.length; j++) {
+            pairs++;
+            if (rank[i] < rank[j]) concordant++;
+        }
+    }
+    return pairs === 0 ? 1 : concordant / pairs;
+}
+
+/**
+ * How much of a question the answer got right, from 0 to 1: the share of
+ * matching pairs, the ordering's Kendall tau agreement, otherwise all or nothing
+ */
+function getAnswerCredit(question, answer, isCorrect) {
+    if (isCorrect) return 1;
+    if (!answer) return 0;
+
+    if (question.type === 'matching') {
+        return question.pairs.filter((pair, index) => answer[index] === index).length / question.pairs.length;
+    }
+    if (question.type === 'ordering') {
+        return getOrderingAgreement(question, answer);
+    }
+    return 0;
+}
+
+/**
+ * What one answer is worth under the policy: 1 when right; with partial
+ * credit, its share from getAnswerCredit; otherwise minus negativeMarking
+ * for a wrong answer. Unanswered questions and self-scored arguments never
+ * lose marks.
+ */
+function getQuestionCredit(question, credit, answer, policy) {
+    if (credit === 1) return 1;
+    if (isUnanswered(answer) || question.type === 'argument') return 0;
+    if (policy.partialCredit && credit > 0) return credit;
+    return -policy.negativeMarking;
+}
+
+/**
+ * Per-pair or per-position results for matching and ordering answers,
+ * for the review and for analytics; null for other question types
+ */
+function getItemResults(question, answer) {
+    if (question.type === 'matching') {
+        return question.pairs.map((pair, index) => {
+            const chosen = answer ? question.pairs[answer[index]] : undefined;
+            return {
+                left: pair.left,
+                chosen: chosen ? chosen.right : null,
+                expected: pair.right,
+                isCorrect: Boolean(answer) && answer[index] === index
+            };
+        });
+    }
+    if (question.type === 'ordering' && answer) {
+        const correctOrder = getCorrectOrder(question);
+        return answer.map((itemIndex, position) => ({
+            item: question.items[itemIndex],
+            position,
+            expectedPosition: correctOrder.indexOf(itemIndex),
+            isCorrect: correctOrder[position] === itemIndex
+        }));
+    }
+    return null;
+}
+
+/**
+ * The quiz's scoring policy with defaults filled in
+ */
+function getScoringPolicy(quiz) {
+    const scoring = quiz.scoring || {};
+    return {
+        ...DEFAULT_SCORING,
+        ...scoring,
+        hintPenalty: { ...DEFAULT_SCORING.hintPenalty, ...scoring.hintPenalty }
+    };
+}
+
+function getHintPenalty(policy, hintsUsedCount) {
+    const { perHint, max, freeHints } = policy.hintPenalty;
+    return Math.min(Math.max(hintsUsedCount - freeHints, 0) * perHint, max);
+}
+
+/**
+ * Score a finished attempt from each question's credit
+ * percentage is what counts everywhere (pass mark, best score, server);
+ * rawPercentage is the plain share of questions answered right
+ */
+function scoreAttempt(quiz, credits, correct, hintsUsedCount) {
+    const policy = getScoringPolicy(quiz);
+    const total = credits.length;
+    const points = Math.max(credits.reduce((sum, credit) => sum + credit, 0), 0);
+    const hintPenalty = getHintPenalty(policy, hintsUsedCount);
+    const percentage = Math.max(Math.round((points / total) * 100) - hintPenalty, 0);
+
+    return {
+        correct,
+        total,
+        points: Math.round(points * 100) / 100,
+        partialAnswers: credits.filter(credit => credit > 0 && credit < 1).length,
+        markedDown: credits.filter(credit => credit < 0).length,
+        rawPercentage: Math.round((correct / total) * 100),
+        hintsUsed: hintsUsedCount,
+        hintPenalty,
+        percentage,
+        passed: percentage >= quiz.passingScore,
+        scoring: policy
+    };
+}
+
+module.exports = {
+    DEFAULT_SCORING,
+    RUBRIC_PASS_SHARE,
+    seededShuffle,
+    getAnswerOrder,
+    drawExam,
+    normalizeAnswer,
+    getAcceptedAnswers,
+    getCorrectOrder,
+    getArgumentParts,
+    getRubricTotal,
+    getRubricPassPoints,
+    checkAnswer,
+    getAnswerCredit,
+    getQuestionCredit,
+    getItemResults,
+    getScoringPolicy,
+    scoreAttempt
+};
@@ -0,0 +1,51 @@
+/**
+ * Browser build of the quiz validator
+ * Compiles lib/quiz-schema.json to standalone Ajv code and bundles it with
+ * lib/quiz-rules.js, so quizzes loaded on the custom quiz page are checked
+ * exactly as the build checks chapter quizzes. Served as /js/quiz-validator.js
+ * (see src/quiz-validator.njk) and exposed as
+ * window.DebateGuideQuizValidator.validateQuiz(quiz).
+ */
+
+const fs = require('fs');
+const Ajv = require('ajv');
+const standaloneCode = require('ajv/dist/standalone').default;
+
+const { bundleModules } = require('./browser-bundle');
+const schema = require('./quiz-schema.json');
+
+// Modules the bundle can require(), by the name the bundled code asks for.
+// The standalone validator pulls in Ajv's runtime helpers by package path.
+const MODULES = {
+    'ajv/dist/runtime/ucs2length': require.resolve('ajv/dist/runtime/ucs2length'),
+    'ajv/dist/runtime/equal': require.resolve('ajv/dist/runtime/equal'),
+    'fast-deep-equal': require.resolve('fast-deep-equal'),
+    './quiz-rules': require.resolve('./quiz-rules')
+};
+
+/**
+ * Source of /js/quiz-validator.js
+ */
+function buildBrowserValidator() {
+    const ajv = new Ajv({ allErrors: true, code: { source: true } });
+    const sources = {};
+    Object.entries(MODULES).forEach(([name, file]) => {
+        sources[name] = fs.readFileSync(file, 'utf8');
+    });
+    sources['./quiz-schema'] = standaloneCode(ajv, ajv.compile(schema));
+
+    return bundleModules({
+        banner: 'Generated from lib/quiz-schema.json and lib/quiz-rules.js by lib/quiz-validator-browser.js',
+        modules: sources,
+        body: `    const validateSchema = load('./quiz-schema');
+    const rules = load('./quiz-rules');
+
+    window.DebateGuideQuizValidator = {
+        validateQuiz: quiz => rules.validateQuiz(quiz, validateSchema)
+    };`
+    });
+}
+
+module.exports = {
+    buildBrowserValidator
+};
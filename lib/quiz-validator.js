@@ -0,0 +1,129 @@
+/**
+ * Quiz data validation for The Debate Guide
+ * Checks src/_data/quizzes/*.json against lib/quiz-schema.json, plus the
+ * cross-field rules in lib/quiz-rules.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const schema = require('./quiz-schema.json');
+const rules = require('./quiz-rules');
+
+const QUIZ_DIR = path.join(__dirname, '../src/_data/quizzes');
+
+let compiledValidator = null;
+
+function getValidator() {
+    if (!compiledValidator) {
+        const ajv = new Ajv({ allErrors: true });
+        compiledValidator = ajv.compile(schema);
+    }
+    return compiledValidator;
+}
+
+/**
+ * Validate one parsed quiz object
+ * Returns an array of { question, field, message } (empty when valid);
+ * question is the index in quiz.questions, or null for quiz-level problems
+ */
+function validateQuiz(quiz) {
+    return rules.validateQuiz(quiz, getValidator());
+}
+
+/**
+ * Validate every chapter quiz file on disk
+ * Returns an array of { file, question, field, message }
+ */
+function validateAllQuizzes(quizDir = QUIZ_DIR) {
+    const problems = [];
+    const files = fs.readdirSync(quizDir).filter(f => f.endsWith('.json')).sort();
+
+    for (const file of files) {
+        let quiz;
+        try {
+            quiz = JSON.parse(fs.readFileSync(path.join(quizDir, file), 'utf8'));
+        } catch (e) {
+            problems.push({ file, question: null, field: '', message: `invalid JSON: ${e.message}` });
+            continue;
+        }
+
+        validateQuiz(quiz).forEach(err => problems.push({ file, ...err }));
+    }
+
+    return problems;
+}
+
+/**
+ * Format problems as a report grouped by file and question
+ *
+ *   chapter-03.json
+ *     quiz: passingScore must be <= 100
+ *     Q4 (multiple-choice) "What is the elenchus?"
+ *       correct: index 5 is out of range (4 options, so 0-3)
+ */
+function formatReport(problems, quizDir = QUIZ_DIR) {
+    const lines = [];
+    const byFile = new Map();
+    problems.forEach(p => {
+        if (!byFile.has(p.file)) byFile.set(p.file, []);
+        byFile.get(p.file).push(p);
+    });
+
+    for (const [file, fileProblems] of byFile) {
+        let quiz = null;
+        try {
+            quiz = JSON.parse(fs.readFileSync(path.join(quizDir, file), 'utf8'));
+        } catch (e) {
+            // Invalid JSON is already reported as a quiz-level problem
+        }
+
+        lines.push(file);
+
+        fileProblems.filter(p => p.question === null).forEach(p => {
+            lines.push(`  quiz: ${p.field ? p.field + ' ' : ''}${p.message}`);
+        });
+
+        const questionIndexes = [...new Set(fileProblems.filter(p => p.question !== null).map(p => p.question))]
+            .sort((a, b) => a - b);
+
+        for (const index of questionIndexes) {
+            const question = quiz && quiz.questions ? quiz.questions[index] || {} : {};
+            const text = typeof question.question === 'string' ? question.question : '';
+            const preview = text.length > 60 ? text.slice(0, 57) + '...' : text;
+            lines.push(`  Q${index + 1} (${question.type || 'no type'})${preview ? ` "${preview}"` : ''}`);
+
+            fileProblems.filter(p => p.question === index).forEach(p => {
+                lines.push(`    ${p.field ? p.field + ': ' : ''}${p.message}`);
+            });
+        }
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * The check .eleventy.js runs before each build
+ * Broken quizzes must never ship, so a production build throws the report;
+ * otherwise it's returned for a warning so the dev server keeps serving.
+ * Returns null when every quiz is valid
+ */
+function checkQuizzesForBuild(isProduction, quizDir = QUIZ_DIR) {
+    const problems = validateAllQuizzes(quizDir);
+    if (problems.length === 0) return null;
+
+    const report = `[Build] ${problems.length} quiz data problem(s):\n${formatReport(problems, quizDir)}`;
+    if (isProduction) {
+        throw new Error(report);
+    }
+    return report;
+}
+
+module.exports = {
+    QUIZ_DIR,
+    validateQuiz,
+    validateAllQuizzes,
+    formatReport,
+    checkQuizzesForBuild
+};
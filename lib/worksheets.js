@@ -0,0 +1,152 @@
+/**
+ * Printable worksheets for The Debate Guide
+ * Lays each chapter quiz out for paper: lettered choices, a shuffled right
+ * column for matching, shuffled items to number for ordering, and a matching
+ * answer key. Every chapter gets a worksheet in book order plus versions A and
+ * B with the questions shuffled, so neighbouring desks get different papers.
+ * Shuffles are seeded, so a version prints the same way every build.
+ * Used by src/_data/worksheets.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { QUIZ_DIR } = require('./quiz-validator');
+const { seededShuffle } = require('./quiz-scoring');
+const { parts } = require('../src/_data/chapters.json');
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// What to do on paper, printed above each question's answer space
+const INSTRUCTIONS = {
+    'multiple-choice': 'Circle one',
+    'true-false': 'Circle True or False',
+    'scenario': 'Circle one',
+    'matching': 'Write the letter of the match in each blank',
+    'ordering': 'Write the letters in the correct order',
+    'fill-blank': 'Write your answer on the line',
+    'argument': 'Write your answer on the lines'
+};
+
+// Book order keeps the quiz's question order; lettered versions shuffle it
+const VERSIONS = [
+    { id: null, label: 'Book order', shuffleQuestions: false },
+    { id: 'a', label: 'Version A', shuffleQuestions: true },
+    { id: 'b', label: 'Version B', shuffleQuestions: true }
+];
+
+function indices(length) {
+    return Array.from({ length }, (_, i) => i);
+}
+
+/**
+ * Lay one question out for paper
+ * Each question's own shuffles are seeded from the sheet seed and its place
+ * in the quiz, so reordering the questions doesn't reshuffle their answers.
+ */
+function toPaperQuestion(question, quizIndex, number, seed) {
+    const questionSeed = seed + (quizIndex + 1) * 97;
+    const paper = { ...question, number, instructions: INSTRUCTIONS[question.type] };
+
+    switch (question.type) {
+        case 'multiple-choice':
+        case 'scenario': {
+            paper.choices = seededShuffle(indices(question.options.length), questionSeed).map((optionIndex, i) => ({
+                letter: LETTERS[i],
+                text: question.options[optionIndex],
+                correct: optionIndex === question.correct,
+                rationale: question.rationales ? question.rationales[optionIndex] || null : null
+            }));
+            paper.key = paper.choices.find(choice => choice.correct).letter;
+            break;
+        }
+
+        case 'true-false':
+            paper.key = question.correct ? 'True' : 'False';
+            break;
+
+        case 'matching': {
+            const rightOrder = seededShuffle(indices(question.pairs.length), questionSeed);
+            paper.right = rightOrder.map((pairIndex, i) => ({ letter: LETTERS[i], text: question.pairs[pairIndex].right }));
+            paper.left = question.pairs.map((pair, pairIndex) => ({
+                number: pairIndex + 1,
+                text: pair.left,
+                letter: LETTERS[rightOrder.indexOf(pairIndex)],
+                feedback: pair.feedback || null
+            }));
+            break;
+        }
+
+        case 'ordering': {
+            const correctOrder = question.correctOrder || indices(question.items.length);
+            let order = seededShuffle(indices(question.items.length), questionSeed);
+            // As on screen, never print the items already in the right order
+            if (order.every((itemIndex, position) => itemIndex === correctOrder[position])) {
+                order = [...order.slice(1), order[0]];
+            }
+            paper.items = order.map((itemIndex, i) => ({ letter: LETTERS[i], text: question.items[itemIndex] }));
+            paper.key = correctOrder.map(itemIndex => LETTERS[order.indexOf(itemIndex)]).join(' → ');
+            break;
+        }
+
+        case 'fill-blank':
+            paper.key = [question.answer, ...(question.acceptableAnswers || [])].join(' / ');
+            break;
+
+        case 'argument':
+            paper.parts = question.parts || ['Your argument'];
+            break;
+    }
+
+    return paper;
+}
+
+/**
+ * One worksheet per chapter quiz and version, in chapter order
+ * seed is chapterNumber * 1000 plus the version's place in VERSIONS, and is
+ * printed on the sheet so a teacher can tell the versions apart.
+ */
+function buildWorksheets(quizDir = QUIZ_DIR) {
+    const worksheets = [];
+
+    parts.forEach(part => {
+        part.chapters.forEach(chapter => {
+            const padded = String(chapter.number).padStart(2, '0');
+            const file = path.join(quizDir, `chapter-${padded}.json`);
+            if (!fs.existsSync(file)) return;
+
+            const quiz = JSON.parse(fs.readFileSync(file, 'utf8'));
+            const versionLinks = VERSIONS.map(version => ({
+                label: version.label,
+                slug: `chapter-${padded}${version.id ? '-' + version.id : ''}`
+            }));
+
+            VERSIONS.forEach((version, versionIndex) => {
+                const seed = chapter.number * 1000 + versionIndex;
+                const order = version.shuffleQuestions
+                    ? seededShuffle(indices(quiz.questions.length), seed)
+                    : indices(quiz.questions.length);
+
+                worksheets.push({
+                    slug: versionLinks[versionIndex].slug,
+                    version: version.id ? version.id.toUpperCase() : null,
+                    versionLabel: version.label,
+                    versions: versionLinks,
+                    seed,
+                    chapterNumber: chapter.number,
+                    chapterTitle: chapter.title,
+                    chapterUrl: `/chapters/${part.id}/chapter-${padded}-${chapter.slug}/`,
+                    title: quiz.title,
+                    passingScore: quiz.passingScore,
+                    questions: order.map((quizIndex, i) => toPaperQuestion(quiz.questions[quizIndex], quizIndex, i + 1, seed))
+                });
+            });
+        });
+    });
+
+    return worksheets;
+}
+
+module.exports = {
+    buildWorksheets
+};
@@ -0,0 +1,21 @@
+#!/usr/bin/env node
+/**
+ * Give every chapter quiz question without an id a stable one
+ *
+ * Usage: npm run quiz:ids
+ * Ids are derived from the question text the first time and never change
+ * afterwards; commit the updated quiz files.
+ */
+
+const { assignAllQuestionIds } = require('../lib/question-ids');
+
+const changed = assignAllQuestionIds();
+
+if (changed.length === 0) {
+    console.log('Every question already has an id');
+    process.exit(0);
+}
+
+changed.forEach(({ file, ids }) => {
+    console.log(`${file}: ${ids.join(', ')}`);
+});
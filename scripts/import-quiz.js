@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Build chapter quiz JSON from a Markdown or GIFT source
+ *
+ * Usage: npm run quiz:import -- <source> [<source> ...] [--check]
+ * A source is chapter-XX*.quiz.md (Markdown) or chapter-XX*.gift (GIFT),
+ * e.g. src/chapters/part-1/chapter-01-why-debate-matters.quiz.md, and is
+ * written to src/_data/quizzes/chapter-XX.json. --check only reports.
+ * Problems print as file:line: message; a source with any isn't written and
+ * the exit status is 1. See lib/quiz-import.js for both formats.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const { QUIZ_DIR } = require('../lib/quiz-validator');
+const { importQuiz, formatQuiz } = require('../lib/quiz-import');
+
+const args = process.argv.slice(2);
+const checkOnly = args.includes('--check');
+const sources = args.filter(arg => arg !== '--check');
+
+if (sources.length === 0) {
+    console.error('Usage: npm run quiz:import -- <chapter-XX.quiz.md | chapter-XX.gift> [...] [--check]');
+    process.exit(1);
+}
+
+let failed = false;
+
+sources.forEach(source => {
+    const name = path.basename(source);
+    const format = /\.md$/i.test(name) ? 'markdown' : /\.gift(\.txt)?$/i.test(name) ? 'gift' : null;
+    const chapter = /chapter-(\d+)/.exec(name);
+
+    if (!format || !chapter) {
+        console.error(`${source}: name it chapter-XX.quiz.md or chapter-XX.gift so the chapter and format are clear`);
+        failed = true;
+        return;
+    }
+    if (!fs.existsSync(source)) {
+        console.error(`${source}: no such file`);
+        failed = true;
+        return;
+    }
+
+    const target = path.join(QUIZ_DIR, `chapter-${chapter[1].padStart(2, '0')}.json`);
+    let existing = null;
+    try {
+        existing = JSON.parse(fs.readFileSync(target, 'utf8'));
+    } catch {
+        // A new chapter, or a broken file the source is about to replace
+    }
+
+    const { quiz, errors, assigned } = importQuiz(fs.readFileSync(source, 'utf8'), format, existing);
+
+    if (errors.length > 0) {
+        errors.forEach(({ line, message }) => console.error(`${source}:${line}: ${message}`));
+        failed = true;
+        return;
+    }
+
+    assigned.forEach(({ line, id }) => {
+        console.log(`${source}:${line}: no id given, using ${id}; add it to the source so it survives edits to the question`);
+    });
+
+    if (checkOnly) {
+        console.log(`${source}: ${quiz.questions.length} questions, no problems`);
+        return;
+    }
+
+    fs.writeFileSync(target, formatQuiz(quiz));
+    console.log(`${source} -> ${path.relative(process.cwd(), target)} (${quiz.questions.length} questions)`);
+});
+
+process.exit(failed ? 1 : 0);
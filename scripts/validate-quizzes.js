@@ -0,0 +1,20 @@
+#!/usr/bin/env node
+/**
+ * Validate chapter quiz data against lib/quiz-schema.json
+ *
+ * Usage: npm run validate:quizzes
+ * Exits with status 1 and a per-question report when any quiz is invalid
+ */
+
+const { validateAllQuizzes, formatReport } = require('../lib/quiz-validator');
+
+const problems = validateAllQuizzes();
+
+if (problems.length === 0) {
+    console.log('All quizzes valid');
+    process.exit(0);
+}
+
+console.error(`${problems.length} quiz data problem(s):\n`);
+console.error(formatReport(problems));
+process.exit(1);
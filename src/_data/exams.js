@@ -0,0 +1,41 @@
+/**
+ * Cumulative exams: one per part in chapters.json plus a final exam
+ * covering all 20 chapters. quiz.js draws questionsPerChapter questions
+ * from each chapter quiz with a seeded shuffle.
+ */
+
+const { parts } = require('./chapters.json');
+
+// Aim for roughly this many questions in a part exam
+const PART_EXAM_TARGET = 20;
+const FINAL_QUESTIONS_PER_CHAPTER = 2;
+const PASSING_SCORE = 70;
+
+function toExamChapter(part, chapter) {
+    const padded = String(chapter.number).padStart(2, '0');
+    return {
+        number: chapter.number,
+        title: chapter.title,
+        url: `/chapters/${part.id}/chapter-${padded}-${chapter.slug}/`
+    };
+}
+
+const partExams = parts.map(part => ({
+    id: part.id,
+    title: `Part ${part.number} Exam`,
+    subtitle: part.title,
+    passingScore: PASSING_SCORE,
+    questionsPerChapter: Math.ceil(PART_EXAM_TARGET / part.chapters.length),
+    chapters: part.chapters.map(chapter => toExamChapter(part, chapter))
+}));
+
+const finalExam = {
+    id: 'final',
+    title: 'Final Exam',
+    subtitle: 'All 20 chapters',
+    passingScore: PASSING_SCORE,
+    questionsPerChapter: FINAL_QUESTIONS_PER_CHAPTER,
+    chapters: parts.flatMap(part => part.chapters.map(chapter => toExamChapter(part, chapter)))
+};
+
+module.exports = [...partExams, finalExam];
@@ -0,0 +1,10 @@
+/**
+ * Printable chapter worksheets and answer keys (src/worksheet.njk,
+ * src/worksheet-key.njk), built from the chapter quizzes by lib/worksheets.js
+ */
+
+const { buildWorksheets } = require('../../lib/worksheets');
+
+module.exports = function() {
+    return buildWorksheets();
+};
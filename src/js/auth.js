@@ -11,7 +11,8 @@
     let supabase = null;
 
     // Storage keys
-    const ANON_ID_KEY = 'debateGuideUserId';
+    const DEVICE_TOKEN_KEY = 'debateGuideDeviceToken'; // Issued through quiz.js
+    const USER_ID_KEY = 'debateGuideUserId'; // The anonymous ID the device token names
     const USER_KEY = 'debateGuideUser';
 
     // ==========================================
@@ -147,6 +148,11 @@
 
         await supabase.auth.signOut();
         localStorage.removeItem(USER_KEY);
+        // The device token names the account's record now; whoever uses this
+        // browser next starts a record of their own
+        localStorage.removeItem(DEVICE_TOKEN_KEY);
+        localStorage.removeItem(USER_ID_KEY);
+        if (window.DebateGuideOutbox) await window.DebateGuideOutbox.setToken(null);
         updateAuthUI(null);
     }
 
@@ -156,25 +162,40 @@
 
     /**
      * Link anonymous progress to authenticated account
-     * Called after successful login
+     * Called after successful login; the server reads the account from the
+     * session's access token
      */
     async function linkAnonymousProgress(user) {
         if (!user || !user.id) return;
 
         try {
-            const anonymousId = localStorage.getItem(ANON_ID_KEY);
-            if (!anonymousId) return;
+            if (!window.DebateGuideQuiz) return;
+
+            const session = await getSession();
+            if (!session) return;
 
             // Call API to link anonymous progress to authenticated user
-            await fetch('/api/auth/link-progress', {
+            // The anonymous progress is whatever this browser's device token
+            // owns; a browser without one yet asks without it, rather than
+            // make an empty record just to merge it
+            const request = {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify({
-                    anonymousId,
-                    userId: user.id,
-                    email: user.email
+                    accessToken: session.access_token
                 })
-            });
+            };
+            const response = localStorage.getItem(DEVICE_TOKEN_KEY)
+                ? await window.DebateGuideQuiz.fetchQuizApi('/api/auth/link-progress', request)
+                : await fetch('/api/auth/link-progress', request);
+            if (!response.ok) return;
+
+            // Merged into an account that already had progress, or nothing
+            // to link: this browser now uses the account's record
+            const data = await response.json();
+            if (data.token) {
+                await window.DebateGuideQuiz.adoptDeviceToken(data.token, data.anonymousId);
+            }
 
             console.debug('Linked anonymous progress to account');
         } catch (e) {
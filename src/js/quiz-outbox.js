@@ -0,0 +1,316 @@
+/**
+ * The Debate Guide - Quiz Result Outbox
+ *
+ * Finished quiz attempts, with their question responses, wait in IndexedDB
+ * until /api/quiz/submit accepts them. quiz.js queues each attempt and
+ * flushes at once; anything that can't be sent yet (offline, server down)
+ * is retried on reconnect, on the next page load, and by the service worker
+ * through Background Sync. Every attempt carries an idempotency key, so a
+ * retry of one the server already stored isn't stored twice. Attempts are
+ * always sent under the browser's current device token, never the one they
+ * were queued under: signing in can move the browser onto an account's
+ * record and delete its own (api/auth/link-progress.js). Pages keep a copy
+ * of the token here so the service worker can send them on its own.
+ * Attempts the server refuses stay in the outbox, marked with its reason,
+ * until the reader dismisses them.
+ *
+ * Loaded by pages and by the service worker (importScripts), so it only
+ * uses what both have: self, IndexedDB, fetch and BroadcastChannel.
+ */
+
+(function(scope) {
+    'use strict';
+
+    const DB_NAME = 'debateGuideOutbox';
+    const DB_VERSION = 2;
+    const STORE = 'attempts';
+    const DEVICE_STORE = 'device'; // The page's current device token, under TOKEN_KEY
+    const TOKEN_KEY = 'token';
+    const SUBMIT_URL = '/api/quiz/submit';
+    const SYNC_TAG = 'quiz-outbox'; // Background Sync tag the service worker listens for
+
+    // Tells other tabs and the service worker when the queue changes
+    const channel = 'BroadcastChannel' in scope ? new scope.BroadcastChannel('debate-guide-outbox') : null;
+    const listeners = [];
+    let flushing = null; // The flush in progress; overlapping calls share it
+
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const request = scope.indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE)) {
+                    db.createObjectStore(STORE, { keyPath: 'idempotencyKey' });
+                }
+                if (!db.objectStoreNames.contains(DEVICE_STORE)) {
+                    db.createObjectStore(DEVICE_STORE);
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one store request in its own transaction (on the attempts store
+     * unless storeName says otherwise)
+     * Resolves with the request's result once the transaction commits
+     */
+    function run(mode, operation, storeName = STORE) {
+        return openDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = transaction.onabort = () => {
+                db.close();
+                reject(transaction.error);
+            };
+        }));
+    }
+
+    /**
+     * Random key identifying one attempt however many times it's sent
+     * Matches IDEMPOTENCY_KEY in api/quiz/submit.js
+     */
+    function createIdempotencyKey() {
+        if (scope.crypto && typeof scope.crypto.randomUUID === 'function') {
+            return scope.crypto.randomUUID();
+        }
+        const bytes = new Uint8Array(16);
+        scope.crypto.getRandomValues(bytes);
+        return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener());
+        if (channel) channel.postMessage('changed');
+    }
+
+    if (channel) {
+        channel.onmessage = () => listeners.forEach(listener => listener());
+    }
+
+    /**
+     * Record the page's current device token for the service worker's
+     * flushes; null forgets it (signing out)
+     */
+    async function setToken(token) {
+        try {
+            await run('readwrite', store => (token ? store.put(token, TOKEN_KEY) : store.delete(TOKEN_KEY)), DEVICE_STORE);
+        } catch {
+            // Without IndexedDB there is no queue for the service worker to send
+        }
+    }
+
+    /**
+     * The device token a page last recorded, or null
+     */
+    async function getToken() {
+        try {
+            return (await run('readonly', store => store.get(TOKEN_KEY), DEVICE_STORE)) || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Post one attempt under the browser's current device token
+     * Resolves with { outcome, status, error }: outcome is 'sent', 'offline'
+     * (no connection), 'retry' (worth another try later) or 'rejected' (the
+     * server will never take it, e.g. a score it can't verify, with its reason
+     * in error)
+     */
+    async function send(entry, token) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        let response;
+        try {
+            response = await fetch(SUBMIT_URL, {
+                method: 'POST',
+                headers: headers,
+                body: JSON.stringify({ ...entry.payload, idempotencyKey: entry.idempotencyKey })
+            });
+        } catch {
+            return { outcome: 'offline', status: null, error: null };
+        }
+
+        const status = response.status;
+        if (response.ok) return { outcome: 'sent', status, error: null };
+        // Timeouts, rate limits, server errors and a missing or stale device
+        // token can pass later; other refusals won't
+        if (status >= 500 || [401, 408, 429].includes(status)) {
+            return { outcome: 'retry', status, error: null };
+        }
+
+        const body = await response.json().catch(() => ({}));
+        return { outcome: 'rejected', status, error: body.error || `Refused (HTTP ${status})` };
+    }
+
+    function isWaiting(entry) {
+        return !entry.rejection;
+    }
+
+    /**
+     * Queue an attempt's /api/quiz/submit payload and try to send it
+     * token is the page's device token (null if none could be had yet) and
+     * renewToken is passed on to flush
+     * Without IndexedDB (some private windows) it's sent once, as before the outbox
+     */
+    async function enqueue(payload, token, renewToken) {
+        const entry = {
+            idempotencyKey: createIdempotencyKey(),
+            payload: payload,
+            queuedAt: new Date().toISOString(),
+            tries: 0
+        };
+
+        try {
+            await run('readwrite', store => store.put(entry));
+        } catch {
+            await send(entry, token);
+            return;
+        }
+
+        notify();
+
+        // A flush already under way read the queue before this entry was in it
+        if (flushing) await flushing.catch(() => {});
+        if (await flush(token, renewToken) > 0) requestBackgroundSync();
+    }
+
+    /**
+     * Send everything queued, oldest first
+     * An attempt that has to wait is skipped so it can't hold up the rest;
+     * only a lost connection stops the round, since nothing else would get
+     * through either. token is the page's device token, which is recorded
+     * for the service worker; the service worker passes none and uses the
+     * recorded one. Pages pass renewToken, resolving with a fresh token, so an
+     * attempt turned away for a missing or stale token (401) is tried again
+     * under a new one; the service worker can't get tokens and leaves those
+     * for the next page.
+     * Resolves with how many attempts are still waiting
+     */
+    function flush(token, renewToken) {
+        if (!flushing) {
+            flushing = (async () => {
+                if (token) await setToken(token);
+                else token = await getToken();
+
+                const entries = (await run('readonly', store => store.getAll())).filter(isWaiting);
+                entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+                let renewed = false;
+
+                for (const entry of entries) {
+                    let result = await send(entry, token);
+                    if (result.status === 401 && renewToken && !renewed) {
+                        renewed = true;
+                        token = await renewToken(token);
+                        if (token) {
+                            await setToken(token);
+                            result = await send(entry, token);
+                        }
+                    }
+
+                    if (result.outcome === 'sent') {
+                        await run('readwrite', store => store.delete(entry.idempotencyKey));
+                        continue;
+                    }
+
+                    if (result.outcome === 'rejected') {
+                        await run('readwrite', store => store.put({
+                            ...entry,
+                            rejection: { status: result.status, error: result.error, at: new Date().toISOString() }
+                        }));
+                        continue;
+                    }
+
+                    await run('readwrite', store => store.put({
+                        ...entry,
+                        tries: entry.tries + 1,
+                        lastTriedAt: new Date().toISOString()
+                    }));
+                    if (result.outcome === 'offline') break;
+                }
+
+                return count();
+            })().finally(() => {
+                flushing = null;
+                notify();
+            });
+        }
+        return flushing;
+    }
+
+    /**
+     * How many attempts are waiting to be sent (0 if the outbox can't be read)
+     */
+    async function count() {
+        try {
+            const entries = await run('readonly', store => store.getAll());
+            return entries.filter(isWaiting).length;
+        } catch {
+            return 0;
+        }
+    }
+
+    /**
+     * Attempts the server refused, oldest first, each with its payload and
+     * rejection ({ status, error, at }); empty if the outbox can't be read
+     */
+    async function rejected() {
+        try {
+            const entries = await run('readonly', store => store.getAll());
+            return entries
+                .filter(entry => !isWaiting(entry))
+                .sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Drop a refused attempt once the reader has seen it
+     */
+    async function discard(idempotencyKey) {
+        await run('readwrite', store => store.delete(idempotencyKey));
+        notify();
+    }
+
+    /**
+     * Call listener whenever the queue may have changed, here or in another tab
+     */
+    function onChange(listener) {
+        listeners.push(listener);
+    }
+
+    /**
+     * Ask the service worker to flush once there's a connection, even if
+     * this page is closed by then (browsers without Background Sync rely on
+     * the reconnect and page-load flushes instead)
+     */
+    function requestBackgroundSync() {
+        if (!scope.navigator.serviceWorker) return;
+        scope.navigator.serviceWorker.ready
+            .then(registration => registration.sync && registration.sync.register(SYNC_TAG))
+            .catch(() => {
+                // Permission denied or unsupported; reconnect flushes still apply
+            });
+    }
+
+    scope.DebateGuideOutbox = {
+        SYNC_TAG,
+        setToken,
+        enqueue,
+        flush,
+        count,
+        rejected,
+        discard,
+        onChange,
+        requestBackgroundSync
+    };
+
+})(self);
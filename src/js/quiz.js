@@ -3,13 +3,19 @@
  *
  * Features:
  * - Multiple question types: MC, T/F, matching, ordering, scenario, fill-blank
+ * - Free-response arguments scored by the reader against a rubric
  * - Question and answer randomization
  * - Keyboard navigation (1-4 keys, Enter, Tab, ?)
  * - Immediate feedback mode with explanations
  * - Progressive hint system
  * - Progress tracking with localStorage
- * - Spaced repetition support
+ * - Per-question spaced repetition with a mixed daily review deck
  * - Achievement tracking
+ * - Cumulative part and final exams drawn from several chapters
+ * - Adaptive practice that picks each question from past performance
+ * - Resume a quiz left half-finished by a reload or navigation
+ * - Verifiable certificates for passed chapters
+ * - Instructor quizzes loaded on the custom quiz page, kept out of progress
  */
 
 (function() {
@@ -23,23 +29,157 @@
     const ACHIEVEMENTS_KEY = 'debateGuideAchievements';
     const SPACED_REP_KEY = 'debateGuideSpacedRep';
     const USER_ID_KEY = 'debateGuideUserId';
+    const DEVICE_TOKEN_KEY = 'debateGuideDeviceToken';
     const USER_EMAIL_KEY = 'debateGuideUserEmail';
+    const EXAM_PROGRESS_KEY = 'debateGuideExamProgress';
+    const CALIBRATION_KEY = 'debateGuideCalibration';
+    const SESSIONS_KEY = 'debateGuideQuizSessions';
+    const ARGUMENTS_KEY = 'debateGuideArguments';
+    const VISITED_CHAPTERS_KEY = 'visitedChapters'; // Written by navigation.js
+    const LAST_READ_KEY = 'lastReadChapter'; // Written by navigation.js
+    const DEFAULT_RESUME_HOURS = 24; // Overridden by data-resume-hours (site.json quizResumeHours)
+    const DAILY_REVIEW_LIMIT = 20; // Most cards in one review deck
+    const CERTIFICATE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ'; // Crockford base32: no I, L, O or U
+
+    // Scoring rules shared with the server's re-grading (lib/quiz-scoring.js,
+    // served as /js/quiz-scoring.js); answers passed to them use option indexes
+    const scoring = window.DebateGuideQuizScoring;
+    const {
+        getAnswerOrder,
+        getAcceptedAnswers,
+        getCorrectOrder,
+        getArgumentParts,
+        getRubricTotal,
+        getRubricPassPoints,
+        getItemResults
+    } = scoring;
+
+    // Merge rules shared with the server's learner state sync
+    // (lib/learner-state.js, served as /js/learner-state.js)
+    const { mergeLearnerState } = window.DebateGuideLearnerState;
+
+    // Timed mode clocks, taken from SuperDebate speech lengths. Whole-quiz
+    // clocks are set for a 10-question quiz and stretch for longer exams.
+    const TIMER_MODES = {
+        constructive: { label: 'Constructive', quizSeconds: 300 },
+        rebuttal: { label: 'Rebuttal', quizSeconds: 180 },
+        'cross-ex': { label: 'Cross-Ex', questionSeconds: 20 }
+    };
+    const LOW_TIME_SECONDS = 10; // Timer turns red from here
+
+    // Confidence levels offered with each answer; value is the stated chance of being right
+    const CONFIDENCE_LEVELS = [
+        { value: 0.5, label: 'Guessing' },
+        { value: 0.75, label: 'Fairly sure' },
+        { value: 0.95, label: 'Certain' }
+    ];
+    const CALIBRATION_MARGIN = 10; // Points between confidence and accuracy before calling it over/under
+
+    // Adaptive practice ends once this many answers in a row are right without
+    // hints, after at least the minimum number of questions
+    const PRACTICE_MASTERY_STREAK = 4;
+    const PRACTICE_MIN_QUESTIONS = 5;
+
+    const SECTION_HIGHLIGHT_MS = 3000; // How long a re-read passage stays highlighted
+
+    const QUESTION_TYPE_LABELS = {
+        'multiple-choice': 'Multiple choice',
+        'true-false': 'True/false',
+        'scenario': 'Scenario',
+        'matching': 'Matching',
+        'ordering': 'Ordering',
+        'fill-blank': 'Fill in the blank',
+        'argument': 'Argument'
+    };
 
     // ==========================================
     // SERVER SYNC (fire-and-forget)
     // ==========================================
 
+    let deviceTokenRequest = null; // The /api/auth/device request in progress; overlapping calls share it
+
+    /**
+     * This browser's device token for the quiz API, asked for on first contact
+     * A browser holding an anonymous ID from before device tokens trades it
+     * in, keeping the progress stored under it
+     * Resolves with null while the API can't be reached
+     */
+    function getDeviceToken() {
+        const stored = localStorage.getItem(DEVICE_TOKEN_KEY);
+        if (stored) return Promise.resolve(stored);
+
+        if (!deviceTokenRequest) {
+            deviceTokenRequest = fetch('/api/auth/device', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ legacyId: localStorage.getItem(USER_ID_KEY) })
+            })
+                .then(response => (response.ok ? response.json() : null))
+                .then(data => {
+                    if (!data || !data.token) return null;
+                    localStorage.setItem(USER_ID_KEY, data.anonymousId);
+                    localStorage.setItem(DEVICE_TOKEN_KEY, data.token);
+                    return data.token;
+                })
+                .catch(() => null)
+                .finally(() => {
+                    deviceTokenRequest = null;
+                });
+        }
+        return deviceTokenRequest;
+    }
+
+    /**
+     * A new device token once the server has turned this one down (or there
+     * was none); a token another call already replaced is kept
+     */
+    function renewDeviceToken(staleToken) {
+        if (staleToken && localStorage.getItem(DEVICE_TOKEN_KEY) === staleToken) {
+            localStorage.removeItem(DEVICE_TOKEN_KEY);
+        }
+        return getDeviceToken();
+    }
+
+    /**
+     * Switch this browser to a device token issued for another record, then
+     * pull that record's progress
+     * /api/auth/link-progress hands one out when it folds this browser's
+     * record into the signed-in account's
+     */
+    function adoptDeviceToken(token, anonymousId) {
+        localStorage.setItem(USER_ID_KEY, anonymousId);
+        localStorage.setItem(DEVICE_TOKEN_KEY, token);
+        return syncFromServer().then(flushOutbox);
+    }
+
     /**
-     * Get or create anonymous user ID for server tracking
+     * fetch for the quiz API, signed with this browser's device token
+     * A token the server turns down (its signing secret changed) is dropped,
+     * so the next call asks for a new one
      */
-    function getAnonymousUserId() {
-        let userId = localStorage.getItem(USER_ID_KEY);
-        if (!userId) {
-            // Generate a unique anonymous ID
-            userId = 'anon_' + Date.now().toString(36) + '_' + Math.random().toString(36).substring(2, 10);
-            localStorage.setItem(USER_ID_KEY, userId);
+    async function fetchQuizApi(url, options = {}) {
+        const token = await getDeviceToken();
+        const headers = { ...options.headers };
+        if (token) headers.Authorization = `Bearer ${token}`;
+
+        const response = await fetch(url, { ...options, headers });
+        if (response.status === 401 && token && localStorage.getItem(DEVICE_TOKEN_KEY) === token) {
+            localStorage.removeItem(DEVICE_TOKEN_KEY);
         }
-        return userId;
+        return response;
+    }
+
+    /**
+     * The signed-in reader's Supabase access token, or null when signed out
+     * Calls that carry it are answered for the reader's account rather than
+     * for this device alone
+     */
+    async function getAccessToken() {
+        const auth = window.DebateGuideAuth;
+        if (!auth) return null;
+
+        const session = await auth.getSession();
+        return session ? session.access_token : null;
     }
 
     /**
@@ -66,26 +206,43 @@
     }
 
     /**
-     * Sync quiz results to server (fire-and-forget, non-blocking)
+     * Sync quiz results to server (non-blocking)
+     * The attempt goes through the outbox (quiz-outbox.js), which keeps it
+     * until the server has it, retrying after failures and while offline
+     * target identifies the attempt: { chapterNumber, seed } or { examId, seed, unseededOptions, chapterScores };
+     * seed is null for chapter attempts started before option shuffles were seeded
+     * result is the attempt's score from scoreAttempt; timing is its { seconds, mode }
      */
-    async function syncToServer(chapterId, results, questionResponses = []) {
+    async function syncToServer(target, result, questionResponses = [], timing = {}) {
         try {
-            const anonymousId = getAnonymousUserId();
             const email = getUserEmail();
 
             const payload = {
-                anonymousId,
                 email,
-                chapterNumber: parseInt(chapterId, 10),
-                score: results.bestScore,
-                totalQuestions: results.total,
-                percentage: results.percentage,
-                hintsUsed: results.hintsUsed || 0,
+                ...target,
+                score: result.correct,
+                totalQuestions: result.total,
+                percentage: result.percentage,
+                rawPercentage: result.rawPercentage,
+                passed: result.passed,
+                hintsUsed: result.hintsUsed || 0,
+                scoring: result.scoring,
+                timeTakenSeconds: timing.seconds ?? null,
+                timerMode: timing.mode || null,
                 responses: questionResponses
             };
 
+            if (window.DebateGuideOutbox) {
+                getDeviceToken()
+                    .then(token => window.DebateGuideOutbox.enqueue(payload, token, renewDeviceToken))
+                    .catch(e => {
+                        console.debug('Outbox error:', e);
+                    });
+                return;
+            }
+
             // Fire-and-forget - don't await, don't block
-            fetch('/api/quiz/submit', {
+            fetchQuizApi('/api/quiz/submit', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(payload)
@@ -100,31 +257,74 @@
     }
 
     /**
-     * Sync all localStorage progress to server on page load (one-time)
+     * Show how many attempts the outbox still holds wherever the page has a
+     * .quiz-sync-status line (the quiz itself and the progress page), and
+     * list the ones the server refused in .quiz-sync-rejected
      */
-    function syncAllProgressToServer() {
-        try {
-            const progress = getProgress();
-            const achievements = getAchievements();
+    async function renderSyncStatus() {
+        const lines = document.querySelectorAll('.quiz-sync-status');
+        if (lines.length === 0 || !window.DebateGuideOutbox) return;
+
+        const [waiting, refused] = await Promise.all([
+            window.DebateGuideOutbox.count(),
+            window.DebateGuideOutbox.rejected()
+        ]);
+        const parts = [];
+        if (waiting > 0) {
+            parts.push(`${waiting} ${waiting === 1 ? 'result' : 'results'} waiting to sync` +
+                (navigator.onLine ? '' : ' — they\'ll send when you\'re back online'));
+        }
+        if (refused.length > 0) {
+            parts.push(`${refused.length} ${refused.length === 1 ? 'result' : 'results'} couldn't be saved to your account`);
+        }
+        lines.forEach(line => {
+            line.textContent = parts.join('; ');
+            line.hidden = parts.length === 0;
+        });
 
-            if (Object.keys(progress).length === 0) return;
+        document.querySelectorAll('.quiz-sync-rejected').forEach(list => {
+            list.replaceChildren(...refused.map(renderRejectedResult));
+            list.hidden = refused.length === 0;
+        });
+    }
 
-            const anonymousId = getAnonymousUserId();
+    /**
+     * One refused attempt: what it was, when, and the server's reason
+     */
+    function renderRejectedResult(entry) {
+        const { chapterNumber, examId, percentage } = entry.payload;
+        let name = `Chapter ${chapterNumber} quiz`;
+        if (examId) name = examId === 'final' ? 'Final exam' : `Part ${examId.replace('part-', '')} exam`;
+
+        const item = document.createElement('li');
+        const text = document.createElement('span');
+        text.textContent = `${name}, ${new Date(entry.queuedAt).toLocaleDateString()} (${percentage}%): ${entry.rejection.error}`;
+        const dismiss = document.createElement('button');
+        dismiss.type = 'button';
+        dismiss.className = 'quiz-sync-dismiss';
+        dismiss.dataset.key = entry.idempotencyKey;
+        dismiss.textContent = 'Dismiss';
+        dismiss.setAttribute('aria-label', `Dismiss ${name} result`);
+        item.append(text, dismiss);
+        return item;
+    }
 
-            fetch('/api/quiz/sync', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    anonymousId,
-                    progress,
-                    achievements
-                })
-            }).catch(() => {
-                // Silently fail
-            });
-        } catch (e) {
-            // Silently fail
-        }
+    function handleDismissRejected(e) {
+        const button = e.target.closest('.quiz-sync-dismiss');
+        if (!button || !window.DebateGuideOutbox) return;
+        window.DebateGuideOutbox.discard(button.dataset.key).catch(err => {
+            console.debug('Outbox discard failed:', err);
+        });
+    }
+
+    /**
+     * Send whatever the outbox holds; quiet about failures, which stay queued
+     */
+    function flushOutbox() {
+        if (!window.DebateGuideOutbox) return;
+        getDeviceToken().then(token => window.DebateGuideOutbox.flush(token, renewDeviceToken)).catch(e => {
+            console.debug('Outbox flush failed:', e);
+        });
     }
 
     /**
@@ -133,8 +333,7 @@
      */
     async function fetchServerProgress() {
         try {
-            const anonymousId = getAnonymousUserId();
-            const response = await fetch(`/api/quiz/progress?anonymousId=${encodeURIComponent(anonymousId)}`);
+            const response = await fetchQuizApi('/api/quiz/progress');
 
             if (!response.ok) return null;
 
@@ -147,10 +346,42 @@
     }
 
     /**
-     * Merge server progress with localStorage, keeping best scores
+     * Fetch per-question history for a signed-in reader
+     * Returns { "<chapterId>:<questionId>": { attempts, misses, questionType } } or null
+     */
+    async function fetchServerHistory(chapterId) {
+        try {
+            const auth = window.DebateGuideAuth;
+            if (!auth || !(await auth.isLoggedIn())) return null;
+
+            const response = await fetchQuizApi(`/api/quiz/history?chapter=${encodeURIComponent(chapterId)}`);
+
+            if (!response.ok) return null;
+
+            const data = await response.json();
+            return data.found ? data.questions : null;
+        } catch {
+            console.debug('Server history fetch failed (offline mode)');
+            return null;
+        }
+    }
+
+    /**
+     * Pull everything the server holds for this reader and merge it in:
+     * best scores, then the learner state (achievements, review cards,
+     * chapters read, last chapter open), which goes both ways
      * This enables cross-device sync
      */
     async function syncFromServer() {
+        const progressMerged = await mergeServerProgress();
+        const stateMerged = await syncLearnerState();
+        return progressMerged || stateMerged;
+    }
+
+    /**
+     * Merge server progress with localStorage, keeping best scores
+     */
+    async function mergeServerProgress() {
         try {
             const serverProgress = await fetchServerProgress();
             if (!serverProgress || Object.keys(serverProgress).length === 0) return false;
@@ -171,6 +402,9 @@
                         attempts: Math.max(serverData.attempts || 1, localData?.attempts || 0),
                         hintsUsed: serverData.hintsUsed || 0,
                         averageScore: serverData.percentage, // Use percentage as initial average
+                        certificate: serverData.certificateCode
+                            ? { code: serverData.certificateCode, score: serverData.bestScore, total: serverData.total, percentage: serverData.percentage, completedAt: serverData.completedAt }
+                            : localData?.certificate,
                         syncedFromServer: true
                     };
                     merged = true;
@@ -198,6 +432,69 @@
         }
     }
 
+    function readJson(key, fallback) {
+        try {
+            const data = localStorage.getItem(key);
+            return data ? JSON.parse(data) : fallback;
+        } catch {
+            return fallback;
+        }
+    }
+
+    /**
+     * Everything /api/quiz/state syncs, as this device has it
+     */
+    function getLearnerState() {
+        const achievements = getAchievements();
+        return {
+            achievements: { unlocked: achievements.unlocked || [], stats: achievements.stats || {} },
+            reviewCards: getSpacedRepetitionData(),
+            visitedChapters: readJson(VISITED_CHAPTERS_KEY, []),
+            lastRead: readJson(LAST_READ_KEY, null)
+        };
+    }
+
+    /**
+     * Send this device's learner state, then merge back what the server has
+     * Signed in, that's the account's state, shared by every device the
+     * reader signs in on. Merging locally (rather than taking the server's
+     * copy) keeps anything that changed here while the request was out
+     */
+    async function syncLearnerState() {
+        try {
+            const headers = { 'Content-Type': 'application/json' };
+            const accessToken = await getAccessToken();
+            if (accessToken) headers['X-Access-Token'] = accessToken;
+
+            const response = await fetchQuizApi('/api/quiz/state', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ state: getLearnerState() })
+            });
+            if (!response.ok) return false;
+
+            const data = await response.json();
+            if (!data.state) return false;
+
+            const local = getLearnerState();
+            const merged = mergeLearnerState(local, data.state);
+            if (JSON.stringify(merged) === JSON.stringify(mergeLearnerState(local, local))) return false;
+
+            localStorage.setItem(ACHIEVEMENTS_KEY, JSON.stringify(merged.achievements));
+            localStorage.setItem(SPACED_REP_KEY, JSON.stringify(merged.reviewCards));
+            localStorage.setItem(VISITED_CHAPTERS_KEY, JSON.stringify(merged.visitedChapters));
+            if (merged.lastRead) localStorage.setItem(LAST_READ_KEY, JSON.stringify(merged.lastRead));
+
+            window.dispatchEvent(new CustomEvent('learnerStateSynced', {
+                detail: { state: merged }
+            }));
+            return true;
+        } catch {
+            console.debug('Learner state sync failed (offline mode)');
+            return false;
+        }
+    }
+
     // ==========================================
     // STATE
     // ==========================================
@@ -212,6 +509,29 @@
     let hintsUsed = {}; // Track hints used per question
     let currentHintLevel = {}; // Current hint level per question (0, 1, 2)
     let feedbackShown = false; // Whether feedback is currently being shown
+    let examConfig = null; // Part/final exam settings from the page (null for chapter quizzes)
+    let reviewMode = false; // Daily review deck mixing due cards from several chapters
+    let chapterSources = {}; // Chapter number -> chapter quiz data an exam or review deck draws from
+    let examSeed = null; // Seed for the current exam draw
+    let shuffleSeed = null; // Seed for the answer-option shuffle; sent with results so the server can re-grade them
+    let timerMode = null; // Key into TIMER_MODES, or null when untimed
+    let questionTimes = {}; // Seconds spent answering each question (by original index)
+    let clockQuestion = null; // Original index of the question the clock is running for
+    let clockStartedAt = null; // When the clock last started; null while paused
+    let timerInterval = null;
+    let timedOutQuestions = []; // Original indexes of questions whose clock ran out
+    let quizTimedOut = false; // Whole-quiz clock ran out before the last answer
+    let confidenceMode = false; // Ask how sure the reader is with each answer
+    let confidences = {}; // Stated confidence per question (by original index)
+    let rubricScores = {}; // Rubric criteria ticked per argument question (by original index)
+    let practiceMode = false; // Adaptive practice: questions are picked one at a time
+    let practicePool = null; // Chapter quiz that practice questions are drawn from
+    let practiceHistory = {}; // Per-question history practice weighs, updated as questions are answered
+    let practiceStreak = 0; // Right answers in a row without hints
+    let pendingSession = null; // Saved session offered on the start screen
+    let customMode = false; // Instructor quiz from the custom quiz page; nothing is saved
+    let chapterLinks = null; // Chapters with their URLs, for re-read links on exam and review pages
+    let announceTimer = null; // Pending screen reader announcement
 
     // ==========================================
     // DOM ELEMENTS
@@ -232,6 +552,16 @@
         elements.bestScore = document.getElementById('quiz-best-score');
         elements.attemptsCount = document.getElementById('quiz-attempts');
         elements.startBtn = document.getElementById('quiz-start-btn');
+        elements.practiceBtn = document.getElementById('quiz-practice-btn');
+        elements.resumePanel = document.getElementById('quiz-resume');
+        elements.resumeText = document.getElementById('quiz-resume-text');
+        elements.resumeBtn = document.getElementById('quiz-resume-btn');
+        elements.restartBtn = document.getElementById('quiz-restart-btn');
+        elements.reviewChapters = document.getElementById('quiz-review-chapters');
+        elements.timerModes = document.getElementById('quiz-timer-modes');
+        elements.timer = document.getElementById('quiz-timer');
+        elements.confidenceToggle = document.getElementById('quiz-confidence-toggle');
+        elements.reviewDue = document.getElementById('quiz-review-due');
 
         elements.progressFill = document.getElementById('quiz-progress-fill');
         elements.progressText = document.getElementById('quiz-progress-text');
@@ -239,6 +569,7 @@
         elements.prevBtn = document.getElementById('quiz-prev-btn');
         elements.nextBtn = document.getElementById('quiz-next-btn');
         elements.submitBtn = document.getElementById('quiz-submit-btn');
+        elements.announcer = document.getElementById('quiz-announcer');
 
         elements.resultIcon = document.getElementById('quiz-result-icon');
         elements.scoreValue = document.getElementById('quiz-score-value');
@@ -282,11 +613,100 @@
     }
 
     /**
-     * Generate seeded random for reproducible results
+     * Escape text for safe use in HTML content and attribute values
+     */
+    function escapeHtml(str) {
+        return String(str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Tell screen reader users what just changed. The live region is emptied
+     * first, so the same message twice in a row ("moved to position 1") is
+     * still read out.
+     */
+    function announce(message) {
+        if (!elements.announcer) return;
+
+        elements.announcer.textContent = '';
+        clearTimeout(announceTimer);
+        announceTimer = setTimeout(() => {
+            elements.announcer.textContent = message;
+        }, 50);
+    }
+
+    /**
+     * An argument answer as { label: text }, the shape stored and synced
      */
-    function seededRandom(seed) {
-        const x = Math.sin(seed++) * 10000;
-        return x - Math.floor(x);
+    function formatArgumentAnswer(question, texts) {
+        const answer = {};
+        getArgumentParts(question).forEach((label, i) => {
+            answer[label] = texts[i];
+        });
+        return answer;
+    }
+
+    /**
+     * Points the reader has given themselves for an argument question
+     */
+    function getRubricPoints(question, originalIndex) {
+        return (rubricScores[originalIndex] || []).reduce((sum, i) => sum + (question.rubric[i].points || 1), 0);
+    }
+
+    /**
+     * Random code printed on a certificate, e.g. "7K2Q-M9XD"; the server
+     * stores it with the attempt so /api/quiz/verify can confirm it
+     */
+    function generateCertificateCode() {
+        const bytes = new Uint8Array(8);
+        window.crypto.getRandomValues(bytes);
+        const chars = Array.from(bytes, byte => CERTIFICATE_ALPHABET[byte % CERTIFICATE_ALPHABET.length]).join('');
+        return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+    }
+
+    /**
+     * 32-bit FNV-1a in base 36; lib/question-ids.js uses the same hash to
+     * assign ids at build time
+     */
+    function hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    /**
+     * Stable id for a question: the id assigned at build time, or a hash of
+     * its text for questions that don't have one
+     */
+    function getQuestionId(question) {
+        return question.id || 'q' + hashText(question.question.trim());
+    }
+
+    /**
+     * Fingerprint of what a question asks and accepts, so analytics can tell
+     * revisions of the same question apart. Explanations and hints don't count.
+     */
+    function getQuestionVersion(question) {
+        return 'v' + hashText(JSON.stringify([
+            question.question,
+            question.scenario,
+            question.options,
+            question.correct,
+            question.pairs,
+            question.items,
+            question.correctOrder,
+            question.answer,
+            question.acceptableAnswers,
+            // Only argument questions add fields, so older versions keep their hash
+            ...(question.type === 'argument' ? [question.parts, question.rubric, question.passPoints] : [])
+        ]));
     }
 
     // ==========================================
@@ -302,29 +722,45 @@
         }
     }
 
-    function saveProgress(chapterId, score, total, hintsUsedCount = 0, questionResponses = []) {
+    /**
+     * Keep the fastest passing time across attempts, even when the record is
+     * replaced by a new best score
+     */
+    function recordFastestPass(record, previousFastest, timing) {
+        const times = [previousFastest, timing.passed ? timing.seconds : null].filter(Number.isFinite);
+        if (times.length > 0) {
+            record.fastestPassSeconds = Math.min(...times);
+        }
+    }
+
+    /**
+     * result comes from scoreAttempt; its percentage (after the quiz's scoring
+     * policy) is the score kept, compared and synced
+     */
+    function saveProgress(chapterId, result, questionResponses = [], timing = {}, certificateCode = null) {
         try {
             const progress = getProgress();
             const existing = progress[chapterId];
-            const percentage = Math.round((score / total) * 100);
-
-            // Calculate adjusted score for hints (reduce by 5% per hint used)
-            const hintPenalty = Math.min(hintsUsedCount * 5, 25);
-            const adjustedPercentage = Math.max(percentage - hintPenalty, 0);
+            const { correct: score, total, percentage } = result;
+            const certificate = certificateCode
+                ? { code: certificateCode, score: score, total: total, percentage: percentage, completedAt: new Date().toISOString() }
+                : null;
 
             // Keep best score
-            if (!existing || score > existing.bestScore) {
+            if (!existing || percentage > existing.percentage) {
                 progress[chapterId] = {
                     bestScore: score,
                     total: total,
                     percentage: percentage,
-                    adjustedPercentage: adjustedPercentage,
+                    rawPercentage: result.rawPercentage,
+                    passed: result.passed,
                     completedAt: new Date().toISOString(),
                     attempts: (existing?.attempts || 0) + 1,
-                    hintsUsed: hintsUsedCount,
+                    hintsUsed: result.hintsUsed,
                     averageScore: existing
                         ? Math.round((existing.averageScore * existing.attempts + percentage) / (existing.attempts + 1))
-                        : percentage
+                        : percentage,
+                    certificate: certificate || existing?.certificate
                 };
             } else {
                 progress[chapterId].attempts = (existing?.attempts || 0) + 1;
@@ -332,18 +768,27 @@
                     (existing.averageScore * (existing.attempts - 1) + percentage) / existing.attempts
                 );
                 progress[chapterId].lastAttemptAt = new Date().toISOString();
+
+                // Passes from before certificates existed get one on the next pass
+                if (certificate && !existing.certificate) {
+                    progress[chapterId].certificate = certificate;
+                }
             }
 
+            recordFastestPass(progress[chapterId], existing?.fastestPassSeconds, timing);
+
             localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
 
-            // Sync to server (fire-and-forget)
-            syncToServer(chapterId, progress[chapterId], questionResponses);
+            // Sync this attempt to the server (fire-and-forget)
+            syncToServer({ chapterNumber: parseInt(chapterId, 10), seed: shuffleSeed, verificationCode: certificateCode }, result, questionResponses, timing);
 
             // Check and award achievements
             checkAchievements(chapterId, percentage, progress);
 
             // Update spaced repetition data
-            updateSpacedRepetition(chapterId, percentage);
+            updateSpacedRepetition(chapterId, questionResponses);
+            recordCalibration(chapterId, questionResponses);
+            recordArguments(chapterId, questionResponses);
 
             // Dispatch event for TOC to update
             window.dispatchEvent(new CustomEvent('quizCompleted', {
@@ -362,6 +807,330 @@
         return progress[chapterId] || null;
     }
 
+    // Part and final exams are kept apart from chapter progress so they never
+    // count toward chapter completion, mastery or spaced repetition
+    function getExamProgress() {
+        try {
+            const data = localStorage.getItem(EXAM_PROGRESS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function getExamResult(examId) {
+        return getExamProgress()[examId] || null;
+    }
+
+    function saveExamProgress(examId, result, chapterScores, seed, questionResponses = [], timing = {}) {
+        try {
+            const progress = getExamProgress();
+            const existing = progress[examId];
+            const { correct: score, total, percentage } = result;
+            const now = new Date().toISOString();
+
+            if (!existing || percentage > existing.percentage) {
+                progress[examId] = {
+                    bestScore: score,
+                    total: total,
+                    percentage: percentage,
+                    rawPercentage: result.rawPercentage,
+                    passed: result.passed,
+                    completedAt: now,
+                    attempts: (existing?.attempts || 0) + 1,
+                    hintsUsed: result.hintsUsed,
+                    chapterScores: chapterScores,
+                    seed: seed
+                };
+            } else {
+                existing.attempts = (existing.attempts || 0) + 1;
+            }
+
+            // Always keep the latest breakdown so the hub can point at current weak spots
+            progress[examId].lastAttemptAt = now;
+            progress[examId].lastPercentage = percentage;
+            progress[examId].lastChapterScores = chapterScores;
+            recordFastestPass(progress[examId], existing?.fastestPassSeconds, timing);
+
+            localStorage.setItem(EXAM_PROGRESS_KEY, JSON.stringify(progress));
+
+            // Send this attempt, not the best one
+            syncToServer({ examId, seed, unseededOptions: shuffleSeed === null, chapterScores }, result, questionResponses, timing);
+
+            checkStreakAchievement();
+            recordCalibration(null, questionResponses);
+            recordArguments(null, questionResponses);
+
+            window.dispatchEvent(new CustomEvent('examCompleted', {
+                detail: { examId, progress: progress[examId] }
+            }));
+
+            return progress[examId];
+        } catch (e) {
+            console.error('Failed to save exam progress:', e);
+            return null;
+        }
+    }
+
+    // ==========================================
+    // IN-PROGRESS SESSIONS
+    // ==========================================
+
+    // One unfinished session per quiz, keyed by getSessionId():
+    // { "chapter:3": { savedAt, questions: [{ chapter, id, version }], userAnswers, ... } }
+    // Sessions expire after the page's resume window and are dropped on completion.
+
+    function getSessionId() {
+        if (examConfig) return `exam:${examConfig.id}`;
+        if (reviewMode) return 'review';
+        return `chapter:${elements.section.dataset.chapter}`;
+    }
+
+    function getResumeWindowMs() {
+        const hours = parseFloat(elements.section.dataset.resumeHours);
+        return (hours > 0 ? hours : DEFAULT_RESUME_HOURS) * 60 * 60 * 1000;
+    }
+
+    function getSessions() {
+        try {
+            const data = localStorage.getItem(SESSIONS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function setSessions(sessions) {
+        try {
+            if (Object.keys(sessions).length === 0) {
+                localStorage.removeItem(SESSIONS_KEY);
+            } else {
+                localStorage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+            }
+        } catch (e) {
+            console.error('Failed to save quiz session:', e);
+        }
+    }
+
+    /**
+     * The saved session for this quiz, or null if there is none or it expired
+     */
+    function getSavedSession() {
+        // Custom quizzes aren't in the quiz files, so a session couldn't be rebuilt
+        if (customMode) return null;
+
+        const session = getSessions()[getSessionId()];
+        if (!session) return null;
+
+        if (Date.now() - new Date(session.savedAt).getTime() > getResumeWindowMs()) {
+            clearSession();
+            return null;
+        }
+        return session;
+    }
+
+    /**
+     * Save everything needed to pick the quiz up where it was left. Questions
+     * are stored by id and version, with the exam seed, so the same draw can
+     * be rebuilt and checked against the quiz files.
+     */
+    function saveSession() {
+        if (!quizStarted || customMode || elements.activeState.hidden) return;
+
+        // Include time on the question being answered right now
+        const times = { ...questionTimes };
+        if (clockStartedAt !== null) {
+            times[clockQuestion] = getQuestionSeconds(clockQuestion);
+        }
+
+        const sessions = getSessions();
+        const windowMs = getResumeWindowMs();
+        for (const [id, session] of Object.entries(sessions)) {
+            if (Date.now() - new Date(session.savedAt).getTime() > windowMs) delete sessions[id];
+        }
+
+        sessions[getSessionId()] = {
+            savedAt: new Date().toISOString(),
+            practice: practiceMode,
+            examSeed: examConfig ? examSeed : null,
+            shuffleSeed: shuffleSeed,
+            timerMode: timerMode,
+            confidenceMode: confidenceMode,
+            questions: quizData.questions.map(question => ({
+                chapter: question.chapterNumber || null,
+                id: getQuestionId(question),
+                version: getQuestionVersion(question)
+            })),
+            questionOrder: questionOrder,
+            answerOrders: answerOrders,
+            currentQuestion: currentQuestion,
+            userAnswers: userAnswers,
+            hintsUsed: hintsUsed,
+            currentHintLevel: currentHintLevel,
+            confidences: confidences,
+            rubricScores: rubricScores,
+            questionTimes: times,
+            timedOutQuestions: timedOutQuestions,
+            feedbackShown: feedbackShown,
+            practiceStreak: practiceMode ? practiceStreak : 0,
+            practiceHistory: practiceMode ? practiceHistory : null
+        };
+        setSessions(sessions);
+    }
+
+    function clearSession() {
+        const sessions = getSessions();
+        if (!sessions[getSessionId()]) return;
+        delete sessions[getSessionId()];
+        setSessions(sessions);
+    }
+
+    /**
+     * Rebuild the saved session's questions from the quiz files
+     * Returns null if any question is gone or has been reworded since
+     */
+    async function rebuildSessionQuiz(session) {
+        let quiz;
+
+        if (examConfig) {
+            quiz = Number.isInteger(session.examSeed) ? buildExamQuiz(session.examSeed) : null;
+        } else if (reviewMode || session.practice) {
+            if (reviewMode) {
+                const missingChapters = [...new Set(session.questions.map(ref => ref.chapter))]
+                    .filter(number => number && !chapterSources[number]);
+                if (missingChapters.length > 0) {
+                    Object.assign(chapterSources, await loadChapterQuizzes(missingChapters) || {});
+                }
+            }
+
+            const pool = practicePool || quizData;
+            const questions = session.questions.map(ref => {
+                const source = reviewMode ? chapterSources[ref.chapter] : pool;
+                const index = source ? source.questions.findIndex(q => getQuestionId(q) === ref.id) : -1;
+                if (index === -1) return null;
+                return reviewMode
+                    ? { ...source.questions[index], chapterNumber: ref.chapter, chapterQuestionIndex: index }
+                    : { ...source.questions[index], chapterQuestionIndex: index };
+            });
+            if (questions.includes(null)) return null;
+
+            quiz = reviewMode
+                ? { title: 'Daily Review', passingScore: 70, questions: questions }
+                : { title: pool.title, passingScore: pool.passingScore, questions: questions };
+        } else {
+            quiz = quizData;
+        }
+
+        const unchanged = quiz && quiz.questions.length === session.questions.length &&
+            quiz.questions.every((question, i) =>
+                getQuestionId(question) === session.questions[i].id &&
+                getQuestionVersion(question) === session.questions[i].version
+            );
+        return unchanged ? quiz : null;
+    }
+
+    function formatSavedAgo(savedAt) {
+        const minutes = Math.round((Date.now() - new Date(savedAt).getTime()) / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes} min ago`;
+        const hours = Math.round(minutes / 60);
+        return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    }
+
+    // ==========================================
+    // CONFIDENCE CALIBRATION
+    // ==========================================
+
+    // Answers given with a confidence rating, counted per chapter and level:
+    // { "<chapterId>": { "<confidence>": { answered, correct } } }
+    function getCalibrationData() {
+        try {
+            const data = localStorage.getItem(CALIBRATION_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function recordCalibration(chapterId, questionResponses) {
+        const rated = questionResponses.filter(r => typeof r.confidence === 'number');
+        if (rated.length === 0) return;
+
+        try {
+            const calibration = getCalibrationData();
+
+            rated.forEach(response => {
+                const chapter = String(response.chapterNumber || chapterId);
+                const level = String(response.confidence);
+                calibration[chapter] = calibration[chapter] || {};
+                const counts = calibration[chapter][level] || { answered: 0, correct: 0 };
+                counts.answered++;
+                if (response.isCorrect) counts.correct++;
+                calibration[chapter][level] = counts;
+            });
+
+            localStorage.setItem(CALIBRATION_KEY, JSON.stringify(calibration));
+        } catch (e) {
+            console.error('Failed to save calibration data:', e);
+        }
+    }
+
+    /**
+     * Brier-style summary of rated answers: mean squared gap between stated
+     * confidence and outcome (0 is perfect; always saying 50% scores 0.25),
+     * plus how far average confidence sits above (+) or below (-) accuracy
+     */
+    function summarizeCalibration(rated) {
+        if (rated.length === 0) return null;
+
+        const brier = rated.reduce((sum, r) => sum + Math.pow(r.confidence - (r.isCorrect ? 1 : 0), 2), 0) / rated.length;
+        const avgConfidence = rated.reduce((sum, r) => sum + r.confidence, 0) / rated.length;
+        const accuracy = rated.filter(r => r.isCorrect).length / rated.length;
+
+        return {
+            brier: brier,
+            bias: Math.round((avgConfidence - accuracy) * 100),
+            answered: rated.length
+        };
+    }
+
+    // ==========================================
+    // WRITTEN ARGUMENTS
+    // ==========================================
+
+    // The latest answer to each argument question, keyed like review cards:
+    // { "<chapterId>:<questionId>": { answer: { Claim: "..." }, points, total, answeredAt } }
+    function getSavedArguments() {
+        try {
+            const data = localStorage.getItem(ARGUMENTS_KEY);
+            return data ? JSON.parse(data) : {};
+        } catch {
+            return {};
+        }
+    }
+
+    function recordArguments(chapterId, questionResponses) {
+        const written = questionResponses.filter(r => r.questionType === 'argument' && r.userAnswer);
+        if (written.length === 0) return;
+
+        try {
+            const saved = getSavedArguments();
+
+            written.forEach(response => {
+                saved[getCardKey(String(response.chapterNumber || chapterId), response.questionId)] = {
+                    answer: response.userAnswer,
+                    points: response.rubricPoints,
+                    total: response.rubricTotal,
+                    answeredAt: new Date().toISOString()
+                };
+            });
+
+            localStorage.setItem(ARGUMENTS_KEY, JSON.stringify(saved));
+        } catch (e) {
+            console.error('Failed to save written arguments:', e);
+        }
+    }
+
     // ==========================================
     // ACHIEVEMENTS SYSTEM
     // ==========================================
@@ -460,58 +1229,98 @@
     }
 
     // ==========================================
-    // SPACED REPETITION SYSTEM (SM-2 Algorithm)
+    // SPACED REPETITION SYSTEM (SM-2 per question)
     // ==========================================
 
+    // Each question gets its own card, keyed "<chapterId>:<questionId>".
+    // Keys without a colon are chapter-level schedules from before cards
+    // existed; they are ignored and dropped on the next save.
+
+    function getCardKey(chapterId, questionId) {
+        return `${chapterId}:${questionId}`;
+    }
+
     function getSpacedRepetitionData() {
         try {
             const data = localStorage.getItem(SPACED_REP_KEY);
-            return data ? JSON.parse(data) : {};
+            const stored = data ? JSON.parse(data) : {};
+            const cards = {};
+            Object.keys(stored).forEach(key => {
+                if (key.includes(':')) cards[key] = stored[key];
+            });
+            return cards;
         } catch (e) {
             return {};
         }
     }
 
-    function updateSpacedRepetition(chapterId, percentage) {
-        try {
-            const srData = getSpacedRepetitionData();
-            const quality = Math.round((percentage / 100) * 5); // Convert to 0-5 scale
-
-            if (!srData[chapterId]) {
-                srData[chapterId] = {
-                    easeFactor: 2.5,
-                    interval: 1,
-                    repetitions: 0,
-                    nextReview: new Date().toISOString()
-                };
-            }
+    /**
+     * Convert one answer into an SM-2 quality score (0-5)
+     * Each hint lowers the score, so a correct answer after two hints is a bare pass
+     */
+    function getRecallQuality(isCorrect, hintsUsedForQuestion) {
+        if (!isCorrect) return 1;
+        return Math.max(5 - (hintsUsedForQuestion || 0), 3);
+    }
 
-            const item = srData[chapterId];
+    function scheduleCard(card, quality) {
+        card.reviews = (card.reviews || 0) + 1;
 
-            // SM-2 algorithm
-            if (quality >= 3) {
-                if (item.repetitions === 0) {
-                    item.interval = 1;
-                } else if (item.repetitions === 1) {
-                    item.interval = 6;
-                } else {
-                    item.interval = Math.round(item.interval * item.easeFactor);
-                }
-                item.repetitions++;
+        // SM-2 algorithm
+        if (quality >= 3) {
+            if (card.repetitions === 0) {
+                card.interval = 1;
+            } else if (card.repetitions === 1) {
+                card.interval = 6;
             } else {
-                item.repetitions = 0;
-                item.interval = 1;
+                card.interval = Math.round(card.interval * card.easeFactor);
             }
+            card.repetitions++;
+        } else {
+            card.repetitions = 0;
+            card.interval = 1;
+            card.lapses = (card.lapses || 0) + 1;
+        }
 
-            // Update ease factor
-            item.easeFactor = Math.max(1.3,
-                item.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
-            );
+        // Update ease factor
+        card.easeFactor = Math.max(1.3,
+            card.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
 
-            // Set next review date
-            const nextDate = new Date();
-            nextDate.setDate(nextDate.getDate() + item.interval);
-            item.nextReview = nextDate.toISOString();
+        // Set next review date
+        const nextDate = new Date();
+        nextDate.setDate(nextDate.getDate() + card.interval);
+        card.nextReview = nextDate.toISOString();
+        card.lastReviewedAt = new Date().toISOString();
+    }
+
+    /**
+     * Schedule a card for every answered question
+     * Responses carry their own chapterNumber when they came from a mixed
+     * review deck; otherwise they belong to chapterId
+     */
+    function updateSpacedRepetition(chapterId, questionResponses) {
+        try {
+            const srData = getSpacedRepetitionData();
+
+            questionResponses.forEach(response => {
+                const cardChapter = String(response.chapterNumber || chapterId);
+                const key = getCardKey(cardChapter, response.questionId);
+
+                if (!srData[key]) {
+                    srData[key] = {
+                        chapterId: cardChapter,
+                        questionId: response.questionId,
+                        questionType: response.questionType,
+                        easeFactor: 2.5,
+                        interval: 1,
+                        repetitions: 0,
+                        lapses: 0
+                    };
+                }
+
+                scheduleCard(srData[key], getRecallQuality(response.isCorrect, response.hintsUsedForQuestion));
+            });
 
             localStorage.setItem(SPACED_REP_KEY, JSON.stringify(srData));
         } catch (e) {
@@ -519,14 +1328,47 @@
         }
     }
 
+    function removeReviewCards(keys) {
+        if (keys.length === 0) return;
+        try {
+            const srData = getSpacedRepetitionData();
+            keys.forEach(key => delete srData[key]);
+            localStorage.setItem(SPACED_REP_KEY, JSON.stringify(srData));
+        } catch (e) {
+            console.error('Failed to remove review cards:', e);
+        }
+    }
+
+    /**
+     * How each question has gone so far, from its review card
+     * Returns { "<chapterId>:<questionId>": { attempts, misses, questionType } }
+     */
+    function getQuestionHistory() {
+        const history = {};
+        for (const [key, card] of Object.entries(getSpacedRepetitionData())) {
+            const misses = card.lapses || 0;
+            history[key] = {
+                // Cards from before review counts were kept: a lower bound
+                attempts: Math.max(card.reviews || (card.repetitions || 0) + misses, misses),
+                misses: misses,
+                questionType: card.questionType || null
+            };
+        }
+        return history;
+    }
+
+    /**
+     * Cards due now, most overdue first
+     * Each entry is { key, chapterId, questionId, nextReview, interval, lapses, ... }
+     */
     function getDueReviews() {
         const srData = getSpacedRepetitionData();
         const now = new Date();
         const due = [];
 
-        for (const [chapterId, data] of Object.entries(srData)) {
-            if (new Date(data.nextReview) <= now) {
-                due.push({ chapterId, ...data });
+        for (const [key, card] of Object.entries(srData)) {
+            if (new Date(card.nextReview) <= now) {
+                due.push({ key, ...card });
             }
         }
 
@@ -560,6 +1402,286 @@
         }
     }
 
+    /**
+     * Run an instructor's quiz on the custom quiz page (src/custom-quiz.njk)
+     * Questions without an id get the text-hash id chapter quizzes fall back
+     * to, then the quiz is checked by the same validator as the build.
+     * Returns the problems found; the quiz only loads when there are none.
+     */
+    function loadCustomQuiz(quiz) {
+        if (!elements.section && !cacheElements()) {
+            return [{ question: null, field: '', message: 'this page has no quiz section' }];
+        }
+
+        if (quiz && Array.isArray(quiz.questions)) {
+            quiz.questions.forEach(question => {
+                if (question && !question.id && typeof question.question === 'string') {
+                    question.id = getQuestionId(question);
+                }
+            });
+        }
+
+        const problems = window.DebateGuideQuizValidator.validateQuiz(quiz);
+        if (problems.length > 0) return problems;
+
+        // Loading another quiz drops the one in progress and its results
+        stopTimer();
+        clearResults();
+        quizStarted = false;
+        customMode = true;
+        quizData = quiz;
+
+        const title = elements.section.querySelector('.quiz-title');
+        if (title) title.textContent = quiz.title;
+        elements.section.hidden = false;
+        renderStartState();
+        return [];
+    }
+
+    /**
+     * Read the exam definition the page embeds (see src/_data/exams.js)
+     */
+    function readExamConfig() {
+        const configEl = document.getElementById('quiz-exam-config');
+        if (!configEl) return null;
+        try {
+            return JSON.parse(configEl.textContent);
+        } catch (e) {
+            console.error('Invalid exam config:', e);
+            return null;
+        }
+    }
+
+    /**
+     * Load several chapter quizzes for an exam or review deck
+     * Returns a map of chapter number -> quiz data, or null if none loaded
+     */
+    async function loadChapterQuizzes(chapterNumbers) {
+        showLoadingState();
+
+        try {
+            const results = await Promise.all(chapterNumbers.map(async number => {
+                const paddedId = String(number).padStart(2, '0');
+                const response = await fetch(`/quizzes/chapter-${paddedId}.json`);
+                return response.ok ? [number, await response.json()] : null;
+            }));
+
+            hideLoadingState();
+
+            const sources = {};
+            results.filter(Boolean).forEach(([number, data]) => {
+                sources[number] = data;
+            });
+            return Object.keys(sources).length > 0 ? sources : null;
+        } catch (e) {
+            console.error('Failed to load quiz data:', e);
+            showErrorState('Unable to load questions. Please check your connection and refresh the page.');
+            return null;
+        }
+    }
+
+    /**
+     * Draw an exam from the loaded chapter quizzes
+     * The seed decides which questions each chapter contributes and their order,
+     * so the same seed always reproduces the same exam
+     */
+    function buildExamQuiz(seed) {
+        return scoring.drawExam(examConfig, chapterSources, seed);
+    }
+
+    /**
+     * Build today's review deck from due cards across all chapters
+     * Cards whose question no longer exists are dropped from storage
+     */
+    function buildReviewDeck(dueCards) {
+        const questions = [];
+        const staleKeys = [];
+
+        dueCards.forEach(card => {
+            const source = chapterSources[card.chapterId];
+            if (!source) return;
+
+            const questionIndex = source.questions.findIndex(q => getQuestionId(q) === card.questionId);
+            if (questionIndex === -1) {
+                staleKeys.push(card.key);
+                return;
+            }
+
+            questions.push({
+                ...source.questions[questionIndex],
+                chapterNumber: parseInt(card.chapterId, 10),
+                chapterQuestionIndex: questionIndex
+            });
+        });
+
+        removeReviewCards(staleKeys);
+
+        return {
+            title: 'Daily Review',
+            passingScore: 70,
+            questions: questions
+        };
+    }
+
+    /**
+     * Load any chapters the due cards need, then build the deck
+     */
+    async function prepareReviewDeck() {
+        const dueCards = getDueReviews().slice(0, DAILY_REVIEW_LIMIT);
+        const missingChapters = [...new Set(dueCards.map(card => parseInt(card.chapterId, 10)))]
+            .filter(number => !chapterSources[number]);
+
+        if (missingChapters.length > 0) {
+            Object.assign(chapterSources, await loadChapterQuizzes(missingChapters) || {});
+        }
+
+        quizData = buildReviewDeck(dueCards);
+    }
+
+    /**
+     * Start a fresh exam draw; ?seed=N in the URL pins the first draw
+     */
+    function prepareExam(useUrlSeed) {
+        const urlSeed = useUrlSeed ? parseInt(new URLSearchParams(window.location.search).get('seed'), 10) : NaN;
+        examSeed = Number.isInteger(urlSeed) && urlSeed >= 0
+            ? urlSeed
+            : Math.floor(Math.random() * 2147483647);
+        quizData = buildExamQuiz(examSeed);
+    }
+
+    // ==========================================
+    // ADAPTIVE PRACTICE
+    // ==========================================
+
+    /**
+     * Start a practice session: quizData holds only the questions asked so far
+     * and grows by one after each answer. Local history is merged with the
+     * server's when signed in, keeping whichever saw more answers.
+     */
+    async function preparePractice() {
+        const chapterId = elements.section.dataset.chapter;
+        practicePool = practicePool || quizData;
+        practiceHistory = getQuestionHistory();
+        practiceStreak = 0;
+
+        const serverHistory = await fetchServerHistory(chapterId);
+        if (serverHistory) {
+            for (const [key, record] of Object.entries(serverHistory)) {
+                const local = practiceHistory[key];
+                if (!local || record.attempts > local.attempts) {
+                    practiceHistory[key] = record;
+                }
+            }
+        }
+
+        quizData = {
+            title: practicePool.title,
+            passingScore: practicePool.passingScore,
+            questions: []
+        };
+        questionOrder = [];
+        answerOrders = {};
+        addPracticeQuestion();
+    }
+
+    function getPracticeKey(question) {
+        return getCardKey(elements.section.dataset.chapter, getQuestionId(question));
+    }
+
+    /**
+     * Share of answers missed per question type, across every chapter
+     */
+    function getTypeMissRates() {
+        const totals = {};
+        Object.values(practiceHistory).forEach(record => {
+            if (!record.questionType) return;
+            const total = totals[record.questionType] || (totals[record.questionType] = { attempts: 0, misses: 0 });
+            total.attempts += record.attempts;
+            total.misses += record.misses;
+        });
+
+        const rates = {};
+        for (const [type, total] of Object.entries(totals)) {
+            rates[type] = (total.misses + 1) / (total.attempts + 2);
+        }
+        return rates;
+    }
+
+    /**
+     * Questions missed before, and types that tend to be missed, weigh more;
+     * unseen questions sit in the middle. Misses are smoothed so one answer
+     * doesn't decide everything.
+     */
+    function getPracticeWeight(question, typeMissRates) {
+        const record = practiceHistory[getPracticeKey(question)];
+        const missRate = record ? (record.misses + 1) / (record.attempts + 2) : 0.5;
+        const typeMissRate = typeMissRates[question.type] ?? 0.5;
+        return 0.2 + missRate * 2 + typeMissRate;
+    }
+
+    /**
+     * Draw the next unasked question, weighted by past performance
+     * Returns false when the pool is used up
+     */
+    function addPracticeQuestion() {
+        const asked = new Set(quizData.questions.map(q => q.chapterQuestionIndex));
+        const remaining = practicePool.questions
+            .map((question, index) => ({ question, index }))
+            .filter(entry => !asked.has(entry.index));
+        if (remaining.length === 0) return false;
+
+        const typeMissRates = getTypeMissRates();
+        const weights = remaining.map(entry => getPracticeWeight(entry.question, typeMissRates));
+        let pick = Math.random() * weights.reduce((sum, w) => sum + w, 0);
+        let chosen = remaining[remaining.length - 1];
+        for (let i = 0; i < remaining.length; i++) {
+            pick -= weights[i];
+            if (pick < 0) {
+                chosen = remaining[i];
+                break;
+            }
+        }
+
+        const displayIndex = quizData.questions.length;
+        quizData.questions.push({ ...chosen.question, chapterQuestionIndex: chosen.index });
+        questionOrder.push(displayIndex);
+        shuffleAnswers(displayIndex);
+        return true;
+    }
+
+    /**
+     * Fold the answer just graded into the history and the mastery streak
+     */
+    function recordPracticeAnswer() {
+        const originalIndex = getOriginalQuestionIndex(currentQuestion);
+        const question = quizData.questions[originalIndex];
+        const isCorrect = checkAnswer(question, originalIndex, userAnswers[currentQuestion]);
+        const key = getPracticeKey(question);
+
+        const record = practiceHistory[key] || { attempts: 0, misses: 0 };
+        practiceHistory[key] = {
+            attempts: record.attempts + 1,
+            misses: record.misses + (isCorrect ? 0 : 1),
+            questionType: question.type
+        };
+
+        practiceStreak = isCorrect && !hintsUsed[originalIndex] ? practiceStreak + 1 : 0;
+    }
+
+    function isPracticeMastered() {
+        return quizData.questions.length >= PRACTICE_MIN_QUESTIONS && practiceStreak >= PRACTICE_MASTERY_STREAK;
+    }
+
+    /**
+     * Chapter questions that are still missed at least half the time, worst first
+     */
+    function getPracticeWeakSpots() {
+        return practicePool.questions
+            .map(question => ({ question, record: practiceHistory[getPracticeKey(question)] }))
+            .filter(entry => entry.record && entry.record.attempts > 0 && entry.record.misses / entry.record.attempts >= 0.5)
+            .sort((a, b) => b.record.misses / b.record.attempts - a.record.misses / a.record.attempts);
+    }
+
     function showLoadingState() {
         if (!elements.section) return;
         elements.section.classList.add('is-loading');
@@ -588,22 +1710,29 @@
     }
 
     function randomizeQuiz() {
-        // Randomize question order
-        questionOrder = createShuffledIndices(quizData.questions.length);
-
-        // Randomize answer order for each MC question
+        // Randomize question order (exam questions are already in seeded order,
+        // practice questions in the order they were drawn)
+        questionOrder = examConfig || practiceMode
+            ? Array.from({ length: quizData.questions.length }, (_, i) => i)
+            : createShuffledIndices(quizData.questions.length);
+
+        // Randomize answer order for each MC question (exams reuse their draw's seed)
+        shuffleSeed = examConfig ? examSeed : Math.floor(Math.random() * 2147483647);
         answerOrders = {};
-        quizData.questions.forEach((question, index) => {
-            if (question.type === 'multiple-choice' || question.type === 'scenario') {
-                answerOrders[index] = createShuffledIndices(question.options.length);
-            }
-        });
+        quizData.questions.forEach((question, index) => shuffleAnswers(index));
 
         // Reset hint tracking
         hintsUsed = {};
         currentHintLevel = {};
     }
 
+    function shuffleAnswers(index) {
+        const question = quizData.questions[index];
+        if (question.type === 'multiple-choice' || question.type === 'scenario') {
+            answerOrders[index] = getAnswerOrder(question.options.length, shuffleSeed, index);
+        }
+    }
+
     function getOriginalQuestionIndex(displayIndex) {
         return questionOrder[displayIndex];
     }
@@ -629,13 +1758,25 @@
     }
 
     function renderStartState() {
-        const chapterId = elements.section.dataset.chapter;
-        const progress = getChapterProgress(chapterId);
+        if (reviewMode) {
+            renderReviewStartState();
+            return;
+        }
+
+        let progress = null;
+        if (examConfig) {
+            progress = getExamResult(examConfig.id);
+        } else if (!customMode) {
+            progress = getChapterProgress(elements.section.dataset.chapter);
+        }
         const attempts = progress ? (progress.attempts || 1) : 0;
+        const noun = examConfig ? 'Exam' : 'Quiz';
 
         elements.questionCount.textContent = quizData.questions.length;
         elements.passingScore.textContent = quizData.passingScore + '%';
-        elements.bestScore.textContent = progress ? progress.percentage + '%' : 'N/A';
+        if (elements.bestScore) {
+            elements.bestScore.textContent = progress ? progress.percentage + '%' : 'N/A';
+        }
         if (elements.attemptsCount) {
             elements.attemptsCount.textContent = attempts;
         }
@@ -645,15 +1786,64 @@
             const btnText = elements.startBtn.querySelector('span');
             if (btnText) {
                 if (attempts === 0) {
-                    btnText.textContent = 'Start Quiz';
+                    btnText.textContent = `Start ${noun}`;
                 } else if (progress && progress.percentage >= 70) {
-                    btnText.textContent = 'Retake Quiz';
+                    btnText.textContent = `Retake ${noun}`;
                 } else {
                     btnText.textContent = 'Try Again';
                 }
             }
         }
 
+        renderTimerModes();
+        renderResumeChoice();
+        showState('start');
+    }
+
+    /**
+     * Offer "Resume / Start over" in place of the start buttons when this quiz
+     * was left unfinished
+     */
+    function renderResumeChoice() {
+        pendingSession = getSavedSession();
+        if (!elements.resumePanel) return;
+
+        elements.resumePanel.hidden = !pendingSession;
+        elements.startState.classList.toggle('has-resume', Boolean(pendingSession));
+        if (!pendingSession) return;
+
+        const answered = pendingSession.userAnswers.filter(answer => answer !== null && answer !== undefined).length;
+        const position = pendingSession.practice
+            ? `practice question ${pendingSession.currentQuestion + 1}`
+            : `question ${pendingSession.currentQuestion + 1} of ${pendingSession.questions.length}`;
+        elements.resumeText.textContent =
+            `You left off at ${position} with ${answered} answered, ${formatSavedAgo(pendingSession.savedAt)}.`;
+
+        const noun = examConfig ? 'Exam' : reviewMode ? 'Review' : pendingSession.practice ? 'Practice' : 'Quiz';
+        elements.resumeBtn.hidden = false;
+        const resumeLabel = elements.resumeBtn.querySelector('span');
+        if (resumeLabel) resumeLabel.textContent = `Resume ${noun}`;
+    }
+
+    function renderReviewStartState() {
+        if (quizData.questions.length === 0) {
+            elements.startState.innerHTML = `
+                <div class="quiz-deck-empty">
+                    <p class="quiz-deck-empty-title">All caught up</p>
+                    <p>Nothing is due for review. Questions you answer in chapter quizzes come back here when it's time to review them.</p>
+                    <a href="/quizzes/" class="quiz-btn quiz-btn-secondary">Browse Quizzes</a>
+                </div>
+            `;
+            showState('start');
+            return;
+        }
+
+        const chapterCount = new Set(quizData.questions.map(q => q.chapterNumber)).size;
+        elements.questionCount.textContent = quizData.questions.length;
+        if (elements.reviewChapters) elements.reviewChapters.textContent = chapterCount;
+        if (elements.reviewDue) elements.reviewDue.textContent = getDueReviews().length;
+
+        renderResumeChoice();
         showState('start');
     }
 
@@ -663,10 +1853,15 @@
         const total = quizData.questions.length;
         const userAnswer = userAnswers[currentQuestion];
 
-        // Update progress
-        const progressPercent = ((currentQuestion + 1) / total) * 100;
-        elements.progressFill.style.width = progressPercent + '%';
-        elements.progressText.textContent = `Question ${currentQuestion + 1} of ${total}`;
+        // Update progress; practice has no fixed length, so it shows the run toward mastery
+        if (practiceMode) {
+            elements.progressFill.style.width = (practiceStreak / PRACTICE_MASTERY_STREAK) * 100 + '%';
+            elements.progressText.textContent = `Practice question ${currentQuestion + 1} • ${practiceStreak} of ${PRACTICE_MASTERY_STREAK} in a row`;
+        } else {
+            const progressPercent = ((currentQuestion + 1) / total) * 100;
+            elements.progressFill.style.width = progressPercent + '%';
+            elements.progressText.textContent = `Question ${currentQuestion + 1} of ${total}`;
+        }
 
         // Build question HTML based on type
         let questionHtml = '';
@@ -690,6 +1885,9 @@
             case 'fill-blank':
                 questionHtml = renderFillBlankQuestion(question, originalIndex, userAnswer);
                 break;
+            case 'argument':
+                questionHtml = renderArgumentQuestion(question, originalIndex, userAnswer);
+                break;
             default:
                 questionHtml = renderMultipleChoiceQuestion(question, originalIndex, userAnswer);
         }
@@ -702,14 +1900,15 @@
         // Add keyboard hint
         const keyboardHintHtml = `
             <div class="quiz-keyboard-hint">
-                <span class="kbd-hint-text">Press <kbd>1</kbd>-<kbd>4</kbd> to select, <kbd>Enter</kbd> to continue${question.hints ? ', <kbd>?</kbd> for hint' : ''}</span>
+                <span class="kbd-hint-text">${getKeyboardHintText(question)}</span>
             </div>
         `;
 
         elements.questionContainer.innerHTML = `
             <div class="quiz-question" data-question="${currentQuestion}" data-original="${originalIndex}">
-                <p class="quiz-question-text">${question.question}</p>
+                <p class="quiz-question-text" id="quiz-question-text" tabindex="-1">${escapeHtml(question.question)}</p>
                 ${questionHtml}
+                ${confidenceMode ? renderConfidencePicker(originalIndex) : ''}
                 ${hintHtml}
                 ${keyboardHintHtml}
             </div>
@@ -721,24 +1920,50 @@
         // Add event handlers based on question type
         addQuestionEventHandlers(question.type);
 
+        // Start screen readers on the new question instead of leaving focus on
+        // a button that has just been hidden (typed answers focus their own field)
+        if (!elements.questionContainer.contains(document.activeElement)) {
+            document.getElementById('quiz-question-text').focus();
+        }
+
         // Reset feedback state
         feedbackShown = false;
+
+        startQuestionClock();
+        saveSession();
+    }
+
+    function getKeyboardHintText(question) {
+        const hintKey = question.hints ? ', <kbd>?</kbd> for hint' : '';
+
+        switch (question.type) {
+            case 'ordering':
+                return `Press <kbd>Space</kbd> to pick up an item, <kbd>↑</kbd>/<kbd>↓</kbd> to move it, <kbd>Space</kbd> to drop it, <kbd>Enter</kbd> to check${hintKey}`;
+            case 'fill-blank':
+                return 'Type your answer and press <kbd>Enter</kbd> to check';
+            case 'argument':
+                return 'Write every part, then check it against a model answer';
+            case 'matching':
+                return `Choose a match for each item; each answer is used once${hintKey}`;
+            default:
+                return `Press <kbd>1</kbd>-<kbd>4</kbd> or <kbd>↑</kbd>/<kbd>↓</kbd> and <kbd>Space</kbd> to select, <kbd>Enter</kbd> to continue${hintKey}`;
+        }
     }
 
     function renderTrueFalseQuestion(question, originalIndex, userAnswer) {
         return `
             <div class="quiz-options" role="radiogroup" aria-label="Answer options">
-                <label class="quiz-option ${userAnswer === 0 ? 'selected' : ''}" tabindex="0" role="radio" aria-checked="${userAnswer === 0}">
+                <label class="quiz-option ${userAnswer === 0 ? 'selected' : ''}">
                     <input type="radio" name="q${currentQuestion}" value="0" ${userAnswer === 0 ? 'checked' : ''}>
                     <span class="quiz-option-marker"></span>
                     <span class="quiz-option-text">True</span>
-                    <span class="quiz-option-key">1</span>
+                    <span class="quiz-option-key" aria-hidden="true">1</span>
                 </label>
-                <label class="quiz-option ${userAnswer === 1 ? 'selected' : ''}" tabindex="0" role="radio" aria-checked="${userAnswer === 1}">
+                <label class="quiz-option ${userAnswer === 1 ? 'selected' : ''}">
                     <input type="radio" name="q${currentQuestion}" value="1" ${userAnswer === 1 ? 'checked' : ''}>
                     <span class="quiz-option-marker"></span>
                     <span class="quiz-option-text">False</span>
-                    <span class="quiz-option-key">2</span>
+                    <span class="quiz-option-key" aria-hidden="true">2</span>
                 </label>
             </div>
         `;
@@ -751,11 +1976,11 @@
         order.forEach((optionIndex, displayIndex) => {
             const isSelected = userAnswer !== undefined && getOriginalAnswerIndex(originalIndex, userAnswer) === optionIndex;
             optionsHtml += `
-                <label class="quiz-option ${isSelected ? 'selected' : ''}" tabindex="0" role="radio" aria-checked="${isSelected}" data-original="${optionIndex}">
+                <label class="quiz-option ${isSelected ? 'selected' : ''}" data-original="${optionIndex}">
                     <input type="radio" name="q${currentQuestion}" value="${displayIndex}" ${isSelected ? 'checked' : ''}>
                     <span class="quiz-option-marker"></span>
-                    <span class="quiz-option-text">${question.options[optionIndex]}</span>
-                    <span class="quiz-option-key">${displayIndex + 1}</span>
+                    <span class="quiz-option-text">${escapeHtml(question.options[optionIndex])}</span>
+                    <span class="quiz-option-key" aria-hidden="true">${displayIndex + 1}</span>
                 </label>
             `;
         });
@@ -768,7 +1993,7 @@
         const scenarioHtml = `
             <div class="quiz-scenario">
                 <div class="scenario-label">Scenario</div>
-                <p class="scenario-text">${question.scenario}</p>
+                <p class="scenario-text">${escapeHtml(question.scenario)}</p>
             </div>
         `;
 
@@ -788,12 +2013,12 @@
             const selectedRight = answer[index];
             leftHtml += `
                 <div class="matching-item matching-item-left" data-index="${index}">
-                    <span class="matching-text">${pair.left}</span>
-                    <select class="matching-select" data-left="${index}" aria-label="Match for ${pair.left}">
+                    <label class="matching-text" for="quiz-match-${index}">${escapeHtml(pair.left)}</label>
+                    <select class="matching-select" id="quiz-match-${index}" data-left="${index}" aria-label="Match for ${escapeHtml(pair.left)}" aria-describedby="quiz-matching-help">
                         <option value="">Select...</option>
                         ${rightOrder.map(ri => `
                             <option value="${ri}" ${selectedRight === ri ? 'selected' : ''}>
-                                ${question.pairs[ri].right}
+                                ${escapeHtml(question.pairs[ri].right)}
                             </option>
                         `).join('')}
                     </select>
@@ -804,8 +2029,10 @@
         leftHtml += '</div>';
         rightHtml += '</div>';
 
+        // Each native select is a combobox screen readers and switch access already know
         return `
-            <div class="quiz-matching">
+            <div class="quiz-matching" role="group" aria-labelledby="quiz-question-text">
+                <p class="visually-hidden" id="quiz-matching-help">Each answer matches exactly one item.</p>
                 ${leftHtml}
             </div>
         `;
@@ -815,16 +2042,29 @@
         // If user has ordered items, use that; otherwise show shuffled
         let items = userAnswer;
         if (!items) {
-            items = createShuffledIndices(question.items.length);
+            // Never start with the items already in the correct order
+            const correctOrder = getCorrectOrder(question);
+            do {
+                items = createShuffledIndices(question.items.length);
+            } while (items.length > 1 && items.every((itemIndex, i) => itemIndex === correctOrder[i]));
             // Store the initial shuffled order as the answer so button enables
             userAnswers[currentQuestion] = items;
         }
 
-        let itemsHtml = '<div class="quiz-ordering" role="list" aria-label="Drag to reorder items">';
+        // A rearrangeable listbox: one item is selected at a time and moved with
+        // the keyboard, the Move buttons below (for switch access) or by dragging
+        let itemsHtml = `
+            <p class="visually-hidden" id="quiz-ordering-help">
+                Select an item, then press Space to pick it up, the arrow keys to move it and Space to drop it,
+                or use the Move up and Move down buttons after the list.
+            </p>
+            <div class="quiz-ordering" id="quiz-ordering" role="listbox" aria-labelledby="quiz-question-text" aria-describedby="quiz-ordering-help">
+        `;
 
         items.forEach((itemIndex, position) => {
             itemsHtml += `
-                <div class="ordering-item" draggable="true" data-index="${itemIndex}" data-position="${position}" role="listitem" tabindex="0">
+                <div class="ordering-item" id="quiz-ordering-item-${itemIndex}" draggable="true" data-index="${itemIndex}" data-position="${position}"
+                     role="option" aria-selected="${position === 0}" tabindex="${position === 0 ? 0 : -1}">
                     <span class="ordering-handle" aria-hidden="true">
                         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <line x1="8" y1="6" x2="16" y2="6"></line>
@@ -832,25 +2072,29 @@
                             <line x1="8" y1="18" x2="16" y2="18"></line>
                         </svg>
                     </span>
-                    <span class="ordering-number">${position + 1}</span>
-                    <span class="ordering-text">${question.items[itemIndex]}</span>
-                    <div class="ordering-controls">
-                        <button class="ordering-up" aria-label="Move up" ${position === 0 ? 'disabled' : ''}>
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="18 15 12 9 6 15"></polyline>
-                            </svg>
-                        </button>
-                        <button class="ordering-down" aria-label="Move down" ${position === items.length - 1 ? 'disabled' : ''}>
-                            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                                <polyline points="6 9 12 15 18 9"></polyline>
-                            </svg>
-                        </button>
-                    </div>
+                    <span class="ordering-number" aria-hidden="true">${position + 1}</span>
+                    <span class="ordering-text">${escapeHtml(question.items[itemIndex])}</span>
                 </div>
             `;
         });
 
-        itemsHtml += '</div>';
+        itemsHtml += `
+            </div>
+            <div class="ordering-controls" role="group" aria-label="Move the selected item">
+                <button type="button" class="ordering-up" aria-controls="quiz-ordering" disabled>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <polyline points="18 15 12 9 6 15"></polyline>
+                    </svg>
+                    <span>Move up</span>
+                </button>
+                <button type="button" class="ordering-down" aria-controls="quiz-ordering" ${items.length < 2 ? 'disabled' : ''}>
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <polyline points="6 9 12 15 18 9"></polyline>
+                    </svg>
+                    <span>Move down</span>
+                </button>
+            </div>
+        `;
         return itemsHtml;
     }
 
@@ -862,7 +2106,7 @@
                     type="text"
                     class="fill-blank-input"
                     placeholder="Type your answer..."
-                    value="${answer}"
+                    value="${escapeHtml(answer)}"
                     aria-label="Your answer"
                     autocomplete="off"
                     autocapitalize="off"
@@ -872,6 +2116,36 @@
         `;
     }
 
+    function renderArgumentQuestion(question, originalIndex, userAnswer) {
+        const answer = userAnswer || [];
+        const parts = getArgumentParts(question);
+        return `
+            <div class="quiz-argument">
+                ${parts.map((label, i) => `
+                    <label class="argument-part">
+                        <span class="argument-part-label">${escapeHtml(label)}</span>
+                        <textarea class="argument-input" data-part="${i}" rows="${parts.length > 1 ? 2 : 4}">${escapeHtml(answer[i] || '')}</textarea>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    function renderConfidencePicker(questionIndex) {
+        const selected = confidences[questionIndex];
+        return `
+            <div class="quiz-confidence" role="radiogroup" aria-label="How sure are you?">
+                <span class="quiz-confidence-label">How sure are you?</span>
+                ${CONFIDENCE_LEVELS.map(level => `
+                    <button type="button" class="quiz-confidence-btn${selected === level.value ? ' selected' : ''}"
+                            role="radio" aria-checked="${selected === level.value}" data-confidence="${level.value}">
+                        ${level.label}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+    }
+
     function renderHintButton(questionIndex) {
         const question = quizData.questions[questionIndex];
         const currentLevel = currentHintLevel[questionIndex] || 0;
@@ -906,7 +2180,7 @@
             hintsHtml += `
                 <div class="quiz-hint ${i === level - 1 ? 'hint-new' : ''}">
                     <span class="hint-label">Hint ${i + 1}:</span>
-                    <span class="hint-text">${question.hints[i]}</span>
+                    <span class="hint-text">${escapeHtml(question.hints[i])}</span>
                 </div>
             `;
         }
@@ -916,9 +2190,12 @@
     function updateButtonStates() {
         const total = quizData.questions.length;
 
-        elements.prevBtn.disabled = currentQuestion === 0;
+        // A per-question clock can't be dodged by going back
+        const perQuestionClock = Boolean(timerMode && TIMER_MODES[timerMode].questionSeconds);
+        elements.prevBtn.disabled = currentQuestion === 0 || perQuestionClock;
 
-        const isLastQuestion = currentQuestion === total - 1;
+        // Practice never knows it's on the last question until the answer is in
+        const isLastQuestion = !practiceMode && currentQuestion === total - 1;
 
         if (immediateFeedbackMode) {
             // In immediate feedback mode, show Continue after feedback, then Next/Submit
@@ -929,10 +2206,10 @@
             elements.submitBtn.hidden = !isLastQuestion;
         }
 
-        // Enable next/submit only if answered
-        const hasAnswer = userAnswers[currentQuestion] !== undefined;
-        elements.nextBtn.disabled = !hasAnswer;
-        elements.submitBtn.disabled = !hasAnswer;
+        // Enable next/submit only if answered (and rated, when asking for confidence)
+        const canContinue = userAnswers[currentQuestion] !== undefined && hasConfidence();
+        elements.nextBtn.disabled = !canContinue;
+        elements.submitBtn.disabled = !canContinue;
     }
 
     function addQuestionEventHandlers(questionType) {
@@ -951,6 +2228,9 @@
             case 'fill-blank':
                 addFillBlankHandlers();
                 break;
+            case 'argument':
+                addArgumentHandlers();
+                break;
         }
 
         // Add hint button handler
@@ -958,6 +2238,10 @@
         if (hintBtn) {
             hintBtn.addEventListener('click', handleHintRequest);
         }
+
+        elements.questionContainer.querySelectorAll('.quiz-confidence-btn').forEach(btn => {
+            btn.addEventListener('click', handleConfidenceSelect);
+        });
     }
 
     function addOptionHandlers() {
@@ -986,11 +2270,15 @@
 
     function addOrderingHandlers() {
         const container = elements.questionContainer.querySelector('.quiz-ordering');
+        const controls = elements.questionContainer.querySelector('.ordering-controls');
         if (!container) return;
 
         // Drag and drop
         let draggedItem = null;
 
+        // Item picked up with Space, and where it started so Escape can put it back
+        let grabbed = null;
+
         container.querySelectorAll('.ordering-item').forEach(item => {
             item.addEventListener('dragstart', (e) => {
                 draggedItem = item;
@@ -1002,6 +2290,8 @@
                 item.classList.remove('dragging');
                 draggedItem = null;
                 updateOrderingAnswer();
+                renderOrderingNumbers();
+                announce(`Moved ${describeOrderingItem(item)}.`);
             });
 
             item.addEventListener('dragover', (e) => {
@@ -1019,48 +2309,159 @@
                     }
                 }
             });
-        });
 
-        // Button controls
-        container.querySelectorAll('.ordering-up').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const item = e.target.closest('.ordering-item');
-                const prev = item.previousElementSibling;
-                if (prev) {
-                    container.insertBefore(item, prev);
-                    updateOrderingAnswer();
-                    renderOrderingNumbers();
-                }
+            item.addEventListener('click', () => {
+                if (!feedbackShown) selectOrderingItem(item);
             });
         });
 
-        container.querySelectorAll('.ordering-down').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                const item = e.target.closest('.ordering-item');
-                const next = item.nextElementSibling;
-                if (next) {
-                    container.insertBefore(next, item);
-                    updateOrderingAnswer();
-                    renderOrderingNumbers();
+        function dropGrabbed() {
+            grabbed.item.classList.remove('grabbed');
+            grabbed = null;
+        }
+
+        container.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.ordering-item');
+            if (!item || feedbackShown) return;
+
+            const items = Array.from(container.querySelectorAll('.ordering-item'));
+            const position = items.indexOf(item);
+
+            switch (e.key) {
+                case ' ':
+                    if (grabbed) {
+                        dropGrabbed();
+                        announce(`Dropped ${describeOrderingItem(item)}.`);
+                    } else {
+                        grabbed = { item, position };
+                        item.classList.add('grabbed');
+                        announce(`Picked up ${describeOrderingItem(item)}. Use the arrow keys to move it, Space to drop it or Escape to cancel.`);
+                    }
+                    break;
+
+                case 'Escape':
+                    if (!grabbed) return;
+                    moveOrderingItem(container, item, grabbed.position);
+                    dropGrabbed();
+                    announce(`Move cancelled. ${describeOrderingItem(item)}.`);
+                    break;
+
+                case 'ArrowUp':
+                case 'ArrowDown':
+                case 'Home':
+                case 'End': {
+                    const target = {
+                        ArrowUp: position - 1,
+                        ArrowDown: position + 1,
+                        Home: 0,
+                        End: items.length - 1
+                    }[e.key];
+
+                    if (grabbed) {
+                        if (moveOrderingItem(container, item, target)) {
+                            announce(`Moved ${describeOrderingItem(item)}.`);
+                        }
+                    } else if (items[target]) {
+                        selectOrderingItem(items[target]);
+                    }
+                    break;
                 }
-            });
+
+                default:
+                    return;
+            }
+
+            // Keep the quiz's own shortcuts (Escape closes feedback) out of it
+            e.preventDefault();
+            e.stopPropagation();
+        });
+
+        // Tabbing away mid-move leaves the item where it is
+        container.addEventListener('focusout', (e) => {
+            if (grabbed && e.relatedTarget && !container.contains(e.relatedTarget)) {
+                dropGrabbed();
+            }
         });
+
+        // Move up / Move down act on the selected item, for switch and pointer users
+        controls.addEventListener('click', (e) => {
+            const btn = e.target.closest('button');
+            if (!btn || btn.disabled || feedbackShown) return;
+
+            const item = container.querySelector('.ordering-item[aria-selected="true"]');
+            const position = Array.from(container.querySelectorAll('.ordering-item')).indexOf(item);
+            const step = btn.classList.contains('ordering-up') ? -1 : 1;
+
+            if (moveOrderingItem(container, item, position + step)) {
+                announce(`Moved ${describeOrderingItem(item)}.`);
+            }
+
+            // A button disabled at the end of the list drops focus, so pass it on
+            if (btn.disabled) {
+                const other = controls.querySelector('button:not(:disabled)');
+                (other || item).focus();
+            }
+        });
+    }
+
+    /**
+     * Move an ordering item to a new position, keeping focus on it
+     * @returns {boolean} Whether it moved
+     */
+    function moveOrderingItem(container, item, target) {
+        const items = Array.from(container.querySelectorAll('.ordering-item'));
+        const position = items.indexOf(item);
+        if (target < 0 || target >= items.length || target === position) return false;
+
+        const hadFocus = document.activeElement === item;
+        container.insertBefore(item, target > position ? items[target].nextSibling : items[target]);
+        if (hadFocus) item.focus();
+
+        updateOrderingAnswer();
+        renderOrderingNumbers();
+        return true;
+    }
+
+    /**
+     * Make an ordering item the selected one: the listbox's tab stop and the
+     * one the Move buttons act on
+     */
+    function selectOrderingItem(item) {
+        item.parentElement.querySelectorAll('.ordering-item').forEach(other => {
+            other.setAttribute('aria-selected', String(other === item));
+            other.tabIndex = other === item ? 0 : -1;
+        });
+        item.focus();
+        renderOrderingNumbers();
+    }
+
+    /**
+     * "Hook, position 2 of 4", for announcing where an item now sits
+     */
+    function describeOrderingItem(item) {
+        const items = Array.from(item.parentElement.querySelectorAll('.ordering-item'));
+        const text = item.querySelector('.ordering-text').textContent.trim();
+        return `${text}, position ${items.indexOf(item) + 1} of ${items.length}`;
     }
 
     function renderOrderingNumbers() {
         const container = elements.questionContainer.querySelector('.quiz-ordering');
         if (!container) return;
 
-        container.querySelectorAll('.ordering-item').forEach((item, index) => {
+        const items = container.querySelectorAll('.ordering-item');
+        let selected = 0;
+
+        items.forEach((item, index) => {
             item.querySelector('.ordering-number').textContent = index + 1;
             item.dataset.position = index;
+            if (item.getAttribute('aria-selected') === 'true') selected = index;
+        });
 
-            const upBtn = item.querySelector('.ordering-up');
-            const downBtn = item.querySelector('.ordering-down');
+        const upBtn = elements.questionContainer.querySelector('.ordering-up');
+        const downBtn = elements.questionContainer.querySelector('.ordering-down');
 
-            if (upBtn) upBtn.disabled = index === 0;
-            if (downBtn) downBtn.disabled = index === container.children.length - 1;
-        });
+        if (upBtn) upBtn.disabled = selected === 0;
+        if (downBtn) downBtn.disabled = selected === items.length - 1;
     }
 
     function updateOrderingAnswer() {
@@ -1094,6 +2495,16 @@
         }
     }
 
+    function addArgumentHandlers() {
+        const inputs = elements.questionContainer.querySelectorAll('.argument-input');
+        inputs.forEach(input => {
+            input.addEventListener('input', handleArgumentInput);
+        });
+        if (inputs.length > 0) {
+            inputs[0].focus();
+        }
+    }
+
     // ==========================================
     // IMMEDIATE FEEDBACK
     // ==========================================
@@ -1106,8 +2517,10 @@
         const userAnswer = userAnswers[currentQuestion];
 
         const isCorrect = checkAnswer(question, originalIndex, userAnswer);
+        const ranOutOfTime = timedOutQuestions.includes(originalIndex);
 
         feedbackShown = true;
+        pauseQuestionClock();
 
         // Add feedback class to question container
         const questionEl = elements.questionContainer.querySelector('.quiz-question');
@@ -1116,6 +2529,20 @@
         // Mark correct and incorrect options for MC/TF questions
         if (question.type === 'multiple-choice' || question.type === 'true-false' || question.type === 'scenario') {
             markCorrectIncorrectOptions(question, originalIndex, userAnswer);
+        } else if (question.type === 'ordering') {
+            markOrderingPositions(question, userAnswer);
+        } else if (question.type === 'fill-blank') {
+            markFillBlankAnswer(isCorrect);
+        } else if (question.type === 'argument') {
+            elements.questionContainer.querySelectorAll('.argument-input').forEach(input => {
+                input.readOnly = true;
+            });
+        }
+
+        // Written arguments are scored by the reader, so they get a rubric instead of a verdict
+        if (question.type === 'argument' && userAnswer !== undefined) {
+            showRubricFeedback(question, originalIndex);
+            return;
         }
 
         // Show explanation
@@ -1128,10 +2555,13 @@
                             : '<svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>'
                         }
                     </span>
-                    <span class="feedback-title">${isCorrect ? 'Correct!' : 'Not quite right'}</span>
+                    <span class="feedback-title">${isCorrect ? 'Correct!' : (ranOutOfTime ? 'Time\'s up' : 'Not quite right')}</span>
                 </div>
                 <div class="feedback-explanation">
-                    <p>${question.explanation}</p>
+                    ${!isCorrect ? renderCorrectAnswerNote(question) : ''}
+                    ${renderAnswerNotes(question, originalIndex, userAnswer)}
+                    <p>${escapeHtml(question.explanation)}</p>
+                    ${renderSectionLink(question)}
                 </div>
                 <button class="quiz-btn quiz-btn-primary quiz-continue-btn">
                     Continue
@@ -1143,11 +2573,7 @@
             </div>
         `;
 
-        // Insert feedback after options
-        const optionsEl = elements.questionContainer.querySelector('.quiz-options, .quiz-matching, .quiz-ordering, .quiz-fill-blank');
-        if (optionsEl) {
-            optionsEl.insertAdjacentHTML('afterend', feedbackHtml);
-        }
+        insertFeedback(feedbackHtml);
 
         // Add continue button handler
         const continueBtn = elements.questionContainer.querySelector('.quiz-continue-btn');
@@ -1156,15 +2582,132 @@
             continueBtn.focus();
         }
 
+        // Focus lands on Continue, so say the verdict the screen reader would otherwise skip
+        announce(elements.questionContainer.querySelector('.feedback-title').textContent);
+
+        lockQuestion();
+    }
+
+    /**
+     * Insert feedback after the answer area (after the confidence picker when there is one)
+     */
+    function insertFeedback(feedbackHtml) {
+        const optionsEl = elements.questionContainer.querySelector('.quiz-confidence') ||
+            elements.questionContainer.querySelector('.quiz-options, .quiz-matching, .ordering-controls, .quiz-fill-blank, .quiz-argument');
+        if (optionsEl) {
+            optionsEl.insertAdjacentHTML('afterend', feedbackHtml);
+        }
+    }
+
+    /**
+     * Hide navigation and stop further answers while feedback is showing
+     */
+    function lockQuestion() {
         // Hide navigation buttons during feedback
         elements.nextBtn.hidden = true;
         elements.submitBtn.hidden = true;
         elements.prevBtn.disabled = true;
 
         // Disable option selection
-        elements.questionContainer.querySelectorAll('.quiz-option input').forEach(input => {
+        elements.questionContainer.querySelectorAll('.quiz-option input, .matching-select, .quiz-confidence-btn').forEach(input => {
             input.disabled = true;
         });
+
+        // Once graded, a reload mustn't allow a second try
+        saveSession();
+    }
+
+    /**
+     * Show the model answer and a rubric for the reader to score their own
+     * argument; the score counts once they continue
+     */
+    function showRubricFeedback(question, originalIndex) {
+        const ticked = rubricScores[originalIndex] || [];
+
+        const feedbackHtml = `
+            <div class="quiz-feedback feedback-rubric">
+                <div class="feedback-header">
+                    <span class="feedback-icon">
+                        <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M9 11l3 3L22 4"></path><path d="M21 12v7a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11"></path></svg>
+                    </span>
+                    <span class="feedback-title">Score your argument</span>
+                </div>
+                <div class="feedback-explanation">
+                    ${renderCorrectAnswerNote(question)}
+                    <fieldset class="quiz-rubric">
+                        <legend>Tick each one your answer does</legend>
+                        ${question.rubric.map((item, i) => `
+                            <label class="rubric-criterion">
+                                <input type="checkbox" value="${i}"${ticked.includes(i) ? ' checked' : ''}>
+                                <span class="rubric-criterion-text">${escapeHtml(item.criterion)}</span>
+                                <span class="rubric-criterion-points">${item.points || 1} pt${(item.points || 1) === 1 ? '' : 's'}</span>
+                            </label>
+                        `).join('')}
+                    </fieldset>
+                    <p class="quiz-rubric-score" aria-live="polite"></p>
+                    ${renderPreviousArgument(question)}
+                    <p>${escapeHtml(question.explanation)}</p>
+                    ${renderSectionLink(question)}
+                </div>
+                <button class="quiz-btn quiz-btn-primary quiz-continue-btn">
+                    Continue
+                    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <line x1="5" y1="12" x2="19" y2="12"></line>
+                        <polyline points="12 5 19 12 12 19"></polyline>
+                    </svg>
+                </button>
+            </div>
+        `;
+
+        insertFeedback(feedbackHtml);
+        updateRubricScore(question, originalIndex);
+
+        const criteria = elements.questionContainer.querySelectorAll('.rubric-criterion input');
+        criteria.forEach(input => {
+            input.addEventListener('change', handleRubricToggle);
+        });
+        elements.questionContainer.querySelector('.quiz-continue-btn').addEventListener('click', handleContinueAfterFeedback);
+        criteria[0].focus();
+
+        lockQuestion();
+    }
+
+    /**
+     * Show the running rubric total and mark the question right or wrong to match
+     */
+    function updateRubricScore(question, originalIndex) {
+        const points = getRubricPoints(question, originalIndex);
+        const passPoints = getRubricPassPoints(question);
+        const passes = points >= passPoints;
+
+        elements.questionContainer.querySelector('.quiz-rubric-score').innerHTML =
+            `<strong>${points} of ${getRubricTotal(question)} points</strong> &middot; ${passes ? 'counts as correct' : `needs ${passPoints} to count as correct`}`;
+
+        const questionEl = elements.questionContainer.querySelector('.quiz-question');
+        questionEl.classList.toggle('answer-correct', passes);
+        questionEl.classList.toggle('answer-incorrect', !passes);
+    }
+
+    /**
+     * The reader's answer from a previous attempt, to compare with this one
+     */
+    function renderPreviousArgument(question) {
+        // Saved arguments are kept per chapter question
+        if (customMode) return '';
+
+        const chapterId = question.chapterNumber || elements.section.dataset.chapter;
+        const previous = getSavedArguments()[getCardKey(String(chapterId), getQuestionId(question))];
+        if (!previous) return '';
+
+        const answeredOn = new Date(previous.answeredAt).toLocaleDateString();
+        return `
+            <details class="feedback-previous-argument">
+                <summary>Your answer on ${answeredOn} (${previous.points} of ${previous.total} points)</summary>
+                ${Object.entries(previous.answer).map(([label, text]) =>
+                    `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}</p>`
+                ).join('')}
+            </details>
+        `;
     }
 
     function markCorrectIncorrectOptions(question, originalIndex, userAnswer) {
@@ -1189,50 +2732,377 @@
         });
     }
 
-    function checkAnswer(question, originalIndex, userAnswer) {
-        switch (question.type) {
-            case 'true-false':
-                const correctTF = question.correct ? 0 : 1;
-                return userAnswer === correctTF;
+    /**
+     * Show the expected answer for question types where it isn't visible on screen
+     */
+    function renderCorrectAnswerNote(question) {
+        if (question.type === 'ordering') {
+            const sequence = getCorrectOrder(question).map(i => escapeHtml(question.items[i])).join(' → ');
+            return `<p class="feedback-correct-answer">Correct order: <strong>${sequence}</strong></p>`;
+        }
+        if (question.type === 'fill-blank') {
+            return `<p class="feedback-correct-answer">Answer: <strong>${escapeHtml(question.answer)}</strong></p>`;
+        }
+        if (question.type === 'argument') {
+            return `
+                <div class="feedback-model-answer">
+                    <span class="feedback-model-label">Model answer</span>
+                    <p>${escapeHtml(question.modelAnswer)}</p>
+                </div>
+            `;
+        }
+        return '';
+    }
+
+    /**
+     * What the quiz says about this particular answer: the chosen option's
+     * rationale, or the feedback for each wrongly matched pair
+     */
+    function renderAnswerNotes(question, originalIndex, userAnswer) {
+        if (userAnswer === undefined) return '';
+
+        if ((question.type === 'multiple-choice' || question.type === 'scenario') && Array.isArray(question.rationales)) {
+            const chosen = getOriginalAnswerIndex(originalIndex, userAnswer);
+            const rationale = question.rationales[chosen];
+            if (!rationale) return '';
+
+            const isCorrect = chosen === question.correct;
+            return `
+                <div class="quiz-answer-note ${isCorrect ? 'note-correct' : 'note-incorrect'}">
+                    <span class="quiz-answer-note-label">${isCorrect ? 'Why it\'s right' : `Why not “${escapeHtml(question.options[chosen])}”`}</span>
+                    <p>${escapeHtml(rationale)}</p>
+                </div>
+            `;
+        }
+
+        if (question.type === 'matching') {
+            const notes = question.pairs
+                .filter((pair, index) => userAnswer[index] !== index && pair.feedback)
+                .map(pair => `<li><strong>${escapeHtml(pair.left)}</strong>: ${escapeHtml(pair.feedback)}</li>`);
+            if (notes.length === 0) return '';
+
+            return `
+                <div class="quiz-answer-note note-incorrect">
+                    <span class="quiz-answer-note-label">Pairs to revisit</span>
+                    <ul>${notes.join('')}</ul>
+                </div>
+            `;
+        }
+
+        return '';
+    }
+
+    /**
+     * Chapter page URL for a question from another chapter, from the exam's
+     * chapter list or the one the review deck embeds
+     */
+    function getChapterUrl(chapterNumber) {
+        if (!chapterLinks) {
+            const listEl = document.getElementById('quiz-chapter-links');
+            try {
+                chapterLinks = examConfig ? examConfig.chapters : JSON.parse(listEl.textContent);
+            } catch {
+                chapterLinks = [];
+            }
+        }
+        const chapter = chapterLinks.find(c => c.number === chapterNumber);
+        return chapter ? chapter.url : null;
+    }
+
+    /**
+     * Link back to the chapter section a question draws on. On the chapter's
+     * own page it scrolls to the passage; exam and review questions open their
+     * chapter in a new tab so the attempt isn't lost.
+     */
+    function renderSectionLink(question) {
+        if (!question.section || customMode) return '';
+
+        if (question.chapterNumber) {
+            const url = getChapterUrl(question.chapterNumber);
+            if (!url) return '';
+            return `<a class="quiz-reread-link" href="${url}#${question.section}" target="_blank" rel="noopener">Re-read this section</a>`;
+        }
+        return `<a class="quiz-reread-link" href="#${question.section}" data-section="${question.section}">Re-read this section</a>`;
+    }
+
+    /**
+     * Scroll to a chapter heading and briefly highlight it and its passage,
+     * up to the next heading of the same or a higher level
+     */
+    function highlightSection(id) {
+        const heading = document.getElementById(id);
+        if (!heading || !/^H[23]$/.test(heading.tagName)) return;
+
+        const level = Number(heading.tagName[1]);
+        const passage = [heading];
+        for (let el = heading.nextElementSibling; el; el = el.nextElementSibling) {
+            if (/^H[1-6]$/.test(el.tagName) && Number(el.tagName[1]) <= level) break;
+            passage.push(el);
+        }
+
+        passage.forEach(el => el.classList.add('section-highlight'));
+        heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        setTimeout(() => {
+            passage.forEach(el => el.classList.remove('section-highlight'));
+        }, SECTION_HIGHLIGHT_MS);
+    }
+
+    function handleSectionLinkClick(e) {
+        const link = e.target.closest('.quiz-reread-link[data-section]');
+        if (!link) return;
+
+        e.preventDefault();
+        history.replaceState(null, '', link.getAttribute('href'));
+        highlightSection(link.dataset.section);
+    }
+
+    function markOrderingPositions(question, userAnswer) {
+        const correctOrder = getCorrectOrder(question);
+        const items = elements.questionContainer.querySelectorAll('.ordering-item');
+
+        items.forEach((item, position) => {
+            const isInPlace = userAnswer && userAnswer[position] === correctOrder[position];
+            item.classList.add(isInPlace ? 'option-correct' : 'option-incorrect');
+            item.setAttribute('draggable', 'false');
+            item.insertAdjacentHTML('beforeend', `<span class="visually-hidden">${isInPlace ? ', in the right place' : ', out of place'}</span>`);
+        });
+
+        elements.questionContainer.querySelectorAll('.ordering-controls button').forEach(btn => {
+            btn.disabled = true;
+        });
+    }
+
+    function markFillBlankAnswer(isCorrect) {
+        const input = elements.questionContainer.querySelector('.fill-blank-input');
+        if (!input) return;
+
+        input.classList.add(isCorrect ? 'option-correct' : 'option-incorrect');
+        input.readOnly = true;
+    }
+
+    /**
+     * The answer in the quiz file's terms: multiple-choice positions on screen
+     * become option indexes, as lib/quiz-scoring.js expects
+     */
+    function toOptionAnswer(question, originalIndex, userAnswer) {
+        if ((question.type === 'multiple-choice' || question.type === 'scenario') && userAnswer !== undefined && userAnswer !== null) {
+            return getOriginalAnswerIndex(originalIndex, userAnswer);
+        }
+        return userAnswer;
+    }
+
+    function checkAnswer(question, originalIndex, userAnswer) {
+        const rubricPoints = question.type === 'argument' ? getRubricPoints(question, originalIndex) : null;
+        return scoring.checkAnswer(question, toOptionAnswer(question, originalIndex, userAnswer), rubricPoints);
+    }
+
+    function handleContinueAfterFeedback() {
+        feedbackShown = false;
+
+        // Practice picks the next question only now, from how this one went
+        if (practiceMode) {
+            recordPracticeAnswer();
+            if (!isPracticeMastered()) addPracticeQuestion();
+        }
+
+        const total = quizData.questions.length;
+        const isLastQuestion = currentQuestion === total - 1;
+
+        if (isLastQuestion) {
+            renderResults();
+        } else {
+            currentQuestion++;
+            renderQuestion();
+        }
+    }
+
+    // ==========================================
+    // TIMING
+    // ==========================================
+
+    function formatDuration(seconds) {
+        const whole = Math.max(0, Math.ceil(seconds));
+        return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Seconds on the clock for a timed mode: per question, or for the whole quiz
+     */
+    function getTimeLimit(mode) {
+        if (mode.questionSeconds) return mode.questionSeconds;
+        // Practice sessions grow as they go, so the clock is set for the whole chapter
+        const questionCount = practiceMode ? practicePool.questions.length : quizData.questions.length;
+        return Math.round(mode.quizSeconds * Math.max(1, questionCount / 10));
+    }
+
+    function resetTiming() {
+        stopTimer();
+        questionTimes = {};
+        timedOutQuestions = [];
+        quizTimedOut = false;
+    }
+
+    /**
+     * Time is measured for every quiz; only timed mode shows a clock. The clock
+     * counts answering time and pauses while feedback is on screen.
+     */
+    function startQuestionClock() {
+        pauseQuestionClock();
+        clockQuestion = getOriginalQuestionIndex(currentQuestion);
+        clockStartedAt = Date.now();
+
+        if (timerMode && !timerInterval) {
+            timerInterval = setInterval(updateTimer, 250);
+        }
+        updateTimer();
+    }
+
+    function pauseQuestionClock() {
+        if (clockStartedAt === null) return;
+        questionTimes[clockQuestion] = getQuestionSeconds(clockQuestion);
+        clockStartedAt = null;
+        updateTimer();
+    }
+
+    function stopTimer() {
+        pauseQuestionClock();
+        clearInterval(timerInterval);
+        timerInterval = null;
+    }
+
+    function getQuestionSeconds(originalIndex) {
+        const running = clockStartedAt !== null && clockQuestion === originalIndex
+            ? (Date.now() - clockStartedAt) / 1000
+            : 0;
+        return (questionTimes[originalIndex] || 0) + running;
+    }
+
+    function getElapsedSeconds() {
+        return quizData.questions.reduce((sum, _, index) => sum + getQuestionSeconds(index), 0);
+    }
 
-            case 'multiple-choice':
-            case 'scenario':
-                const originalAnswer = getOriginalAnswerIndex(originalIndex, userAnswer);
-                return originalAnswer === question.correct;
+    function getRemainingSeconds() {
+        const mode = TIMER_MODES[timerMode];
+        return mode.questionSeconds
+            ? getTimeLimit(mode) - getQuestionSeconds(getOriginalQuestionIndex(currentQuestion))
+            : getTimeLimit(mode) - getElapsedSeconds();
+    }
 
-            case 'matching':
-                if (!userAnswer) return false;
-                return question.pairs.every((pair, index) => userAnswer[index] === index);
+    function updateTimer() {
+        if (!elements.timer) return;
+        elements.timer.hidden = !timerMode;
+        if (!timerMode) return;
 
-            case 'ordering':
-                if (!userAnswer) return false;
-                return userAnswer.every((itemIndex, position) =>
-                    itemIndex === question.correctOrder[position]
-                );
+        const remaining = getRemainingSeconds();
+        elements.timer.textContent = formatDuration(remaining);
+        elements.timer.classList.toggle('is-low', remaining <= LOW_TIME_SECONDS);
+        elements.timer.classList.toggle('is-paused', clockStartedAt === null);
 
-            case 'fill-blank':
-                if (!userAnswer) return false;
-                const normalizedAnswer = userAnswer.toLowerCase().trim();
-                const acceptableAnswers = question.acceptableAnswers || [question.answer];
-                return acceptableAnswers.some(ans => ans.toLowerCase().trim() === normalizedAnswer);
+        if (remaining <= 0 && clockStartedAt !== null) {
+            handleTimeUp();
+        }
+    }
 
-            default:
-                return false;
+    function handleTimeUp() {
+        // Whole-quiz clock: unanswered questions count as wrong
+        if (!TIMER_MODES[timerMode].questionSeconds) {
+            quizTimedOut = true;
+            renderResults();
+            return;
+        }
+
+        // Per-question clock: lock in whatever has been answered and move on
+        pauseQuestionClock();
+        timedOutQuestions.push(getOriginalQuestionIndex(currentQuestion));
+
+        if (immediateFeedbackMode) {
+            showImmediateFeedback();
+        } else {
+            handleContinueAfterFeedback();
         }
     }
 
-    function handleContinueAfterFeedback() {
-        feedbackShown = false;
+    function renderTimerModes() {
+        if (!elements.timerModes) return;
+
+        const choices = [{ id: '', label: 'Untimed', limit: 'No clock' }].concat(
+            Object.entries(TIMER_MODES).map(([id, mode]) => ({
+                id: id,
+                label: mode.label,
+                limit: mode.questionSeconds
+                    ? `${mode.questionSeconds} sec per question`
+                    : `${formatDuration(getTimeLimit(mode))} in total`
+            }))
+        );
+
+        elements.timerModes.innerHTML = '<legend>Clock</legend>' + choices.map(choice => `
+            <label class="quiz-timer-mode">
+                <input type="radio" name="quiz-timer-mode" value="${choice.id}"${(timerMode || '') === choice.id ? ' checked' : ''}>
+                <span class="quiz-timer-mode-name">${choice.label}</span>
+                <span class="quiz-timer-mode-limit">${choice.limit}</span>
+            </label>
+        `).join('');
+    }
 
+    /**
+     * Time line under the result message: total, pace, slowest question and
+     * how the attempt went against the clock
+     */
+    function renderTimeSummary(seconds, isFastestPass) {
         const total = quizData.questions.length;
-        const isLastQuestion = currentQuestion === total - 1;
+        const parts = [`Time ${formatDuration(seconds)}`, `${Math.round(seconds / total)}s per question`];
 
-        if (isLastQuestion) {
-            renderResults();
-        } else {
-            currentQuestion++;
-            renderQuestion();
+        let slowest = null;
+        quizData.questions.forEach((_, index) => {
+            const questionSeconds = questionTimes[index] || 0;
+            if (!slowest || questionSeconds > slowest.seconds) {
+                slowest = { index, seconds: questionSeconds };
+            }
+        });
+        if (slowest && total > 1) {
+            parts.push(`slowest Q${questionOrder.indexOf(slowest.index) + 1} (${Math.round(slowest.seconds)}s)`);
+        }
+
+        if (timerMode) {
+            const mode = TIMER_MODES[timerMode];
+            if (quizTimedOut) {
+                parts.push(`${mode.label} clock ran out`);
+            } else if (mode.questionSeconds) {
+                const missed = timedOutQuestions.length;
+                parts.push(missed > 0
+                    ? `${missed} question${missed === 1 ? '' : 's'} ran out of time`
+                    : `every answer inside ${mode.questionSeconds}s`);
+            } else {
+                parts.push(`${formatDuration(getTimeLimit(mode) - seconds)} to spare`);
+            }
         }
+
+        const timeNote = document.createElement('p');
+        timeNote.className = 'quiz-result-time';
+        timeNote.innerHTML = parts.join(' • ') + (isFastestPass ? ' <span class="new-best">New fastest pass</span>' : '');
+        elements.resultMessage.insertAdjacentElement('afterend', timeNote);
+    }
+
+    // ==========================================
+    // SCORING
+    // ==========================================
+
+    function getScoringPolicy() {
+        return scoring.getScoringPolicy(quizData);
+    }
+
+    /**
+     * How much of a question the answer got right, from 0 to 1
+     */
+    function getAnswerCredit(question, originalIndex, userAnswer) {
+        return scoring.getAnswerCredit(question, userAnswer, checkAnswer(question, originalIndex, userAnswer));
+    }
+
+    /**
+     * What one answer is worth under the quiz's scoring policy
+     */
+    function getQuestionCredit(question, originalIndex, userAnswer, policy) {
+        return scoring.getQuestionCredit(question, getAnswerCredit(question, originalIndex, userAnswer), userAnswer, policy);
     }
 
     // ==========================================
@@ -1240,9 +3110,15 @@
     // ==========================================
 
     function renderResults() {
+        stopTimer();
+        clearSession();
+
         const total = quizData.questions.length;
         let correct = 0;
         const questionResponses = [];
+        const chapterScores = {}; // Exams only: chapter number -> { correct, total }
+        const policy = getScoringPolicy();
+        const credits = [];
 
         quizData.questions.forEach((question, originalIndex) => {
             // Find the display index for this original question
@@ -1253,6 +3129,14 @@
             if (isCorrect) {
                 correct++;
             }
+            credits.push(getQuestionCredit(question, originalIndex, userAnswer, policy));
+
+            if (examConfig) {
+                const chapterScore = chapterScores[question.chapterNumber] ||
+                    (chapterScores[question.chapterNumber] = { correct: 0, total: 0 });
+                chapterScore.total++;
+                if (isCorrect) chapterScore.correct++;
+            }
 
             // Collect response data for analytics
             let correctAnswer;
@@ -1272,37 +3156,78 @@
                     correctAnswer = 'all-matched';
                     break;
                 case 'ordering':
-                    correctAnswer = question.correctOrder;
+                    correctAnswer = getCorrectOrder(question);
                     break;
                 case 'fill-blank':
                     correctAnswer = question.answer;
                     break;
+                case 'argument':
+                    correctAnswer = question.modelAnswer;
+                    formattedUserAnswer = userAnswer ? formatArgumentAnswer(question, userAnswer) : undefined;
+                    break;
             }
 
             questionResponses.push({
-                questionIndex: originalIndex,
+                // Exam, review and practice questions point back at the question in its own chapter quiz
+                questionIndex: question.chapterQuestionIndex ?? originalIndex,
+                chapterNumber: question.chapterNumber,
+                questionId: getQuestionId(question),
+                questionVersion: getQuestionVersion(question),
                 questionType: question.type,
                 questionText: question.question,
                 userAnswer: formattedUserAnswer,
+                // As answered (option position, pair or item indexes, text), for the server to re-grade;
+                // attempts started before options were shuffled from a seed send the option's index
+                rawAnswer: (shuffleSeed === null ? toOptionAnswer(question, originalIndex, userAnswer) : userAnswer) ?? null,
                 correctAnswer: correctAnswer,
                 isCorrect: isCorrect,
-                hintsUsedForQuestion: hintsUsed[originalIndex] || 0
+                hintsUsedForQuestion: hintsUsed[originalIndex] || 0,
+                timeSeconds: Math.round(getQuestionSeconds(originalIndex)),
+                confidence: confidences[originalIndex] ?? null,
+                rubricPoints: question.type === 'argument' ? getRubricPoints(question, originalIndex) : null,
+                rubricTotal: question.type === 'argument' ? getRubricTotal(question) : null,
+                credit: Math.round(getAnswerCredit(question, originalIndex, userAnswer) * 1000) / 1000,
+                itemResults: getItemResults(question, userAnswer)
             });
         });
 
-        const percentage = Math.round((correct / total) * 100);
-        const passed = percentage >= quizData.passingScore;
+        // Review decks and practice only reschedule cards; they have no score to keep
+        if (reviewMode) {
+            renderReviewResults(correct, total, questionResponses);
+            return;
+        }
+        if (practiceMode) {
+            renderPracticeResults(correct, total, questionResponses);
+            return;
+        }
 
         // Count total hints used
         const totalHintsUsed = Object.values(hintsUsed).reduce((sum, count) => sum + count, 0);
 
+        const result = scoring.scoreAttempt(quizData, credits, correct, totalHintsUsed);
+        const { percentage, passed } = result;
+
+        const timing = { seconds: Math.round(getElapsedSeconds()), mode: timerMode, passed: passed };
+
         // Save progress (with question responses for server analytics)
         const chapterId = elements.section.dataset.chapter;
-        saveProgress(chapterId, correct, total, totalHintsUsed, questionResponses);
+        const previousResult = examConfig ? getExamResult(examConfig.id) : getChapterProgress(chapterId);
+        let progress;
+        if (examConfig) {
+            progress = saveExamProgress(examConfig.id, result, chapterScores, examSeed, questionResponses, timing);
+        } else if (!customMode) {
+            saveProgress(chapterId, result, questionResponses, timing, passed ? generateCertificateCode() : null);
+            progress = getChapterProgress(chapterId);
+        }
+
+        // Speed Round: pass in timed mode without the clock running out
+        if (timerMode && passed && !customMode && !quizTimedOut && timedOutQuestions.length === 0) {
+            saveAchievement('speed-round');
+        }
 
-        // Get updated progress to show attempt count
-        const progress = getChapterProgress(chapterId);
+        // Get updated progress to show attempt count; custom quizzes keep none
         const attemptCount = progress ? (progress.attempts || 1) : 1;
+        const attemptBadge = customMode ? '' : `<span class="attempt-badge">Attempt ${attemptCount}</span> `;
 
         // Update UI
         elements.scoreValue.textContent = percentage + '%';
@@ -1311,7 +3236,7 @@
         if (elements.retryBtn) {
             const retryText = elements.retryBtn.querySelector('span');
             if (retryText) {
-                retryText.textContent = `Try Again (Attempt ${attemptCount + 1})`;
+                retryText.textContent = customMode ? 'Try Again' : `Try Again (Attempt ${attemptCount + 1})`;
             }
         }
 
@@ -1322,7 +3247,7 @@
                     <polyline points="22 4 12 14.01 9 11.01"></polyline>
                 </svg>
             `;
-            elements.resultMessage.innerHTML = `<span class="attempt-badge">Attempt ${attemptCount}</span> Excellent work! You've passed with ${correct} out of ${total} correct.`;
+            elements.resultMessage.innerHTML = `${attemptBadge}Excellent work! You've passed with ${describeScore(result)}.`;
             elements.section.classList.add('quiz-passed');
         } else {
             elements.resultIcon.innerHTML = `
@@ -1332,29 +3257,287 @@
                     <line x1="9" y1="9" x2="15" y2="15"></line>
                 </svg>
             `;
-            elements.resultMessage.innerHTML = `<span class="attempt-badge">Attempt ${attemptCount}</span> You scored ${correct} out of ${total}. Need ${quizData.passingScore}% to pass.`;
+            elements.resultMessage.innerHTML = `${attemptBadge}You scored ${describeScore(result)}. Need ${quizData.passingScore}% to pass.`;
             elements.section.classList.remove('quiz-passed');
         }
 
-        // Show hints used info if applicable
-        if (totalHintsUsed > 0) {
-            const hintPenalty = Math.min(totalHintsUsed * 5, 25);
-            const hintsNote = document.createElement('p');
-            hintsNote.className = 'quiz-hints-note';
-            hintsNote.innerHTML = `<span class="hints-count">${totalHintsUsed} hint${totalHintsUsed > 1 ? 's' : ''} used</span> <span class="hints-penalty" title="Each hint reduces your score by 5%, up to 25% maximum">(-${hintPenalty}% penalty)</span>`;
-            elements.resultMessage.insertAdjacentElement('afterend', hintsNote);
+        renderCalibrationSummary(questionResponses);
+        if (!examConfig && !customMode && passed && progress && progress.certificate) {
+            renderCertificateLink(chapterId);
         }
 
+        const previousFastest = previousResult ? previousResult.fastestPassSeconds : null;
+        renderTimeSummary(timing.seconds, passed && Number.isFinite(previousFastest) && timing.seconds < previousFastest);
+
+        renderScoringNote(result);
+
         // Render review (hidden by default)
         renderReview();
         elements.reviewContainer.hidden = true;
 
-        // Render navigation CTAs
-        renderNavigationCtas(passed, chapterId);
+        // Exams point at weak chapters instead of the next chapter
+        if (examConfig) {
+            renderExamBreakdown(chapterScores);
+        } else if (!customMode) {
+            renderNavigationCtas(passed, chapterId);
+        }
+
+        showState('complete');
+    }
+
+    /**
+     * "7 out of 10 correct", or points when the policy can award part marks or take marks away
+     */
+    function describeScore(result) {
+        if (result.points !== result.correct) {
+            return `${result.points} of ${result.total} points (${result.correct} fully correct)`;
+        }
+        return `${result.correct} out of ${result.total} correct`;
+    }
+
+    /**
+     * Explain any hint penalty and the quiz's scoring rules under the result message
+     */
+    function renderScoringNote(result) {
+        const { hintPenalty: penalty, partialCredit, negativeMarking } = result.scoring;
+        const parts = [];
+
+        if (result.hintsUsed > 0) {
+            const free = penalty.freeHints > 0 ? `after the first ${penalty.freeHints}, ` : '';
+            const title = `Each hint ${free}reduces your score by ${penalty.perHint}%, up to ${penalty.max}% maximum`;
+            parts.push(`<span class="hints-count">${result.hintsUsed} hint${result.hintsUsed > 1 ? 's' : ''} used</span>` +
+                (result.hintPenalty > 0 ? ` <span class="hints-penalty" title="${title}">(-${result.hintPenalty}% penalty)</span>` : ''));
+        }
+        if (partialCredit && result.partialAnswers > 0) {
+            parts.push(`${result.partialAnswers} answer${result.partialAnswers > 1 ? 's' : ''} earned part marks`);
+        }
+        if (negativeMarking > 0 && result.markedDown > 0) {
+            parts.push(`Wrong answers cost ${negativeMarking} of a point`);
+        }
+        if (parts.length === 0) return;
+
+        const note = document.createElement('p');
+        note.className = 'quiz-hints-note';
+        note.innerHTML = parts.join(' · ');
+        elements.resultMessage.insertAdjacentElement('afterend', note);
+    }
+
+    /**
+     * Each matching pair or ordering position marked right or wrong, in the review
+     */
+    function renderItemBreakdown(question, userAnswer) {
+        const results = getItemResults(question, userAnswer);
+        if (!results) return '';
+
+        const items = results.map(result => {
+            const text = question.type === 'matching'
+                ? `${escapeHtml(result.left)} → ${result.chosen ? escapeHtml(result.chosen) : 'no match'}${result.isCorrect ? '' : ` (should be ${escapeHtml(result.expected)})`}`
+                : `${result.position + 1}. ${escapeHtml(result.item)}${result.isCorrect ? '' : ` (belongs at ${result.expectedPosition + 1})`}`;
+            return `<li class="${result.isCorrect ? 'correct' : 'incorrect'}">${text}</li>`;
+        });
+        return `<ul class="review-breakdown">${items.join('')}</ul>`;
+    }
+
+    function renderReviewResults(correct, total, questionResponses) {
+        updateSpacedRepetition(null, questionResponses);
+        recordCalibration(null, questionResponses);
+        recordArguments(null, questionResponses);
+        checkStreakAchievement();
+
+        const missed = total - correct;
+        const stillDue = getDueReviews().length;
+
+        elements.scoreValue.textContent = `${correct}/${total}`;
+        elements.resultIcon.innerHTML = `
+            <svg class="result-icon result-icon-pass" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="23 4 23 10 17 10"></polyline>
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+            </svg>
+        `;
+
+        let message = missed === 0
+            ? `You recalled all ${total} card${total === 1 ? '' : 's'}.`
+            : `You recalled ${correct} of ${total} cards. The ${missed} you missed will come back tomorrow.`;
+        if (stillDue > 0) {
+            message += ` ${stillDue} more card${stillDue === 1 ? ' is' : 's are'} due today.`;
+        }
+        elements.resultMessage.textContent = message;
+
+        if (elements.retryBtn) {
+            elements.retryBtn.hidden = stillDue === 0;
+            const retryText = elements.retryBtn.querySelector('span');
+            if (retryText) retryText.textContent = 'Next Round';
+        }
+
+        renderReview();
+        elements.reviewContainer.hidden = true;
+
+        showState('complete');
+    }
+
+    function renderPracticeResults(correct, total, questionResponses) {
+        const chapterId = elements.section.dataset.chapter;
+        updateSpacedRepetition(chapterId, questionResponses);
+        recordCalibration(chapterId, questionResponses);
+        recordArguments(chapterId, questionResponses);
+        checkStreakAchievement();
+
+        const mastered = isPracticeMastered();
+        elements.scoreValue.textContent = `${correct}/${total}`;
+        elements.resultIcon.innerHTML = mastered ? `
+            <svg class="result-icon result-icon-pass" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path>
+                <polyline points="22 4 12 14.01 9 11.01"></polyline>
+            </svg>
+        ` : `
+            <svg class="result-icon result-icon-pass" width="64" height="64" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="23 4 23 10 17 10"></polyline>
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+            </svg>
+        `;
+        if (mastered) {
+            elements.resultMessage.textContent = `Mastery shown: ${PRACTICE_MASTERY_STREAK} right in a row after ${total} questions.`;
+        } else if (quizTimedOut) {
+            elements.resultMessage.textContent = `Time ran out after ${total} questions, with ${correct} right.`;
+        } else {
+            elements.resultMessage.textContent = `You've worked through every question in this chapter and got ${correct} of ${total} right.`;
+        }
+        elements.section.classList.toggle('quiz-passed', mastered);
+
+        renderCalibrationSummary(questionResponses);
+        renderPracticeReport();
+
+        if (elements.retryBtn) {
+            const retryText = elements.retryBtn.querySelector('span');
+            if (retryText) retryText.textContent = 'Practice Again';
+        }
+
+        renderReview();
+        elements.reviewContainer.hidden = true;
+        renderNavigationCtas(mastered, chapterId);
 
         showState('complete');
     }
 
+    /**
+     * List the questions still missed at least half the time, and the weakest
+     * question type when there's enough history to say
+     */
+    function renderPracticeReport() {
+        const weakSpots = getPracticeWeakSpots();
+        const typeMissRates = getTypeMissRates();
+        const weakestType = Object.entries(typeMissRates).sort((a, b) => b[1] - a[1])[0];
+
+        const report = document.createElement('div');
+        report.className = 'quiz-practice-report';
+
+        if (weakSpots.length === 0) {
+            report.innerHTML = '<p class="quiz-practice-report-title">Nothing flagged</p><p>Every question you\'ve answered here is right more often than not.</p>';
+        } else {
+            report.innerHTML = `
+                <p class="quiz-practice-report-title">Still needs work</p>
+                <ul>
+                    ${weakSpots.slice(0, 5).map(({ question, record }) => `
+                        <li>
+                            <span class="practice-concept">${escapeHtml(question.question)}</span>
+                            <span class="practice-record">${QUESTION_TYPE_LABELS[question.type] || question.type} • missed ${record.misses} of ${record.attempts}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
+        }
+
+        if (weakestType && weakestType[1] >= 0.4) {
+            const typeNote = document.createElement('p');
+            typeNote.className = 'practice-weak-type';
+            typeNote.textContent = `Weakest question type: ${QUESTION_TYPE_LABELS[weakestType[0]] || weakestType[0]} (about ${Math.round(weakestType[1] * 100)}% missed)`;
+            report.appendChild(typeNote);
+        }
+
+        elements.resultMessage.insertAdjacentElement('afterend', report);
+    }
+
+    /**
+     * Calibration line under the result message when confidence was rated
+     */
+    function renderCalibrationSummary(questionResponses) {
+        const summary = summarizeCalibration(questionResponses.filter(r => typeof r.confidence === 'number'));
+        if (!summary) return;
+
+        let verdict = 'well calibrated';
+        if (summary.bias > CALIBRATION_MARGIN) {
+            verdict = `overconfident by ${summary.bias} points`;
+        } else if (summary.bias < -CALIBRATION_MARGIN) {
+            verdict = `underconfident by ${-summary.bias} points`;
+        }
+
+        // Certain-but-wrong answers are the ones worth another look
+        const certain = CONFIDENCE_LEVELS[CONFIDENCE_LEVELS.length - 1];
+        const confidentMisses = questionResponses.filter(r => r.confidence === certain.value && !r.isCorrect).length;
+
+        const note = document.createElement('p');
+        note.className = 'quiz-result-calibration';
+        note.innerHTML = `<span class="calibration-score" title="Brier score: 0 is perfect; always answering 'Guessing' scores 0.25">Calibration ${summary.brier.toFixed(2)}</span> • ${verdict}` +
+            (confidentMisses > 0 ? ` • ${confidentMisses} ${certain.label.toLowerCase()} but wrong` : '');
+        elements.resultMessage.insertAdjacentElement('afterend', note);
+    }
+
+    /**
+     * Per-chapter scores for an exam, weakest chapter first
+     */
+    function renderCertificateLink(chapterId) {
+        const note = document.createElement('p');
+        note.className = 'quiz-result-certificate';
+        note.innerHTML = `
+            <a href="/certificate/?chapter=${encodeURIComponent(chapterId)}">
+                <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><circle cx="12" cy="8" r="6"></circle><polyline points="8.21 13.89 7 23 12 20 17 23 15.79 13.88"></polyline></svg>
+                Get your certificate
+            </a>
+        `;
+        elements.resultMessage.insertAdjacentElement('afterend', note);
+    }
+
+    function renderExamBreakdown(chapterScores) {
+        const container = document.getElementById('quiz-exam-breakdown');
+        if (!container) return;
+
+        const rows = examConfig.chapters
+            .filter(chapter => chapterScores[chapter.number])
+            .map(chapter => {
+                const score = chapterScores[chapter.number];
+                return { ...chapter, ...score, percentage: Math.round((score.correct / score.total) * 100) };
+            })
+            .sort((a, b) => a.percentage - b.percentage || a.number - b.number);
+
+        const weak = rows.filter(row => row.percentage < examConfig.passingScore);
+        const summary = weak.length === 0
+            ? 'No weak spots — you cleared the pass mark in every chapter.'
+            : `Review ${weak.length === 1 ? 'this chapter' : `these ${weak.length} chapters`} before your next attempt.`;
+
+        container.innerHTML = `
+            <h3 class="exam-breakdown-title">By Chapter</h3>
+            <p class="exam-breakdown-summary">${summary}</p>
+            <ul class="exam-breakdown-list">
+                ${rows.map(row => {
+                    const isWeak = row.percentage < examConfig.passingScore;
+                    return `
+                        <li class="exam-breakdown-row${isWeak ? ' is-weak' : ''}">
+                            <a class="exam-breakdown-chapter" href="${row.url}">
+                                <span class="exam-breakdown-number">Ch. ${row.number}</span>
+                                <span class="exam-breakdown-name">${escapeHtml(row.title)}</span>
+                            </a>
+                            <div class="exam-breakdown-bar" aria-hidden="true">
+                                <div class="exam-breakdown-fill" style="width: ${row.percentage}%"></div>
+                            </div>
+                            <span class="exam-breakdown-score">${row.correct}/${row.total}</span>
+                            ${isWeak ? `<a class="exam-breakdown-action" href="${row.url}#chapter-quiz">Practice</a>` : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
     function renderNavigationCtas(passed, chapterId) {
         if (!elements.navigationCtas) return;
 
@@ -1429,6 +3612,8 @@
             const userAnswer = userAnswers[displayIndex];
 
             const isCorrect = checkAnswer(question, originalIndex, userAnswer);
+            const credit = getAnswerCredit(question, originalIndex, userAnswer);
+            const isPartial = !isCorrect && credit > 0 && getScoringPolicy().partialCredit;
 
             let correctText = '';
             let userText = '';
@@ -1436,14 +3621,15 @@
             switch (question.type) {
                 case 'true-false':
                     correctText = question.correct ? 'True' : 'False';
-                    userText = userAnswer === 0 ? 'True' : 'False';
+                    userText = userAnswer === undefined ? 'No answer' : (userAnswer === 0 ? 'True' : 'False');
                     break;
 
                 case 'multiple-choice':
                 case 'scenario':
-                    correctText = question.options[question.correct];
+                    correctText = escapeHtml(question.options[question.correct]);
                     const originalUserAnswer = getOriginalAnswerIndex(originalIndex, userAnswer);
-                    userText = question.options[originalUserAnswer] || 'No answer';
+                    const chosenOption = question.options[originalUserAnswer];
+                    userText = chosenOption ? escapeHtml(chosenOption) : 'No answer';
                     break;
 
                 case 'matching':
@@ -1455,20 +3641,30 @@
                     break;
 
                 case 'ordering':
-                    correctText = question.items.map((_, i) => question.items[question.correctOrder[i]]).join(' → ');
+                    correctText = getCorrectOrder(question).map(i => escapeHtml(question.items[i])).join(' → ');
                     userText = userAnswer
-                        ? userAnswer.map(i => question.items[i]).join(' → ')
+                        ? userAnswer.map(i => escapeHtml(question.items[i])).join(' → ')
                         : 'No answer';
                     break;
 
                 case 'fill-blank':
-                    correctText = question.answer;
-                    userText = userAnswer || 'No answer';
+                    correctText = getAcceptedAnswers(question).map(escapeHtml).join(' / ');
+                    userText = userAnswer ? escapeHtml(userAnswer) : 'No answer';
+                    break;
+
+                case 'argument':
+                    correctText = escapeHtml(question.modelAnswer);
+                    userText = userAnswer
+                        ? Object.entries(formatArgumentAnswer(question, userAnswer))
+                            .map(([label, text]) => question.parts ? `<strong>${escapeHtml(label)}:</strong> ${escapeHtml(text)}` : escapeHtml(text))
+                            .join('<br>') +
+                            ` (${getRubricPoints(question, originalIndex)} of ${getRubricTotal(question)} points)`
+                        : 'No answer';
                     break;
             }
 
             reviewHtml += `
-                <div class="quiz-review-item ${isCorrect ? 'correct' : 'incorrect'}">
+                <div class="quiz-review-item ${isCorrect ? 'correct' : (isPartial ? 'partial' : 'incorrect')}">
                     <div class="review-status">
                         ${isCorrect
                             ? '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="20 6 9 17 4 12"></polyline></svg>'
@@ -1476,12 +3672,16 @@
                         }
                     </div>
                     <div class="review-content">
-                        <p class="review-question">${question.question}</p>
+                        ${question.chapterNumber ? `<span class="review-chapter">Chapter ${question.chapterNumber}</span>` : ''}
+                        <p class="review-question">${escapeHtml(question.question)}</p>
                         <p class="review-answer">
-                            Your answer: <span class="${isCorrect ? 'correct' : 'incorrect'}">${userText}</span>
+                            Your answer: <span class="${isCorrect ? 'correct' : 'incorrect'}">${userText}</span>${isPartial ? ` (${Math.round(credit * 100)}% credit)` : ''}
                             ${!isCorrect ? `<br>Correct answer: <span class="correct">${correctText}</span>` : ''}
                         </p>
-                        <p class="review-explanation">${question.explanation}</p>
+                        ${!isCorrect ? renderItemBreakdown(question, userAnswer) : ''}
+                        ${renderAnswerNotes(question, originalIndex, userAnswer)}
+                        <p class="review-explanation">${escapeHtml(question.explanation)}</p>
+                        ${renderSectionLink(question)}
                     </div>
                 </div>
             `;
@@ -1504,17 +3704,14 @@
         // Update selected state visually
         elements.questionContainer.querySelectorAll('.quiz-option').forEach(opt => {
             opt.classList.remove('selected');
-            opt.setAttribute('aria-checked', 'false');
         });
-        const selectedOption = e.target.closest('.quiz-option');
-        selectedOption.classList.add('selected');
-        selectedOption.setAttribute('aria-checked', 'true');
+        e.target.closest('.quiz-option').classList.add('selected');
 
         // Update buttons
         updateButtonStates();
 
-        // Show immediate feedback if enabled
-        if (immediateFeedbackMode) {
+        // Show immediate feedback if enabled (once confidence is rated)
+        if (immediateFeedbackMode && hasConfidence()) {
             showImmediateFeedback();
         }
     }
@@ -1538,23 +3735,92 @@
         // Check if all matched
         const originalIndex = getOriginalQuestionIndex(currentQuestion);
         const question = quizData.questions[originalIndex];
-        const allMatched = Object.keys(userAnswers[currentQuestion]).length === question.pairs.length;
+        const matchedCount = Object.keys(userAnswers[currentQuestion]).length;
+        const allMatched = matchedCount === question.pairs.length;
+
+        // Say what changed, flagging an answer already given to another item
+        const labelFor = select => select.closest('.matching-item').querySelector('.matching-text').textContent.trim();
+        const reused = Array.from(elements.questionContainer.querySelectorAll('.matching-select'))
+            .filter(select => select !== e.target && select.value !== '' && select.value === e.target.value);
+        let message = rightIndex === null
+            ? `${labelFor(e.target)} cleared.`
+            : `${labelFor(e.target)} matched with ${e.target.selectedOptions[0].textContent.trim()}.`;
+        if (reused.length > 0) {
+            message += ` That answer is also matched with ${reused.map(labelFor).join(' and ')}.`;
+        }
+        announce(`${message} ${matchedCount} of ${question.pairs.length} matched.`);
 
         if (allMatched) {
             updateButtonStates();
-            if (immediateFeedbackMode) {
+            if (immediateFeedbackMode && hasConfidence()) {
                 showImmediateFeedback();
             }
         }
     }
 
+    function hasConfidence() {
+        return !confidenceMode || confidences[getOriginalQuestionIndex(currentQuestion)] !== undefined;
+    }
+
+    /**
+     * Whether the answer is complete enough to grade straight away; ordering,
+     * fill-blank and argument wait for Next/Submit
+     */
+    function isAnswerComplete(question, userAnswer) {
+        if (userAnswer === undefined) return false;
+        if (question.type === 'matching') return Object.keys(userAnswer).length === question.pairs.length;
+        return question.type !== 'ordering' && question.type !== 'fill-blank' && question.type !== 'argument';
+    }
+
+    function handleConfidenceSelect(e) {
+        if (feedbackShown) return;
+
+        const btn = e.currentTarget;
+        const originalIndex = getOriginalQuestionIndex(currentQuestion);
+        confidences[originalIndex] = parseFloat(btn.dataset.confidence);
+
+        elements.questionContainer.querySelectorAll('.quiz-confidence-btn').forEach(other => {
+            other.classList.toggle('selected', other === btn);
+            other.setAttribute('aria-checked', String(other === btn));
+        });
+
+        updateButtonStates();
+
+        // Answered first, rated second: grade now
+        const question = quizData.questions[originalIndex];
+        if (immediateFeedbackMode && isAnswerComplete(question, userAnswers[currentQuestion])) {
+            showImmediateFeedback();
+        }
+    }
+
     function handleFillBlankInput(e) {
         if (feedbackShown) return;
 
-        userAnswers[currentQuestion] = e.target.value.trim();
+        const value = e.target.value.trim();
+        userAnswers[currentQuestion] = value || undefined;
+        updateButtonStates();
+    }
+
+    function handleArgumentInput() {
+        if (feedbackShown) return;
+
+        // Answered only once every part has something in it
+        const texts = [...elements.questionContainer.querySelectorAll('.argument-input')].map(input => input.value.trim());
+        userAnswers[currentQuestion] = texts.every(Boolean) ? texts : undefined;
         updateButtonStates();
     }
 
+    function handleRubricToggle() {
+        const originalIndex = getOriginalQuestionIndex(currentQuestion);
+        const question = quizData.questions[originalIndex];
+
+        rubricScores[originalIndex] = [...elements.questionContainer.querySelectorAll('.rubric-criterion input:checked')]
+            .map(input => parseInt(input.value, 10));
+
+        updateRubricScore(question, originalIndex);
+        saveSession();
+    }
+
     function handleHintRequest() {
         const originalIndex = getOriginalQuestionIndex(currentQuestion);
         const question = quizData.questions[originalIndex];
@@ -1582,11 +3848,15 @@
                 remaining > 0 ? `Hint (${remaining} left)` : 'Hint (none left)';
             hintBtn.disabled = remaining === 0;
         }
+
+        saveSession();
     }
 
-    function handleStart() {
-        // First, collect email if we don't have it
-        if (shouldCollectEmail()) {
+    function handleStart(practice = false) {
+        practiceMode = practice;
+
+        // First, collect email if we don't have it (custom quiz results aren't synced)
+        if (!customMode && shouldCollectEmail()) {
             showEmailModal(function() {
                 // After email, show onboarding if needed
                 if (shouldShowOnboarding()) {
@@ -1607,13 +3877,72 @@
         }
     }
 
-    function beginQuiz() {
+    async function handleResume() {
+        const session = pendingSession;
+        const quiz = session ? await rebuildSessionQuiz(session) : null;
+
+        if (!quiz) {
+            // The quiz has changed since; the old answers no longer line up
+            clearSession();
+            pendingSession = null;
+            elements.resumeText.textContent = 'This quiz has been updated since you left it, so your answers can\'t be restored.';
+            elements.resumeBtn.hidden = true;
+            return;
+        }
+
+        if (session.practice) {
+            // Practice draws from the chapter quiz loaded at startup
+            practicePool = practicePool || quizData;
+        }
+        quizData = quiz;
+        practiceMode = session.practice;
+        examSeed = session.examSeed;
+        shuffleSeed = session.shuffleSeed ?? null;
+        timerMode = session.timerMode;
+        confidenceMode = session.confidenceMode;
+
+        questionOrder = session.questionOrder;
+        answerOrders = session.answerOrders;
+        currentQuestion = session.currentQuestion;
+        // JSON turns unanswered gaps into null
+        userAnswers = session.userAnswers.map(answer => answer === null ? undefined : answer);
+        hintsUsed = session.hintsUsed;
+        currentHintLevel = session.currentHintLevel;
+        confidences = session.confidences;
+        rubricScores = session.rubricScores || {};
+        resetTiming();
+        questionTimes = session.questionTimes;
+        timedOutQuestions = session.timedOutQuestions;
+        practiceStreak = session.practiceStreak;
+        practiceHistory = session.practiceHistory || {};
+
+        quizStarted = true;
+        showState('active');
+        renderQuestion();
+        if (session.feedbackShown) {
+            showImmediateFeedback();
+        }
+    }
+
+    function handleRestart() {
+        clearSession();
+        renderResumeChoice();
+    }
+
+    async function beginQuiz() {
         currentQuestion = 0;
         userAnswers = [];
         quizStarted = true;
         hintsUsed = {};
         currentHintLevel = {};
         feedbackShown = false;
+        confidences = {};
+        rubricScores = {};
+        resetTiming();
+
+        if (practiceMode) {
+            await preparePractice();
+        }
 
         // Randomize quiz
         randomizeQuiz();
@@ -1630,11 +3959,11 @@
     }
 
     function handleNext() {
-        if (currentQuestion < quizData.questions.length - 1 && !feedbackShown) {
+        if ((practiceMode || currentQuestion < quizData.questions.length - 1) && !feedbackShown) {
             if (!immediateFeedbackMode) {
                 currentQuestion++;
                 renderQuestion();
-            } else if (userAnswers[currentQuestion] !== undefined && !feedbackShown) {
+            } else if (userAnswers[currentQuestion] !== undefined && hasConfidence()) {
                 showImmediateFeedback();
             }
         }
@@ -1643,24 +3972,38 @@
     function handleSubmit() {
         if (!feedbackShown) {
             if (immediateFeedbackMode && userAnswers[currentQuestion] !== undefined) {
-                showImmediateFeedback();
+                // Keyboard submits skip the disabled button, so check the rating here too
+                if (hasConfidence()) showImmediateFeedback();
             } else {
                 renderResults();
             }
         }
     }
 
-    function handleRetry() {
+    async function handleRetry() {
         currentQuestion = 0;
         userAnswers = [];
         hintsUsed = {};
         currentHintLevel = {};
         feedbackShown = false;
-        elements.section.classList.remove('quiz-passed');
-
-        // Remove hints note if present
-        const hintsNote = elements.completeState.querySelector('.quiz-hints-note');
-        if (hintsNote) hintsNote.remove();
+        clearResults();
+        confidences = {};
+        rubricScores = {};
+        resetTiming();
+
+        // Exams draw a fresh set of questions for every attempt; review decks
+        // pick up whatever is still due
+        if (examConfig) {
+            prepareExam(false);
+        } else if (practiceMode) {
+            await preparePractice();
+        } else if (reviewMode) {
+            await prepareReviewDeck();
+            if (quizData.questions.length === 0) {
+                renderStartState();
+                return;
+            }
+        }
 
         // Re-randomize quiz
         randomizeQuiz();
@@ -1669,6 +4012,14 @@
         renderQuestion();
     }
 
+    /**
+     * Remove the last attempt's pass styling and the notes added under its score
+     */
+    function clearResults() {
+        elements.section.classList.remove('quiz-passed');
+        elements.completeState.querySelectorAll('.quiz-hints-note, .quiz-result-time, .quiz-result-calibration, .quiz-practice-report, .quiz-result-certificate').forEach(note => note.remove());
+    }
+
     function handleReviewToggle() {
         const isHidden = elements.reviewContainer.hidden;
         elements.reviewContainer.hidden = !isHidden;
@@ -1684,6 +4035,9 @@
         if (!quizStarted) return;
         if (elements.activeState.hidden) return;
 
+        // Let text fields handle their own keys (fill-blank submits on Enter itself)
+        if (e.target.matches && e.target.matches('input[type="text"], textarea')) return;
+
         const originalIndex = getOriginalQuestionIndex(currentQuestion);
         const question = quizData.questions[originalIndex];
 
@@ -1728,6 +4082,8 @@
                 if (!feedbackShown && userAnswers[currentQuestion] !== undefined) {
                     e.preventDefault();
                     handleNext();
+                } else if (isOptionInput(e.target)) {
+                    e.preventDefault();
                 }
                 break;
 
@@ -1752,10 +4108,10 @@
 
             case 'ArrowUp':
             case 'ArrowDown':
-                // Navigate ordering items
-                if (question.type === 'ordering') {
+                // Ordering items handle their own arrows; radios would otherwise pick the next option
+                if (isOptionInput(e.target)) {
                     e.preventDefault();
-                    handleOrderingKeyboard(e.key === 'ArrowUp' ? 'up' : 'down');
+                    focusAdjacentOption(e.target, e.key === 'ArrowUp' ? -1 : 1);
                 }
                 break;
         }
@@ -1774,30 +4130,18 @@
         }
     }
 
-    function handleOrderingKeyboard(direction) {
-        const container = elements.questionContainer.querySelector('.quiz-ordering');
-        if (!container) return;
-
-        const focused = document.activeElement;
-        if (!focused || !focused.classList.contains('ordering-item')) return;
+    function isOptionInput(target) {
+        return Boolean(target.matches && target.matches('.quiz-option input'));
+    }
 
-        if (direction === 'up') {
-            const prev = focused.previousElementSibling;
-            if (prev) {
-                container.insertBefore(focused, prev);
-                focused.focus();
-                updateOrderingAnswer();
-                renderOrderingNumbers();
-            }
-        } else {
-            const next = focused.nextElementSibling;
-            if (next) {
-                container.insertBefore(next, focused);
-                focused.focus();
-                updateOrderingAnswer();
-                renderOrderingNumbers();
-            }
-        }
+    /**
+     * Move focus to the next or previous answer option without choosing it,
+     * so reading through the options never answers the question
+     */
+    function focusAdjacentOption(input, step) {
+        const inputs = Array.from(elements.questionContainer.querySelectorAll('.quiz-option input'));
+        const next = inputs[inputs.indexOf(input) + step];
+        if (next) next.focus();
     }
 
     // ==========================================
@@ -1810,28 +4154,72 @@
             return;
         }
 
-        const chapterId = elements.section.dataset.chapter;
-        quizData = await loadQuizData(chapterId);
+        examConfig = elements.section.dataset.exam ? readExamConfig() : null;
+        reviewMode = Boolean(elements.section.dataset.review);
+        customMode = Boolean(elements.section.dataset.custom);
+
+        // Arriving from an exam or review "Re-read this section" link
+        if (elements.section.dataset.chapter && window.location.hash) {
+            highlightSection(decodeURIComponent(window.location.hash.slice(1)));
+        }
+
+        if (examConfig) {
+            chapterSources = await loadChapterQuizzes(examConfig.chapters.map(chapter => chapter.number));
+            if (chapterSources) {
+                prepareExam(true);
+            }
+        } else if (reviewMode) {
+            await prepareReviewDeck();
+        } else if (!customMode) {
+            quizData = await loadQuizData(elements.section.dataset.chapter);
+        }
 
-        if (!quizData) {
+        // Custom quizzes arrive through loadCustomQuiz, which may run before or after this
+        if (!quizData && !customMode) {
             // No quiz available for this chapter
             elements.section.hidden = true;
             return;
         }
 
         // Bind event listeners
-        elements.startBtn.addEventListener('click', handleStart);
+        elements.startBtn.addEventListener('click', () => handleStart(false));
+        if (elements.practiceBtn) {
+            elements.practiceBtn.addEventListener('click', () => handleStart(true));
+        }
+        if (elements.resumeBtn) {
+            elements.resumeBtn.addEventListener('click', handleResume);
+            elements.restartBtn.addEventListener('click', handleRestart);
+        }
         elements.prevBtn.addEventListener('click', handlePrev);
         elements.nextBtn.addEventListener('click', handleNext);
         elements.submitBtn.addEventListener('click', handleSubmit);
         elements.retryBtn.addEventListener('click', handleRetry);
         elements.reviewToggle.addEventListener('click', handleReviewToggle);
+        elements.section.addEventListener('click', handleSectionLinkClick);
+        if (elements.timerModes) {
+            elements.timerModes.addEventListener('change', e => {
+                timerMode = e.target.value || null;
+            });
+        }
+        if (elements.confidenceToggle) {
+            elements.confidenceToggle.addEventListener('change', e => {
+                confidenceMode = e.target.checked;
+            });
+        }
 
         // Keyboard navigation
         document.addEventListener('keydown', handleKeyboardNavigation);
 
+        // Catch answers chosen since the last save before a reload or swipe away
+        window.addEventListener('pagehide', saveSession);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveSession();
+        });
+
         // Render initial state
-        renderStartState();
+        if (quizData) {
+            renderStartState();
+        }
     }
 
     // Run when DOM is ready
@@ -1841,15 +4229,28 @@
         init();
     }
 
-    // Cross-device sync: fetch server progress first, then push local progress
-    // This ensures progress syncs both ways across browsers/devices
+    // Cross-device sync: fetch server progress first, then send local attempts
+    // Scores only reach the server through /api/quiz/submit, which re-grades them
     if (typeof window !== 'undefined') {
         // First, pull any server progress (cross-device sync)
         setTimeout(async () => {
             await syncFromServer();
-            // Then push local progress to server
-            syncAllProgressToServer();
+            // Then any attempts that didn't get through last time
+            flushOutbox();
         }, 1500); // Delay to not block page load
+
+        // Queued attempts go out as soon as the connection is back
+        window.addEventListener('online', flushOutbox);
+        window.addEventListener('offline', renderSyncStatus);
+        if (window.DebateGuideOutbox) {
+            window.DebateGuideOutbox.onChange(renderSyncStatus);
+            document.addEventListener('click', handleDismissRejected);
+        }
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', renderSyncStatus);
+        } else {
+            renderSyncStatus();
+        }
     }
 
     // ==========================================
@@ -1881,6 +4282,11 @@
             title: 'Streak Master',
             description: '7-day study streak!',
             icon: '🔥'
+        },
+        'speed-round': {
+            title: 'Speed Round',
+            description: 'You passed a timed quiz before the clock ran out.',
+            icon: '⏱️'
         }
     };
 
@@ -1965,7 +4371,8 @@
                     <em>"The unexamined life is not worth living."</em> — Socrates
                 </p>
                 <div class="completion-actions">
-                    <a href="/progress/" class="quiz-btn quiz-btn-primary">View Your Record</a>
+                    <a href="/certificate/?journey" class="quiz-btn quiz-btn-primary">Get Your Certificate</a>
+                    <a href="/progress/" class="quiz-btn quiz-btn-secondary">View Your Record</a>
                     <button class="quiz-btn quiz-btn-secondary completion-close">Continue</button>
                 </div>
             </div>
@@ -2149,11 +4556,16 @@
     window.DebateGuideQuiz = {
         getProgress: getProgress,
         getChapterProgress: getChapterProgress,
+        getExamProgress: getExamProgress,
         getAchievements: getAchievements,
         getDueReviews: getDueReviews,
+        getCalibrationData: getCalibrationData,
+        confidenceLevels: CONFIDENCE_LEVELS,
         getSpacedRepetitionData: getSpacedRepetitionData,
-        getAnonymousUserId: getAnonymousUserId,
-        getUserEmail: getUserEmail
+        fetchQuizApi: fetchQuizApi,
+        adoptDeviceToken: adoptDeviceToken,
+        getUserEmail: getUserEmail,
+        loadCustomQuiz: loadCustomQuiz
     };
 
 })();
@@ -10,6 +10,9 @@ const BUILD_TIMESTAMP = '%%BUILD_TIMESTAMP%%';
 const CACHE_NAME = `debate-guide-v${BUILD_TIMESTAMP}`;
 const OFFLINE_URL = '/offline/';
 
+// Quiz results waiting to be sent (shared with the pages)
+importScripts(`/js/quiz-outbox.js?v=${BUILD_TIMESTAMP}`);
+
 // Assets to cache for offline use
 const PRECACHE_ASSETS = [
     '/offline/',
@@ -93,6 +96,20 @@ self.addEventListener('fetch', event => {
     );
 });
 
+// Background Sync - send quiz results queued while offline
+// Rejecting while some still wait asks the browser to try again later
+self.addEventListener('sync', event => {
+    if (event.tag !== self.DebateGuideOutbox.SYNC_TAG) return;
+
+    event.waitUntil(
+        self.DebateGuideOutbox.flush().then(remaining => {
+            if (remaining > 0) {
+                throw new Error(`${remaining} quiz results still waiting to sync`);
+            }
+        })
+    );
+});
+
 // Handle messages
 self.addEventListener('message', event => {
     if (event.data === 'skipWaiting') {
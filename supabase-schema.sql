@@ -18,47 +18,190 @@ CREATE TABLE IF NOT EXISTS dg_users (
     email TEXT UNIQUE,
     display_name TEXT,
     created_at TIMESTAMPTZ DEFAULT NOW(),
-    last_seen_at TIMESTAMPTZ DEFAULT NOW()
+    last_seen_at TIMESTAMPTZ DEFAULT NOW(),
+    device_token_issued_at TIMESTAMPTZ,  -- When a device token was first issued for anonymous_id (api/auth/device.js)
+    auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL  -- Signed-in account, set by api/auth/link-progress.js
 );
 
 -- Quiz attempts table
+-- An attempt is either a chapter quiz (chapter_number) or a cumulative exam (exam_id)
 CREATE TABLE IF NOT EXISTS dg_quiz_attempts (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     user_id UUID REFERENCES dg_users(id) ON DELETE CASCADE,
-    chapter_number INTEGER NOT NULL CHECK (chapter_number >= 1 AND chapter_number <= 20),
+    chapter_number INTEGER CHECK (chapter_number >= 1 AND chapter_number <= 20),
+    exam_id TEXT,                -- 'part-1'..'part-5' or 'final'
+    exam_seed BIGINT,            -- Seed that drew the exam's questions
+    chapter_scores JSONB,        -- Exams only: { "<chapter>": { "correct": n, "total": n } }
     score INTEGER NOT NULL CHECK (score >= 0),
     total_questions INTEGER NOT NULL CHECK (total_questions > 0),
-    percentage INTEGER NOT NULL CHECK (percentage >= 0 AND percentage <= 100),
+    percentage INTEGER NOT NULL CHECK (percentage >= 0 AND percentage <= 100),  -- After the quiz's scoring policy
+    raw_percentage INTEGER CHECK (raw_percentage >= 0 AND raw_percentage <= 100),  -- Share of questions answered right
+    passed BOOLEAN,              -- Judged against the quiz's own pass mark; NULL for older attempts (70% applies)
+    scoring_policy JSONB,        -- { hintPenalty: { perHint, max, freeHints }, partialCredit, negativeMarking }
     hints_used INTEGER DEFAULT 0 CHECK (hints_used >= 0),
-    time_taken_seconds INTEGER,
-    completed_at TIMESTAMPTZ DEFAULT NOW()
+    time_taken_seconds INTEGER,  -- Answering time; the quiz clock pauses while feedback is shown
+    timer_mode TEXT,             -- 'constructive', 'rebuttal' or 'cross-ex' in timed mode; NULL when untimed
+    verification_code TEXT UNIQUE,  -- Printed on the certificate for a passing chapter attempt
+    idempotency_key TEXT,           -- Sent with every retry of the attempt, so it's stored once per reader
+    completed_at TIMESTAMPTZ DEFAULT NOW(),
+    CONSTRAINT dg_attempts_chapter_or_exam CHECK ((chapter_number IS NULL) <> (exam_id IS NULL)),
+    CONSTRAINT dg_attempts_user_idempotency_key UNIQUE (user_id, idempotency_key)
 );
 
 -- Individual question responses (for analytics)
+-- chapter_number is set for exam responses, whose questions come from several chapters
 CREATE TABLE IF NOT EXISTS dg_question_responses (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     attempt_id UUID REFERENCES dg_quiz_attempts(id) ON DELETE CASCADE,
-    question_index INTEGER NOT NULL CHECK (question_index >= 0),
+    chapter_number INTEGER CHECK (chapter_number >= 1 AND chapter_number <= 20),
+    question_index INTEGER NOT NULL CHECK (question_index >= 0),  -- Position at the time; may change as quizzes are edited
+    question_id TEXT,            -- Stable id from the quiz file; analytics group by this
+    question_version TEXT,       -- Hash of the question's wording and answers; changes when it's revised
     question_type TEXT NOT NULL,
     question_text TEXT,
     user_answer JSONB,
     correct_answer JSONB,
     is_correct BOOLEAN NOT NULL,
-    hints_used_for_question INTEGER DEFAULT 0
+    hints_used_for_question INTEGER DEFAULT 0,
+    time_seconds INTEGER CHECK (time_seconds >= 0),
+    confidence REAL CHECK (confidence >= 0 AND confidence <= 1),  -- Stated chance of being right; NULL when not asked
+    rubric_points INTEGER CHECK (rubric_points >= 0),  -- Argument questions: points the reader gave themselves
+    rubric_total INTEGER CHECK (rubric_total >= 1),    -- Argument questions: points the rubric offers
+    credit REAL CHECK (credit >= 0 AND credit <= 1),  -- Share answered right: matching pairs, ordering agreement (Kendall tau), else 0 or 1
+    item_results JSONB           -- Matching: [{ left, chosen, expected, isCorrect }]; ordering: [{ item, position, expectedPosition, isCorrect }]
 );
 
+-- Learner state synced between devices by api/quiz/state.js
+-- (merge rules in lib/learner-state.js)
+CREATE TABLE IF NOT EXISTS dg_achievements (
+    user_id UUID REFERENCES dg_users(id) ON DELETE CASCADE,
+    achievement_id TEXT NOT NULL,  -- 'first-steps', 'perfect-score', ...
+    unlocked_at TIMESTAMPTZ,       -- Earliest unlock on any device
+    PRIMARY KEY (user_id, achievement_id)
+);
+
+-- Spaced-repetition schedule, one row per card
+CREATE TABLE IF NOT EXISTS dg_review_cards (
+    user_id UUID REFERENCES dg_users(id) ON DELETE CASCADE,
+    card_key TEXT NOT NULL,        -- '<chapter>:<questionId>'
+    card JSONB NOT NULL,           -- { easeFactor, interval, repetitions, lapses, reviews, nextReview, lastReviewedAt, ... }
+    last_reviewed_at TIMESTAMPTZ,  -- The card's lastReviewedAt; the latest review wins a merge
+    PRIMARY KEY (user_id, card_key)
+);
+
+-- Chapters the reader has opened
+CREATE TABLE IF NOT EXISTS dg_chapter_visits (
+    user_id UUID REFERENCES dg_users(id) ON DELETE CASCADE,
+    chapter_number INTEGER NOT NULL CHECK (chapter_number >= 1 AND chapter_number <= 20),
+    synced_at TIMESTAMPTZ DEFAULT NOW(),
+    PRIMARY KEY (user_id, chapter_number)
+);
+
+-- One row per user for state that isn't a list
+CREATE TABLE IF NOT EXISTS dg_learner_state (
+    user_id UUID PRIMARY KEY REFERENCES dg_users(id) ON DELETE CASCADE,
+    streak JSONB,                  -- { lastStudyDate, currentStreak }
+    last_read JSONB,               -- { number, title, url, timestamp }: the chapter to continue from
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Every link of anonymous progress to a signed-in account (api/auth/link-progress.js)
+-- No foreign keys: rows outlive the records a merge deletes
+CREATE TABLE IF NOT EXISTS dg_link_audit (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    action TEXT NOT NULL CHECK (action IN ('linked', 'merged')),
+    auth_user_id UUID NOT NULL,    -- Supabase Auth user the access token belonged to
+    email TEXT,                    -- Their account email at the time
+    anonymous_id TEXT NOT NULL,    -- The browser's, from its device token
+    from_user_id UUID,             -- dg_users record the progress was in (deleted by a merge)
+    to_user_id UUID,               -- dg_users record holding it now
+    attempts_moved INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ============================================
+-- MIGRATIONS (safe to re-run on existing databases)
+-- ============================================
+
+-- Cumulative exams: attempts may belong to an exam instead of a chapter
+ALTER TABLE dg_quiz_attempts ALTER COLUMN chapter_number DROP NOT NULL;
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS exam_id TEXT;
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS exam_seed BIGINT;
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS chapter_scores JSONB;
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS chapter_number INTEGER
+    CHECK (chapter_number >= 1 AND chapter_number <= 20);
+
+-- Stable question ids: responses recorded before this keep question_id NULL
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS question_id TEXT;
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS question_version TEXT;
+
+-- Timed mode and per-question timing
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS timer_mode TEXT;
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS time_seconds INTEGER CHECK (time_seconds >= 0);
+
+-- Confidence ratings for calibration
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS confidence REAL
+    CHECK (confidence >= 0 AND confidence <= 1);
+
+-- Certificates: passing chapter attempts carry the code printed on the certificate
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS verification_code TEXT UNIQUE;
+
+-- Self-scored argument questions
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS rubric_points INTEGER CHECK (rubric_points >= 0);
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS rubric_total INTEGER CHECK (rubric_total >= 1);
+
+-- Scoring policies: percentage is now the policy score, and the client records the pass
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS raw_percentage INTEGER
+    CHECK (raw_percentage >= 0 AND raw_percentage <= 100);
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS passed BOOLEAN;
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS scoring_policy JSONB;
+
+-- Partial credit for matching and ordering
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS credit REAL CHECK (credit >= 0 AND credit <= 1);
+ALTER TABLE dg_question_responses ADD COLUMN IF NOT EXISTS item_results JSONB;
+
+-- Offline outbox: retried submissions carry the attempt's idempotency key.
+-- Unique per reader, not across readers: a key one reader sent must not
+-- match, or block, another's attempt
+ALTER TABLE dg_quiz_attempts ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+ALTER TABLE dg_quiz_attempts DROP CONSTRAINT IF EXISTS dg_quiz_attempts_idempotency_key_key;
+
+-- Device tokens: users from before them keep a NULL device_token_issued_at
+-- until their browser exchanges its old anonymous ID, which works only once
+ALTER TABLE dg_users ADD COLUMN IF NOT EXISTS device_token_issued_at TIMESTAMPTZ;
+
+-- Accounts are matched on the Supabase Auth user, not the self-reported email.
+-- Not backfilled from email for that reason: a record gets its auth_user_id
+-- the next time its reader signs in on the browser that holds it
+ALTER TABLE dg_users ADD COLUMN IF NOT EXISTS auth_user_id UUID UNIQUE REFERENCES auth.users(id) ON DELETE SET NULL;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'dg_attempts_chapter_or_exam') THEN
+        ALTER TABLE dg_quiz_attempts
+            ADD CONSTRAINT dg_attempts_chapter_or_exam CHECK ((chapter_number IS NULL) <> (exam_id IS NULL));
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'dg_attempts_user_idempotency_key') THEN
+        ALTER TABLE dg_quiz_attempts
+            ADD CONSTRAINT dg_attempts_user_idempotency_key UNIQUE (user_id, idempotency_key);
+    END IF;
+END $$;
+
 -- ============================================
 -- INDEXES
 -- ============================================
 
 -- Performance indexes
 CREATE INDEX IF NOT EXISTS idx_dg_users_anonymous_id ON dg_users(anonymous_id);
+CREATE INDEX IF NOT EXISTS idx_dg_link_audit_auth_user ON dg_link_audit(auth_user_id);
 CREATE INDEX IF NOT EXISTS idx_dg_attempts_user_id ON dg_quiz_attempts(user_id);
 CREATE INDEX IF NOT EXISTS idx_dg_attempts_chapter ON dg_quiz_attempts(chapter_number);
+CREATE INDEX IF NOT EXISTS idx_dg_attempts_exam ON dg_quiz_attempts(exam_id);
 CREATE INDEX IF NOT EXISTS idx_dg_attempts_completed_at ON dg_quiz_attempts(completed_at);
 CREATE INDEX IF NOT EXISTS idx_dg_responses_attempt_id ON dg_question_responses(attempt_id);
 CREATE INDEX IF NOT EXISTS idx_dg_responses_correct ON dg_question_responses(is_correct);
 CREATE INDEX IF NOT EXISTS idx_dg_responses_question_index ON dg_question_responses(question_index);
+CREATE INDEX IF NOT EXISTS idx_dg_responses_question_id ON dg_question_responses(question_id);
 
 -- Composite indexes for common queries
 CREATE INDEX IF NOT EXISTS idx_dg_attempts_user_chapter ON dg_quiz_attempts(user_id, chapter_number);
@@ -72,46 +215,40 @@ CREATE INDEX IF NOT EXISTS idx_dg_responses_attempt_correct ON dg_question_respo
 ALTER TABLE dg_users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE dg_quiz_attempts ENABLE ROW LEVEL SECURITY;
 ALTER TABLE dg_question_responses ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dg_achievements ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dg_review_cards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dg_chapter_visits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dg_learner_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE dg_link_audit ENABLE ROW LEVEL SECURITY;
 
--- Policy: Anyone can insert users (for anonymous tracking)
-CREATE POLICY "Allow anonymous user creation" ON dg_users
-    FOR INSERT
-    WITH CHECK (true);
-
--- Policy: Users can read their own data
-CREATE POLICY "Users can read own data" ON dg_users
-    FOR SELECT
-    USING (true);
-
--- Policy: Allow updating users (for last_seen_at)
-CREATE POLICY "Allow user updates" ON dg_users
-    FOR UPDATE
-    USING (true);
-
--- Policy: Allow inserting quiz attempts
-CREATE POLICY "Allow quiz attempt insertion" ON dg_quiz_attempts
-    FOR INSERT
-    WITH CHECK (true);
-
--- Policy: Allow reading quiz attempts (for analytics)
-CREATE POLICY "Allow reading quiz attempts" ON dg_quiz_attempts
-    FOR SELECT
-    USING (true);
-
--- Policy: Allow inserting question responses
-CREATE POLICY "Allow question response insertion" ON dg_question_responses
-    FOR INSERT
-    WITH CHECK (true);
-
--- Policy: Allow reading question responses (for analytics)
-CREATE POLICY "Allow reading question responses" ON dg_question_responses
-    FOR SELECT
-    USING (true);
+-- No policies: the anon and authenticated roles can't read or write these
+-- tables at all. The browser never queries them; the API does, with the
+-- service role key (which bypasses RLS), after checking the reader's device
+-- token (api/lib/device-token.js) or the admin password.
+-- Databases set up before device tokens had policies open to anyone with
+-- the public anon key; drop them
+DROP POLICY IF EXISTS "Allow anonymous user creation" ON dg_users;
+DROP POLICY IF EXISTS "Users can read own data" ON dg_users;
+DROP POLICY IF EXISTS "Allow user updates" ON dg_users;
+DROP POLICY IF EXISTS "Allow quiz attempt insertion" ON dg_quiz_attempts;
+DROP POLICY IF EXISTS "Allow reading quiz attempts" ON dg_quiz_attempts;
+DROP POLICY IF EXISTS "Allow question response insertion" ON dg_question_responses;
+DROP POLICY IF EXISTS "Allow reading question responses" ON dg_question_responses;
+DROP POLICY IF EXISTS "Allow learner achievements sync" ON dg_achievements;
+DROP POLICY IF EXISTS "Allow review card sync" ON dg_review_cards;
+DROP POLICY IF EXISTS "Allow chapter visit sync" ON dg_chapter_visits;
+DROP POLICY IF EXISTS "Allow learner state sync" ON dg_learner_state;
 
 -- ============================================
 -- ADMIN FUNCTIONS (for dashboard)
 -- ============================================
 
+-- Attempts from before scoring policies have no "passed"; they passed at 70%
+CREATE OR REPLACE FUNCTION dg_attempt_passed(p_passed BOOLEAN, p_percentage INTEGER)
+RETURNS BOOLEAN AS $$
+    SELECT COALESCE(p_passed, p_percentage >= 70);
+$$ LANGUAGE sql IMMUTABLE;
+
 -- Function: Get overall stats
 CREATE OR REPLACE FUNCTION dg_get_quiz_stats()
 RETURNS JSON AS $$
@@ -123,7 +260,7 @@ BEGIN
             'total_questions_answered', (SELECT COUNT(*) FROM dg_question_responses),
             'average_score', (SELECT ROUND(AVG(percentage)::numeric, 1) FROM dg_quiz_attempts),
             'pass_rate', (SELECT ROUND(
-                (COUNT(*) FILTER (WHERE percentage >= 70)::numeric /
+                (COUNT(*) FILTER (WHERE dg_attempt_passed(passed, percentage))::numeric /
                 NULLIF(COUNT(*)::numeric, 0)) * 100, 1
             ) FROM dg_quiz_attempts),
             'unique_chapters_attempted', (SELECT COUNT(DISTINCT chapter_number) FROM dg_quiz_attempts),
@@ -147,12 +284,13 @@ BEGIN
                 COUNT(DISTINCT user_id) as unique_users,
                 ROUND(AVG(percentage)::numeric, 1) as avg_score,
                 ROUND(
-                    (COUNT(*) FILTER (WHERE percentage >= 70)::numeric /
+                    (COUNT(*) FILTER (WHERE dg_attempt_passed(passed, percentage))::numeric /
                     NULLIF(COUNT(*)::numeric, 0)) * 100, 1
                 ) as pass_rate,
                 MIN(percentage) as min_score,
                 MAX(percentage) as max_score
             FROM dg_quiz_attempts
+            WHERE exam_id IS NULL
             GROUP BY chapter_number
         ) chapter_data
     );
@@ -160,28 +298,79 @@ END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
 -- Function: Get question-level analytics
+-- Groups by stable question id, so a question keeps its history when the quiz
+-- is reordered; responses recorded before ids existed fall back to their position.
+-- Each question lists its versions so a revised question's numbers can be compared.
 CREATE OR REPLACE FUNCTION dg_get_question_analytics(p_chapter INTEGER DEFAULT NULL)
 RETURNS JSON AS $$
 BEGIN
     RETURN (
-        SELECT json_agg(question_data ORDER BY error_rate DESC)
-        FROM (
+        WITH responses AS (
             SELECT
-                qa.chapter_number,
+                COALESCE(qr.chapter_number, qa.chapter_number) as chapter_number,
+                COALESCE(qr.question_id, 'index-' || qr.question_index) as question_id,
+                qr.question_version,
                 qr.question_index,
                 qr.question_type,
                 qr.question_text,
+                qr.is_correct,
+                qr.hints_used_for_question,
+                qr.time_seconds,
+                qr.confidence,
+                -- Responses from before partial credit count as all or nothing
+                COALESCE(qr.credit, CASE WHEN qr.is_correct THEN 1 ELSE 0 END) as credit,
+                qa.completed_at
+            FROM dg_question_responses qr
+            JOIN dg_quiz_attempts qa ON qr.attempt_id = qa.id
+            WHERE (p_chapter IS NULL OR COALESCE(qr.chapter_number, qa.chapter_number) = p_chapter)
+        ),
+        versions AS (
+            SELECT
+                chapter_number,
+                question_id,
+                question_version,
                 COUNT(*) as total_responses,
-                COUNT(*) FILTER (WHERE qr.is_correct = false) as incorrect_count,
                 ROUND(
-                    (COUNT(*) FILTER (WHERE qr.is_correct = false)::numeric /
+                    (COUNT(*) FILTER (WHERE is_correct = false)::numeric /
                     NULLIF(COUNT(*)::numeric, 0)) * 100, 1
                 ) as error_rate,
-                ROUND(AVG(qr.hints_used_for_question)::numeric, 2) as avg_hints_used
-            FROM dg_question_responses qr
-            JOIN dg_quiz_attempts qa ON qr.attempt_id = qa.id
-            WHERE (p_chapter IS NULL OR qa.chapter_number = p_chapter)
-            GROUP BY qa.chapter_number, qr.question_index, qr.question_type, qr.question_text
+                MIN(completed_at) as first_seen
+            FROM responses
+            GROUP BY chapter_number, question_id, question_version
+        )
+        SELECT json_agg(question_data ORDER BY error_rate DESC)
+        FROM (
+            SELECT
+                r.chapter_number,
+                r.question_id,
+                -- Position, type and text as of the latest response
+                (array_agg(r.question_index ORDER BY r.completed_at DESC))[1] as question_index,
+                (array_agg(r.question_type ORDER BY r.completed_at DESC))[1] as question_type,
+                (array_agg(r.question_text ORDER BY r.completed_at DESC))[1] as question_text,
+                COUNT(*) as total_responses,
+                COUNT(*) FILTER (WHERE r.is_correct = false) as incorrect_count,
+                ROUND(
+                    (COUNT(*) FILTER (WHERE r.is_correct = false)::numeric /
+                    NULLIF(COUNT(*)::numeric, 0)) * 100, 1
+                ) as error_rate,
+                ROUND((AVG(r.credit) * 100)::numeric, 1) as avg_credit,
+                ROUND(AVG(r.hints_used_for_question)::numeric, 2) as avg_hints_used,
+                ROUND(AVG(r.time_seconds)::numeric, 1) as avg_time_seconds,
+                -- Compare with 100 - error_rate: a gap means readers misjudge this question
+                ROUND((AVG(r.confidence) * 100)::numeric, 1) as avg_confidence,
+                COUNT(DISTINCT r.question_version) as version_count,
+                (
+                    SELECT json_agg(json_build_object(
+                        'version', v.question_version,
+                        'total_responses', v.total_responses,
+                        'error_rate', v.error_rate,
+                        'first_seen', v.first_seen
+                    ) ORDER BY v.first_seen)
+                    FROM versions v
+                    WHERE v.chapter_number = r.chapter_number AND v.question_id = r.question_id
+                ) as versions
+            FROM responses r
+            GROUP BY r.chapter_number, r.question_id
             HAVING COUNT(*) >= 3  -- Only include questions with at least 3 responses
         ) question_data
     );
@@ -189,6 +378,7 @@ END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
 -- Function: Get wrong answer patterns
+-- Patterns are kept per question version: a revision can change the answers
 CREATE OR REPLACE FUNCTION dg_get_wrong_answer_patterns(p_chapter INTEGER DEFAULT NULL, p_limit INTEGER DEFAULT 20)
 RETURNS JSON AS $$
 BEGIN
@@ -196,17 +386,21 @@ BEGIN
         SELECT json_agg(pattern_data)
         FROM (
             SELECT
-                qa.chapter_number,
-                qr.question_index,
-                qr.question_text,
+                COALESCE(qr.chapter_number, qa.chapter_number) as chapter_number,
+                COALESCE(qr.question_id, 'index-' || qr.question_index) as question_id,
+                qr.question_version,
+                (array_agg(qr.question_index ORDER BY qa.completed_at DESC))[1] as question_index,
+                (array_agg(qr.question_text ORDER BY qa.completed_at DESC))[1] as question_text,
                 qr.user_answer,
                 qr.correct_answer,
                 COUNT(*) as frequency
             FROM dg_question_responses qr
             JOIN dg_quiz_attempts qa ON qr.attempt_id = qa.id
             WHERE qr.is_correct = false
-                AND (p_chapter IS NULL OR qa.chapter_number = p_chapter)
-            GROUP BY qa.chapter_number, qr.question_index, qr.question_text, qr.user_answer, qr.correct_answer
+                AND (p_chapter IS NULL OR COALESCE(qr.chapter_number, qa.chapter_number) = p_chapter)
+            GROUP BY COALESCE(qr.chapter_number, qa.chapter_number),
+                COALESCE(qr.question_id, 'index-' || qr.question_index),
+                qr.question_version, qr.user_answer, qr.correct_answer
             ORDER BY frequency DESC
             LIMIT p_limit
         ) pattern_data
@@ -214,6 +408,40 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Function: Get the matching pairs readers confuse most often
+-- One row per left-hand term and the wrong answer chosen for it
+CREATE OR REPLACE FUNCTION dg_get_pair_confusions(p_chapter INTEGER DEFAULT NULL, p_limit INTEGER DEFAULT 20)
+RETURNS JSON AS $$
+BEGIN
+    RETURN (
+        SELECT json_agg(confusion_data)
+        FROM (
+            SELECT
+                COALESCE(qr.chapter_number, qa.chapter_number) as chapter_number,
+                COALESCE(qr.question_id, 'index-' || qr.question_index) as question_id,
+                (array_agg(qr.question_text ORDER BY qa.completed_at DESC))[1] as question_text,
+                pair->>'left' as left_item,
+                pair->>'chosen' as chosen,
+                pair->>'expected' as expected,
+                COUNT(*) as frequency
+            FROM dg_question_responses qr
+            JOIN dg_quiz_attempts qa ON qr.attempt_id = qa.id
+            CROSS JOIN LATERAL jsonb_array_elements(qr.item_results) pair
+            WHERE qr.question_type = 'matching'
+                AND jsonb_typeof(qr.item_results) = 'array'
+                AND (pair->>'isCorrect')::boolean = false
+                AND pair->>'chosen' IS NOT NULL
+                AND (p_chapter IS NULL OR COALESCE(qr.chapter_number, qa.chapter_number) = p_chapter)
+            GROUP BY COALESCE(qr.chapter_number, qa.chapter_number),
+                COALESCE(qr.question_id, 'index-' || qr.question_index),
+                pair->>'left', pair->>'chosen', pair->>'expected'
+            ORDER BY frequency DESC
+            LIMIT p_limit
+        ) confusion_data
+    );
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
 -- Function: Get recent activity
 CREATE OR REPLACE FUNCTION dg_get_recent_activity(p_limit INTEGER DEFAULT 50)
 RETURNS JSON AS $$
@@ -224,9 +452,11 @@ BEGIN
             SELECT
                 qa.id,
                 qa.chapter_number,
+                qa.exam_id,
                 qa.score,
                 qa.total_questions,
                 qa.percentage,
+                dg_attempt_passed(qa.passed, qa.percentage) as passed,
                 qa.hints_used,
                 qa.completed_at,
                 u.anonymous_id
@@ -243,9 +473,19 @@ $$ LANGUAGE plpgsql SECURITY DEFINER;
 -- GRANT PERMISSIONS
 -- ============================================
 
--- Grant execute on functions to anon and authenticated roles
-GRANT EXECUTE ON FUNCTION dg_get_quiz_stats() TO anon, authenticated;
-GRANT EXECUTE ON FUNCTION dg_get_chapter_stats() TO anon, authenticated;
-GRANT EXECUTE ON FUNCTION dg_get_question_analytics(INTEGER) TO anon, authenticated;
-GRANT EXECUTE ON FUNCTION dg_get_wrong_answer_patterns(INTEGER, INTEGER) TO anon, authenticated;
-GRANT EXECUTE ON FUNCTION dg_get_recent_activity(INTEGER) TO anon, authenticated;
+-- Admin functions run as their owner, past RLS, so only the service role
+-- (the /api/admin endpoints) may call them; dg_get_recent_activity lists
+-- anonymous IDs, which older browsers can still exchange for a device token
+REVOKE EXECUTE ON FUNCTION dg_get_quiz_stats() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dg_get_chapter_stats() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dg_get_question_analytics(INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dg_get_wrong_answer_patterns(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dg_get_pair_confusions(INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION dg_get_recent_activity(INTEGER) FROM PUBLIC, anon, authenticated;
+
+GRANT EXECUTE ON FUNCTION dg_get_quiz_stats() TO service_role;
+GRANT EXECUTE ON FUNCTION dg_get_chapter_stats() TO service_role;
+GRANT EXECUTE ON FUNCTION dg_get_question_analytics(INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION dg_get_wrong_answer_patterns(INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION dg_get_pair_confusions(INTEGER, INTEGER) TO service_role;
+GRANT EXECUTE ON FUNCTION dg_get_recent_activity(INTEGER) TO service_role;